@@ -0,0 +1,228 @@
+// Web dashboard login. Accounts are web_users rows with a role:
+//   viewer  reports, history and logs
+//   editor  also targets, /records/edit, pending extractions and reprocessing
+//   admin   also notifications, /diag, /test, access, groups, catalog and /users
+// Each role includes the ones before it (see WEB_ROLES in db.js).
+//
+// Logging in (password at /login, or a one-time link the bot sends in LINE) sets the
+// shinsen_session cookie to a random token; web_sessions keeps only its SHA-256.
+// Passwords are stored as scrypt$<salt>$<hash>.
+//
+// The JSON API (/api/v1) uses API keys instead of sessions: "Authorization: Bearer <key>"
+// or "X-API-Key: <key>". A key carries one of the same roles; api_keys keeps its SHA-256.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const db = require('./db');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'shinsen_session';
+const SESSION_DAYS = parseInt(process.env.WEB_SESSION_DAYS, 10) || 7;
+const LINE_LOGIN_MINUTES = 10;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Password logins are refused for LOGIN_LOCKOUT_MINUTES once a username or a client IP has
+// this many failures within that time
+const LOGIN_LOCKOUT_MINUTES = 15;
+const MAX_FAILURES_PER_USERNAME = 5;
+const MAX_FAILURES_PER_IP = 20;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hashHex] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const hash = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(hash, expected);
+}
+
+function tokenHash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hasWebRole(user, role) {
+  return !!user && db.WEB_ROLES.indexOf(user.role) >= db.WEB_ROLES.indexOf(role);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      // Malformed cookie from another app on the same host
+    }
+  }
+  return cookies;
+}
+
+function sessionCookie(req, value, maxAgeSeconds) {
+  const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+  return `${SESSION_COOKIE}=${value}; Path=/; Max-Age=${maxAgeSeconds}; HttpOnly; SameSite=Lax${secure ? '; Secure' : ''}`;
+}
+
+// Start a session for the user and set its cookie.
+async function startSession(req, res, user) {
+  const token = newToken();
+  const ttlSeconds = SESSION_DAYS * 24 * 60 * 60;
+  await db.createWebSession(tokenHash(token), user.id, ttlSeconds);
+  await db.markWebUserLogin(user.id);
+  res.set('Set-Cookie', sessionCookie(req, token, ttlSeconds));
+}
+
+async function endSession(req, res) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (token) await db.deleteWebSession(tokenHash(token));
+  res.set('Set-Cookie', sessionCookie(req, '', 0));
+}
+
+// Password login; returns the user, or null for an unknown/inactive account or a wrong password.
+async function authenticate(username, password) {
+  const user = await db.getWebUserByUsername(username);
+  if (!user || !user.active) return null;
+  return (await verifyPassword(password, user.passwordHash)) ? user : null;
+}
+
+const loginFailures = new Map(); // 'ip:<address>' | 'user:<username>' → [failure timestamp (ms), ...]
+
+function recentFailures(key) {
+  const since = Date.now() - LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+  const failures = (loginFailures.get(key) || []).filter(t => t > since);
+  if (failures.length > 0) loginFailures.set(key, failures);
+  else loginFailures.delete(key);
+  return failures;
+}
+
+// Minutes until a password login from this IP for this username is accepted again, or 0.
+function loginLockoutMinutes(ip, username) {
+  const limits = [[`ip:${ip}`, MAX_FAILURES_PER_IP], [`user:${username.toLowerCase()}`, MAX_FAILURES_PER_USERNAME]];
+  let until = 0;
+  for (const [key, limit] of limits) {
+    const failures = recentFailures(key);
+    if (failures.length >= limit) until = Math.max(until, failures[failures.length - limit] + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+  }
+  return until > 0 ? Math.ceil((until - Date.now()) / 60000) : 0;
+}
+
+function recordLoginFailure(ip, username) {
+  for (const key of [`ip:${ip}`, `user:${username.toLowerCase()}`]) {
+    loginFailures.set(key, [...recentFailures(key), Date.now()]);
+  }
+}
+
+// A successful login clears the username's failures (the IP's stay counted)
+function clearLoginFailures(username) {
+  loginFailures.delete(`user:${username.toLowerCase()}`);
+}
+
+// Drop failure entries older than the lockout window
+function pruneLoginFailures() {
+  for (const key of [...loginFailures.keys()]) recentFailures(key);
+}
+
+// One-time login link for a LINE user, or null when no active account is linked to them.
+async function createLineLoginToken(lineUserId) {
+  const user = await db.getWebUserByLineId(lineUserId);
+  if (!user || !user.active) return null;
+  const token = newToken();
+  await db.createWebLoginToken(tokenHash(token), user.id, LINE_LOGIN_MINUTES * 60);
+  return { user, token };
+}
+
+async function consumeLineLoginToken(token) {
+  return token ? db.consumeWebLoginToken(tokenHash(token)) : null;
+}
+
+// Create an API key; returns the key, which is not stored and can't be shown again.
+async function createApiKey(name, role, createdBy) {
+  const key = `shk_${newToken()}`;
+  await db.createApiKey({ name, keyHash: tokenHash(key), role, createdBy });
+  return key;
+}
+
+// The unrevoked API key sent with the request, or null.
+async function findApiKey(req) {
+  const [scheme, value] = (req.headers.authorization || '').split(' ');
+  const key = scheme === 'Bearer' && value ? value : req.headers['x-api-key'];
+  return key ? db.useApiKey(tokenHash(String(key))) : null;
+}
+
+// Middleware: sets req.user to the logged-in account (or null).
+async function loadUser(req, res, next) {
+  req.user = null;
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (token) {
+    try {
+      req.user = await db.getWebSessionUser(tokenHash(token));
+    } catch (error) {
+      console.error('[AUTH] Error loading session:', error.message);
+    }
+  }
+  next();
+}
+
+// Middleware factory: only users with at least `role` get through. Page requests without a
+// session are sent to /login and come back afterwards.
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      if (req.method === 'GET' && !req.path.startsWith('/api/')) {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+      return res.status(401).json({ error: 'Login required' });
+    }
+    if (!hasWebRole(req.user, role)) {
+      console.log(`[AUTH] ${req.user.username} (${req.user.role}) denied ${req.method} ${req.path}`);
+      return res.status(403).send(`This page needs the ${role} role`);
+    }
+    next();
+  };
+}
+
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD while web_users is empty.
+async function ensureInitialAdmin() {
+  const password = process.env.ADMIN_PASSWORD;
+  if (await db.countWebUsers() > 0) return;
+  if (!password) {
+    console.log('[AUTH] No web users yet: set ADMIN_PASSWORD in .env to create the first admin');
+    return;
+  }
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  await db.createWebUser({ username, passwordHash: await hashPassword(password), role: 'admin' });
+  console.log(`[AUTH] Created the first admin account "${username}"`);
+}
+
+module.exports = {
+  LINE_LOGIN_MINUTES,
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  hasWebRole,
+  startSession,
+  endSession,
+  authenticate,
+  loginLockoutMinutes,
+  recordLoginFailure,
+  clearLoginFailures,
+  pruneLoginFailures,
+  createLineLoginToken,
+  consumeLineLoginToken,
+  createApiKey,
+  findApiKey,
+  loadUser,
+  requireRole,
+  ensureInitialAdmin
+};
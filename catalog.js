@@ -0,0 +1,109 @@
+// Products (juice categories) and CDCs (warehouses) the bot knows about.
+// The lists below are the defaults; at startup db.loadCatalog() replaces them with the
+// `products` and `cdcs` tables (seeding those from the defaults when empty), and /catalog
+// edits them. Everything else reads the current lists through the functions here, so a
+// new juice or warehouse needs no code change.
+//
+//   product  { code, nameTh, nameEn, keywords, icon, color, bgColor, displayOrder, active }
+//   cdc      { code, name, nameEn, keywords, color, displayOrder, active }
+//
+// A product's keywords are matched against the plan's column headers (longest match wins,
+// see detectProductColumns). A CDC's keywords are matched against the Vendor cell of each
+// row; `name` is the label used in reports and as the key of record.cdcTotals. Stored values
+// are keyed by `code` (daily_cdc_values.cdc_code), so a CDC can be renamed freely.
+
+const DEFAULT_PRODUCTS = [
+  { code: 'orange', nameTh: 'น้ำส้ม', nameEn: 'Orange', keywords: ['น้ำส้ม', 'orange', 'ส้ม'], icon: '🍊', color: '#ff9800', bgColor: '#fff3e0' },
+  { code: 'yuzu', nameTh: 'ยูซุ', nameEn: 'Yuzu', keywords: ['ยูซุ', 'yuzu'], icon: '🍋', color: '#f9a825', bgColor: '#fffde7' },
+  { code: 'pop', nameTh: 'Shinsen Pop', nameEn: 'Shinsen Pop', keywords: ['shinsen pop', 'มุกป๊อป', 'ป๊อป', 'pop'], icon: '🍹', color: '#03a9f4', bgColor: '#e1f5fe' },
+  { code: 'mixed', nameTh: 'น้ำผลไม้รวม', nameEn: 'Mixed Fruit', keywords: ['น้ำผลไม้รวม', 'ผลไม้รวม', 'mixed fruit'], icon: '🍇', color: '#9c27b0', bgColor: '#f3e5f5' },
+  { code: 'tomato', nameTh: 'Tomato Yuzu', nameEn: 'Tomato Yuzu', keywords: ['tomato', 'มะเขือเทศ'], icon: '🍅', color: '#f44336', bgColor: '#ffebee' },
+  { code: 'pineapple', nameTh: 'น้ำสับปะรด', nameEn: 'Pineapple', keywords: ['สับปะรด', 'pineapple'], icon: '🍍', color: '#cddc39', bgColor: '#f9fbe7' }
+].map((p, i) => ({ ...p, displayOrder: i + 1, active: true }));
+
+const DEFAULT_CDCS = [
+  { code: 'bangbuathong', name: 'คลังบางบัวทอง', nameEn: 'Bang Bua Thong', keywords: ['บางบัวทอง'] },
+  { code: 'nakhonratchasima', name: 'นครราชสีมา', nameEn: 'Nakhon Ratchasima', keywords: ['นครราชสีมา'] },
+  { code: 'nakhonsawan', name: 'นครสวรรค์', nameEn: 'Nakhon Sawan', keywords: ['นครสวรรค์'] },
+  { code: 'chonburi', name: 'ชลบุรี', nameEn: 'Chonburi', keywords: ['ชลบุรี'] },
+  { code: 'hadyai', name: 'หาดใหญ่', nameEn: 'Hat Yai', keywords: ['หาดใหญ่'] },
+  { code: 'phuket', name: 'ภูเก็ต', nameEn: 'Phuket', keywords: ['ภูเก็ต'] },
+  { code: 'chiangmai', name: 'เชียงใหม่', nameEn: 'Chiang Mai', keywords: ['เชียงใหม่'] },
+  { code: 'surat', name: 'สุราษฎร์', nameEn: 'Surat Thani', keywords: ['สุราษฎร์'] },
+  { code: 'khonkaen', name: 'ขอนแก่น', nameEn: 'Khon Kaen', keywords: ['ขอนแก่น'] },
+  { code: 'mahachai', name: 'คลังมหาชัย', nameEn: 'Mahachai', keywords: ['มหาชัย'] },
+  { code: 'suvarnabhumi', name: 'คลังสุวรรณภูมิ', nameEn: 'Suvarnabhumi', keywords: ['สุวรรณภูมิ'], color: '#2196F3' }
+].map((c, i) => ({ color: null, ...c, displayOrder: i + 1, active: true }));
+
+// Export shipments split out of a CDC's total (Khon Kaen also ships to Laos and Cambodia),
+// extracted for every product. They are stored next to the CDC values in daily_cdc_values
+// under `code`; `field` is the record property that holds them. A Khon Kaen row whose
+// Vendor cell has one of the `keywords` is the destination's row; unlabelled plans list the
+// Khon Kaen rows in groups and the destination is group number `slot` (see
+// extractKhonKaenExports). `branches` is shown in the report headers.
+const EXPORT_DESTINATIONS = [
+  { code: 'khonkaen_laos', field: 'khonKaenLaos', name: 'ขอนแก่น Laos', keywords: ['ลาว', 'laos', 'lao'], slot: 3, branches: 4 },
+  { code: 'khonkaen_cambodia', field: 'khonKaenCambodia', name: 'ขอนแก่น Cambodia', keywords: ['กัมพูชา', 'เขมร', 'cambodia'], slot: 4, branches: 85 }
+];
+
+let products = DEFAULT_PRODUCTS;
+let cdcs = DEFAULT_CDCS;
+
+const byDisplayOrder = (a, b) => a.displayOrder - b.displayOrder || a.code.localeCompare(b.code);
+
+// Replace the current lists (called by db.loadCatalog)
+function setCatalog(newProducts, newCdcs) {
+  if (newProducts && newProducts.length > 0) products = [...newProducts].sort(byDisplayOrder);
+  if (newCdcs && newCdcs.length > 0) cdcs = [...newCdcs].sort(byDisplayOrder);
+}
+
+// All products / CDCs in display order, including inactive ones (reports still show their history)
+function getProducts() {
+  return products;
+}
+
+function getCDCs() {
+  return cdcs;
+}
+
+function getProduct(code) {
+  return products.find(p => p.code === code) || null;
+}
+
+// Product codes (daily_records.category) in display order
+function categories() {
+  return products.map(p => p.code);
+}
+
+// Keyword table used to find product columns in plan headers: { code: { keywords, dbCategory } }
+function productDetection() {
+  return Object.fromEntries(products.filter(p => p.active).map(p => [p.code, { keywords: p.keywords, dbCategory: p.code }]));
+}
+
+// Vendor-cell keyword → CDC report name, for the active CDCs
+function cdcNameMapping() {
+  const mapping = {};
+  for (const cdc of cdcs.filter(c => c.active)) {
+    for (const keyword of cdc.keywords) mapping[keyword] = cdc.name;
+  }
+  return mapping;
+}
+
+// CDC report names in display order
+function cdcNames() {
+  return cdcs.map(c => c.name);
+}
+
+module.exports = {
+  DEFAULT_PRODUCTS,
+  DEFAULT_CDCS,
+  EXPORT_DESTINATIONS,
+  setCatalog,
+  getProducts,
+  getCDCs,
+  getProduct,
+  categories,
+  productDetection,
+  cdcNameMapping,
+  cdcNames
+};
@@ -1,5 +1,6 @@
 require('dotenv').config();
 const mysql = require('mysql2/promise');
+const catalog = require('./catalog');
 
 // Create connection pool
 const pool = mysql.createPool({
@@ -12,26 +13,6 @@ const pool = mysql.createPool({
   queueLimit: 0
 });
 
-// CDC name mapping from Thai to database column names
-const cdcColumnMapping = {
-  'คลังบางบัวทอง': 'cdc_bangbuathong',
-  'นครราชสีมา': 'cdc_nakhonratchasima',
-  'นครสวรรค์': 'cdc_nakhonsawan',
-  'ชลบุรี': 'cdc_chonburi',
-  'คลังมหาชัย': 'cdc_mahachai',
-  'คลังสุวรรณภูมิ': 'cdc_suvarnabhumi',
-  'หาดใหญ่': 'cdc_hadyai',
-  'ภูเก็ต': 'cdc_phuket',
-  'เชียงใหม่': 'cdc_chiangmai',
-  'สุราษฎร์': 'cdc_surat',
-  'ขอนแก่น': 'cdc_khonkaen'
-};
-
-// Reverse mapping: database column to Thai name
-const columnToCdcMapping = Object.fromEntries(
-  Object.entries(cdcColumnMapping).map(([k, v]) => [v, k])
-);
-
 // Convert DD/MM/YYYY to MySQL DATE format (YYYY-MM-DD)
 function toMySQLDate(dateStr) {
   if (!dateStr) return null;
@@ -55,24 +36,21 @@ function toDisplayDate(mysqlDate) {
   return `${day}/${month}/${year}`;
 }
 
-// All supported product categories
-const CATEGORIES = ['orange', 'yuzu', 'pop', 'mixed', 'tomato', 'pineapple'];
-
-// Category display names (Thai)
-const CATEGORY_NAMES = {
-  orange: 'น้ำส้ม',
-  yuzu: 'ยูซุ',
-  pop: 'Shinsen Pop',
-  mixed: 'น้ำผลไม้รวม',
-  tomato: 'Tomato Yuzu',
-  pineapple: 'น้ำสับปะรด'
-};
-
-// Convert record from database format to application format
-function dbToAppRecord(row) {
+// Convert record from database format to application format.
+// `values` holds the record's daily_cdc_values rows by cdc_code.
+function dbToAppRecord(row, values = {}) {
   const cdcTotals = {};
-  for (const [thaiName, columnName] of Object.entries(cdcColumnMapping)) {
-    cdcTotals[thaiName] = row[columnName] || 0;
+  const cdcCrates = {};
+  for (const cdc of catalog.getCDCs()) {
+    const value = values[cdc.code];
+    cdcTotals[cdc.name] = value?.value || 0;
+    if (value && value.total_crates != null) {
+      cdcCrates[cdc.name] = {
+        fullCrates: value.full_crates || 0,
+        partialBottles: value.partial_bottles || 0,
+        totalCrates: value.total_crates
+      };
+    }
   }
 
   const record = {
@@ -80,13 +58,22 @@ function dbToAppRecord(row) {
     timestamp: row.timestamp ? row.timestamp.toISOString() : null,
     fc33HadyaiSum: row.fc33_hadyai_sum || 0,
     totalSum: row.total_sum || 0,
-    cdcTotals: cdcTotals
+    cdcTotals: cdcTotals,
+    confidence: row.confidence != null ? Number(row.confidence) : null,
+    cdcConfidence: row.cdc_confidence ? (typeof row.cdc_confidence === 'string' ? JSON.parse(row.cdc_confidence) : row.cdc_confidence) : {},
+    corrections: row.corrections ? (typeof row.corrections === 'string' ? JSON.parse(row.corrections) : row.corrections) : [],
+    reconciliation: row.corrected_sum != null ? {
+      cellSum: row.cell_sum,
+      yodruamTotal: row.yodruam_total,
+      correctedSum: row.corrected_sum,
+      remainingDiff: row.reconcile_diff
+    } : null,
+    cdcCrates
   };
 
-  // Add khonKaenLaos and khonKaenCambodia for orange category
-  if (row.category === 'orange') {
-    record.khonKaenLaos = row.khon_kaen_laos || 0;
-    record.khonKaenCambodia = row.khon_kaen_cambodia || 0;
+  // Export destinations (khonKaenLaos, khonKaenCambodia)
+  for (const dest of catalog.EXPORT_DESTINATIONS) {
+    record[dest.field] = values[dest.code]?.value || 0;
   }
 
   return record;
@@ -94,38 +81,96 @@ function dbToAppRecord(row) {
 
 // Convert record from application format to database format
 function appToDbRecord(record, category) {
-  const dbRecord = {
+  return {
     date: toMySQLDate(record.date),
     category: category,
     timestamp: record.timestamp ? new Date(record.timestamp) : new Date(),
     fc33_hadyai_sum: record.fc33HadyaiSum || 0,
-    total_sum: record.totalSum || 0
+    total_sum: record.totalSum || 0,
+    // OCR confidence and applied corrections (null for records without OCR, e.g. Excel)
+    confidence: record.confidence ?? null,
+    cdc_confidence: record.cdcConfidence && Object.keys(record.cdcConfidence).length > 0 ? JSON.stringify(record.cdcConfidence) : null,
+    corrections: record.corrections && record.corrections.length > 0 ? JSON.stringify(record.corrections) : null,
+    // CDC breakdown vs. total at extraction time (see /reconciliation)
+    cell_sum: record.reconciliation?.cellSum ?? null,
+    yodruam_total: record.reconciliation?.yodruamTotal ?? null,
+    corrected_sum: record.reconciliation?.correctedSum ?? null,
+    reconcile_diff: record.reconciliation?.remainingDiff ?? null
   };
+}
 
-  // Map CDC totals
-  if (record.cdcTotals) {
-    for (const [thaiName, columnName] of Object.entries(cdcColumnMapping)) {
-      dbRecord[columnName] = record.cdcTotals[thaiName] || 0;
+// daily_cdc_values rows ([cdc_code, value, full_crates, partial_bottles, total_crates]) of a
+// record: every CDC in record.cdcTotals (zeros included) plus the export destinations it
+// carries. Crates are null where the record has none (export destinations, older records).
+function appToDbCdcValues(record) {
+  const values = [];
+  for (const cdc of catalog.getCDCs()) {
+    if (record.cdcTotals && record.cdcTotals[cdc.name] !== undefined) {
+      const crates = record.cdcCrates?.[cdc.name];
+      values.push([cdc.code, record.cdcTotals[cdc.name] || 0,
+        crates ? crates.fullCrates || 0 : null,
+        crates ? crates.partialBottles || 0 : null,
+        crates ? crates.totalCrates || 0 : null]);
     }
   }
+  for (const dest of catalog.EXPORT_DESTINATIONS) {
+    if (record[dest.field] !== undefined && record[dest.field] !== null) {
+      values.push([dest.code, record[dest.field] || 0, null, null, null]);
+    }
+  }
+  return values;
+}
+
+// daily_vendor_values rows of a record's vendor breakdown (see extractCDCTotals)
+function appToDbVendorValues(record) {
+  return record.vendors.map(v => [
+    v.code,
+    v.name || null,
+    catalog.getCDCs().find(c => c.name === v.cdc)?.code || null,
+    v.bottles || 0,
+    v.fullCrates || 0,
+    v.partialBottles || 0,
+    v.totalCrates || 0
+  ]);
+}
 
-  // Add khonKaenLaos and khonKaenCambodia for orange category
-  if (category === 'orange') {
-    dbRecord.khon_kaen_laos = record.khonKaenLaos || null;
-    dbRecord.khon_kaen_cambodia = record.khonKaenCambodia || null;
+const recordKey = row => `${toDisplayDate(row.date)}|${row.category}`;
+
+// Daily records matching `where`, with their CDC values. `where` may only use the date and
+// category columns, which both tables share. Returns [{ category, record }]. `executor` is a
+// connection when the read belongs to a transaction.
+async function queryDailyRecords(where = '', params = [], orderBy = 'date ASC, category ASC', executor = pool) {
+  const [rows] = await executor.execute(`SELECT * FROM daily_records ${where} ORDER BY ${orderBy}`, params);
+  if (rows.length === 0) return [];
+  const [valueRows] = await executor.execute(`SELECT * FROM daily_cdc_values ${where}`, params);
+
+  const values = new Map();
+  for (const v of valueRows) {
+    const key = recordKey(v);
+    if (!values.has(key)) values.set(key, {});
+    values.get(key)[v.cdc_code] = v;
   }
+  return rows.map(row => ({ category: row.category, record: dbToAppRecord(row, values.get(recordKey(row))) }));
+}
 
-  return dbRecord;
+// Group [{ category, record }] into { category: [record, ...] } for every known product
+function groupByCategory(entries) {
+  const records = {};
+  for (const cat of catalog.categories()) {
+    records[cat] = [];
+  }
+  for (const { category, record } of entries) {
+    if (records[category]) {
+      records[category].push(record);
+    }
+  }
+  return records;
 }
 
 // Get a single daily record by date and category
-async function getDailyRecord(date, category) {
-  const mysqlDate = toMySQLDate(date);
-  const [rows] = await pool.execute(
-    'SELECT * FROM daily_records WHERE date = ? AND category = ?',
-    [mysqlDate, category]
-  );
-  return rows.length > 0 ? dbToAppRecord(rows[0]) : null;
+async function getDailyRecord(date, category, executor = pool) {
+  const entries = await queryDailyRecords('WHERE date = ? AND category = ?', [toMySQLDate(date), category], undefined, executor);
+  return entries.length > 0 ? entries[0].record : null;
 }
 
 // Check if a date is already recorded for a category
@@ -138,9 +183,22 @@ async function isDateRecorded(date, category) {
   return rows.length > 0;
 }
 
-// Save a daily record (insert or update)
-async function saveDailyRecord(record, category) {
+// Save a daily record (insert or update) together with its CDC values. The vendor breakdown
+// is replaced only when the record carries one (record.vendors), so saving a record read back
+// from the database keeps it.
+// Every save adds a daily_records_history row with the record as read before and after the
+// write. `origin` says where the write came from:
+//   { source: 'line' | 'pending' | 'reprocess' | 'migration' | 'admin', sourceId, changedBy }
+// sourceId is the LINE message ID(s), pending ID or script name; changedBy the LINE user ID
+// or admin user.
+// Pass a connection from withTransaction() to make the save part of a larger transaction;
+// otherwise it runs in its own.
+async function saveDailyRecord(record, category, origin = {}, connection = null) {
+  if (!connection) return withTransaction(conn => saveDailyRecord(record, category, origin, conn));
+
   const dbRecord = appToDbRecord(record, category);
+  const cdcValues = appToDbCdcValues(record);
+  const vendorValues = Array.isArray(record.vendors) ? appToDbVendorValues(record) : null;
 
   const columns = Object.keys(dbRecord);
   const values = Object.values(dbRecord);
@@ -153,60 +211,145 @@ async function saveDailyRecord(record, category) {
     ON DUPLICATE KEY UPDATE ${updateClause}
   `;
 
-  const [result] = await pool.execute(sql, values);
+  const recordWhere = ['WHERE date = ? AND category = ?', [dbRecord.date, category]];
+  const [before] = await queryDailyRecords(...recordWhere, undefined, connection);
+  const [result] = await connection.execute(sql, values);
+  // Replace the day's values, so a CDC missing from a correction doesn't keep its old value
+  await connection.execute(
+    'DELETE FROM daily_cdc_values WHERE date = ? AND category = ?',
+    [dbRecord.date, category]
+  );
+  if (cdcValues.length > 0) {
+    await connection.query(
+      'INSERT INTO daily_cdc_values (date, category, cdc_code, value, full_crates, partial_bottles, total_crates) VALUES ?',
+      [cdcValues.map(values => [dbRecord.date, category, ...values])]
+    );
+  }
+  if (vendorValues) {
+    await connection.execute(
+      'DELETE FROM daily_vendor_values WHERE date = ? AND category = ?',
+      [dbRecord.date, category]
+    );
+    if (vendorValues.length > 0) {
+      await connection.query(
+        `INSERT INTO daily_vendor_values
+         (date, category, vendor_code, vendor_name, cdc_code, bottles, full_crates, partial_bottles, total_crates)
+         VALUES ?`,
+        [vendorValues.map(values => [dbRecord.date, category, ...values])]
+      );
+    }
+  }
+  const [after] = await queryDailyRecords(...recordWhere, undefined, connection);
+  await connection.execute(
+    `INSERT INTO daily_records_history
+     (date, category, action, before_record, after_record, source, source_id, changed_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      dbRecord.date,
+      category,
+      before ? 'update' : 'insert',
+      before ? JSON.stringify(before.record) : null,
+      JSON.stringify(after.record),
+      origin.source || 'unknown',
+      origin.sourceId || null,
+      origin.changedBy || null
+    ]
+  );
   return result;
 }
 
+// Run `work(connection)` in a transaction on one pooled connection: committed when it
+// resolves, rolled back when it throws.
+async function withTransaction(work) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
 // Get daily records by month and year
 async function getDailyRecordsByMonth(month, year) {
   const startDate = `${year}-${String(month).padStart(2, '0')}-01`;
   const endDate = `${year}-${String(month).padStart(2, '0')}-31`;
 
-  const [rows] = await pool.execute(
-    `SELECT * FROM daily_records
-     WHERE date >= ? AND date <= ?
-     ORDER BY date ASC, category ASC`,
-    [startDate, endDate]
-  );
-
-  // Initialize all categories
-  const records = {};
-  for (const cat of CATEGORIES) {
-    records[cat] = [];
-  }
-
-  for (const row of rows) {
-    const record = dbToAppRecord(row);
-    if (records[row.category]) {
-      records[row.category].push(record);
-    }
-  }
+  return groupByCategory(await queryDailyRecords('WHERE date >= ? AND date <= ?', [startDate, endDate]));
+}
 
-  return records;
+// Records between two YYYY-MM-DD dates (inclusive), optionally for one category.
+// Returns [{ category, record }] ordered by date, then category.
+async function getDailyRecordsInRange(startDate, endDate, category = null) {
+  return category
+    ? queryDailyRecords('WHERE date >= ? AND date <= ? AND category = ?', [startDate, endDate, category])
+    : queryDailyRecords('WHERE date >= ? AND date <= ?', [startDate, endDate]);
 }
 
 // Load all daily records (for backwards compatibility)
 async function loadDailyRecords() {
+  return groupByCategory(await queryDailyRecords());
+}
+
+// Records whose CDC values don't add up to total_sum, newest first.
+// Returns [{ category, cdcSum, record }].
+async function getUnreconciledRecords() {
+  const cdcCodes = catalog.getCDCs().map(c => c.code);
   const [rows] = await pool.execute(
-    'SELECT * FROM daily_records ORDER BY date ASC'
+    `SELECT r.date, r.category, COALESCE(SUM(v.value), 0) AS cdc_sum
+     FROM daily_records r
+     LEFT JOIN daily_cdc_values v
+       ON v.date = r.date AND v.category = r.category AND v.cdc_code IN (${cdcCodes.map(() => '?').join(', ')})
+     GROUP BY r.date, r.category, r.total_sum
+     HAVING cdc_sum <> r.total_sum
+     ORDER BY r.date DESC, r.category ASC`,
+    cdcCodes
   );
+  if (rows.length === 0) return [];
 
-  // Initialize all categories
-  const records = {};
-  for (const cat of CATEGORIES) {
-    records[cat] = [];
-  }
-
-  for (const row of rows) {
-    const record = dbToAppRecord(row);
-    if (records[row.category]) {
-      records[row.category].push(record);
-    }
-  }
+  const entries = await queryDailyRecords(
+    `WHERE (date, category) IN (${rows.map(() => '(?, ?)').join(', ')})`,
+    rows.flatMap(row => [row.date, row.category]),
+    'date DESC, category ASC'
+  );
+  const cdcSums = new Map(rows.map(row => [recordKey(row), Number(row.cdc_sum)]));
+  return entries.map(({ category, record }) => ({ category, cdcSum: cdcSums.get(`${record.date}|${category}`), record }));
+}
 
-  return records;
+// Vendor (FC code) totals per product within an inclusive date range, by vendor code.
+// Returns [{ code, name, cdcCode, category, bottles, fullCrates, partialBottles, totalCrates, days }].
+async function getVendorTotals(startDate, endDate) {
+  const [rows] = await pool.execute(
+    `SELECT vendor_code, MAX(vendor_name) AS vendor_name, MAX(cdc_code) AS cdc_code, category,
+       SUM(bottles) AS bottles, SUM(full_crates) AS full_crates, SUM(partial_bottles) AS partial_bottles,
+       SUM(total_crates) AS total_crates, COUNT(DISTINCT date) AS days
+     FROM daily_vendor_values
+     WHERE date BETWEEN ? AND ?
+     GROUP BY vendor_code, category
+     ORDER BY vendor_code, category`,
+    [startDate, endDate]
+  );
+  return rows.map(row => ({
+    code: row.vendor_code,
+    name: row.vendor_name,
+    cdcCode: row.cdc_code,
+    category: row.category,
+    bottles: Number(row.bottles) || 0,
+    fullCrates: Number(row.full_crates) || 0,
+    partialBottles: Number(row.partial_bottles) || 0,
+    totalCrates: Number(row.total_crates) || 0,
+    days: Number(row.days) || 0
+  }));
 }
 
+// detection_logs.status values
+const DETECTION_STATUSES = ['success', 'failed', 'error', 'pending', 'unauthorized', 'allocation'];
+
 // Save detection log
 async function saveDetectionLog(logEntry) {
   const sql = `
@@ -231,11 +374,31 @@ async function saveDetectionLog(logEntry) {
   return result;
 }
 
-// Get detection logs (most recent first)
-async function getDetectionLogs(limit = 100) {
-  const [rows] = await pool.execute(
-    'SELECT * FROM detection_logs ORDER BY timestamp DESC LIMIT ?',
-    [limit]
+// Get detection logs (most recent first). Optional filters: status, sourceId (group or
+// user ID), and from / to (YYYY-MM-DD, inclusive) on the log timestamp.
+async function getDetectionLogs(limit = 100, filters = {}) {
+  const conditions = [];
+  const params = [];
+  if (filters.status) {
+    conditions.push('status = ?');
+    params.push(filters.status);
+  }
+  if (filters.sourceId) {
+    conditions.push('(group_id = ? OR user_id = ?)');
+    params.push(filters.sourceId, filters.sourceId);
+  }
+  if (filters.from) {
+    conditions.push('timestamp >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('timestamp < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(filters.to);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const [rows] = await pool.query(
+    `SELECT * FROM detection_logs ${where} ORDER BY timestamp DESC LIMIT ?`,
+    [...params, limit]
   );
 
   return rows.map(row => ({
@@ -268,6 +431,30 @@ async function getAggregateByCategory(startDate, endDate) {
   return result;
 }
 
+// Sum the export destinations by category within an inclusive date range.
+// Returns { orange: { khonKaenLaos: 120, khonKaenCambodia: 0 }, ... } — categories with no
+// exports are omitted.
+async function getExportAggregateByCategory(startDate, endDate) {
+  const codes = catalog.EXPORT_DESTINATIONS.map(d => d.code);
+  const [rows] = await pool.execute(
+    `SELECT category, cdc_code, SUM(value) AS volume
+     FROM daily_cdc_values
+     WHERE date BETWEEN ? AND ? AND cdc_code IN (${codes.map(() => '?').join(', ')})
+     GROUP BY category, cdc_code
+     HAVING volume > 0`,
+    [startDate, endDate, ...codes]
+  );
+  const result = {};
+  for (const row of rows) {
+    const dest = catalog.EXPORT_DESTINATIONS.find(d => d.code === row.cdc_code);
+    if (!result[row.category]) {
+      result[row.category] = Object.fromEntries(catalog.EXPORT_DESTINATIONS.map(d => [d.field, 0]));
+    }
+    result[row.category][dest.field] = Number(row.volume) || 0;
+  }
+  return result;
+}
+
 // Latest day-of-month with any data in the given month, or null if none.
 async function getLatestDayWithData(year, month) {
   const [rows] = await pool.execute(
@@ -328,7 +515,560 @@ async function upsertTarget(year, month, category, value) {
   );
 }
 
-// Test database connection
+// Every target of a year (or of one month), as [{ year, month, category, value }].
+async function getTargetList(year, month = null) {
+  const [rows] = await pool.execute(
+    `SELECT year, month, category, target_value FROM monthly_targets
+     WHERE year = ?${month ? ' AND month = ?' : ''}
+     ORDER BY month, category`,
+    month ? [year, month] : [year]
+  );
+  return rows.map(row => ({ year: row.year, month: row.month, category: row.category, value: Number(row.target_value) || 0 }));
+}
+
+// Remove a single monthly target. Returns false when there was none.
+async function deleteTarget(year, month, category) {
+  const [result] = await pool.execute(
+    'DELETE FROM monthly_targets WHERE year = ? AND month = ? AND category = ?',
+    [year, month, category]
+  );
+  return result.affectedRows > 0;
+}
+
+// Store an extraction awaiting confirmation in LINE. Returns the new pending ID.
+async function savePendingRecord(entry) {
+  const [result] = await pool.execute(
+    `INSERT INTO pending_records (kind, message_id, source_id, user_id, date, results, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      entry.kind || 'new',
+      entry.messageId || null,
+      entry.sourceId || null,
+      entry.userId || null,
+      toMySQLDate(entry.date),
+      JSON.stringify(entry.results),
+      entry.expiresAt
+    ]
+  );
+  return result.insertId;
+}
+
+// Convert a pending_records row to application format
+function dbToAppPending(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    messageId: row.message_id,
+    sourceId: row.source_id,
+    userId: row.user_id,
+    date: toDisplayDate(row.date),
+    results: typeof row.results === 'string' ? JSON.parse(row.results) : row.results,
+    status: row.status,
+    resolvedBy: row.resolved_by,
+    expiresAt: row.expires_at,
+    expired: row.expires_at ? new Date(row.expires_at) <= new Date() : false
+  };
+}
+
+// Get a pending extraction by ID, or null if it doesn't exist.
+async function getPendingRecord(id) {
+  const [rows] = await pool.execute('SELECT * FROM pending_records WHERE id = ?', [id]);
+  return rows.length > 0 ? dbToAppPending(rows[0]) : null;
+}
+
+// Pending extractions that can still be confirmed, newest first.
+async function getOpenPendingRecords() {
+  const [rows] = await pool.execute(
+    `SELECT * FROM pending_records
+     WHERE status = 'pending' AND expires_at > NOW()
+     ORDER BY created_at DESC`
+  );
+  return rows.map(dbToAppPending);
+}
+
+// Replace the extracted values of a still-open pending extraction (web edit form).
+async function updatePendingResults(id, results) {
+  const [result] = await pool.execute(
+    `UPDATE pending_records SET results = ?
+     WHERE id = ? AND status = 'pending' AND expires_at > NOW()`,
+    [JSON.stringify(results), id]
+  );
+  return result.affectedRows > 0;
+}
+
+// Move a pending extraction to confirmed/rejected. Only succeeds while it is still open,
+// so a double-tapped Confirm button can't commit the same plan twice.
+async function resolvePendingRecord(id, status, resolvedBy, executor = pool) {
+  const [result] = await executor.execute(
+    `UPDATE pending_records SET status = ?, resolved_by = ?, resolved_at = NOW()
+     WHERE id = ? AND status = 'pending' AND expires_at > NOW()`,
+    [status, resolvedBy || null, id]
+  );
+  return result.affectedRows > 0;
+}
+
+// Mark every open pending extraction past its expiry time as expired. Returns the count.
+async function expirePendingRecords() {
+  const [result] = await pool.execute(
+    `UPDATE pending_records SET status = 'expired'
+     WHERE status = 'pending' AND expires_at <= NOW()`
+  );
+  return result.affectedRows;
+}
+
+// Convert a daily_records_history row to application format
+function dbToAppHistory(row) {
+  const parse = value => (value == null ? null : typeof value === 'string' ? JSON.parse(value) : value);
+  return {
+    id: row.id,
+    date: toDisplayDate(row.date),
+    category: row.category,
+    action: row.action,
+    before: parse(row.before_record),
+    after: parse(row.after_record),
+    source: row.source,
+    sourceId: row.source_id,
+    changedBy: row.changed_by,
+    changedAt: row.changed_at
+  };
+}
+
+// Writes to daily_records, newest first: those of one date (and category), or the latest
+// `limit` overall when no date is given.
+async function getRecordHistory({ date = null, category = null, limit = 100 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (date) {
+    conditions.push('date = ?');
+    params.push(toMySQLDate(date));
+  }
+  if (category) {
+    conditions.push('category = ?');
+    params.push(category);
+  }
+  const [rows] = await pool.query(
+    `SELECT * FROM daily_records_history
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY changed_at DESC, id DESC
+     LIMIT ?`,
+    [...params, limit]
+  );
+  return rows.map(dbToAppHistory);
+}
+
+// Keep a copy of a daily record that is about to be overwritten by a correction.
+async function saveSupersededRecord(entry, executor = pool) {
+  const [result] = await executor.execute(
+    `INSERT INTO superseded_records (date, category, record, pending_id, superseded_by)
+     VALUES (?, ?, ?, ?, ?)`,
+    [
+      toMySQLDate(entry.date),
+      entry.category,
+      JSON.stringify(entry.record),
+      entry.pendingId || null,
+      entry.supersededBy || null
+    ]
+  );
+  return result;
+}
+
+// Roles that can be granted to a LINE group or user, lowest first
+const ACCESS_ROLES = ['viewer', 'submitter', 'admin'];
+
+// Convert a line_access row to application format
+function dbToAppAccess(row) {
+  return {
+    lineId: row.line_id,
+    idType: row.id_type,
+    role: row.role,
+    name: row.name,
+    updatedAt: row.updated_at
+  };
+}
+
+// Every allowlisted LINE group and user, groups first.
+async function getAccessEntries() {
+  const [rows] = await pool.execute(
+    'SELECT * FROM line_access ORDER BY id_type, name, line_id'
+  );
+  return rows.map(dbToAppAccess);
+}
+
+// Allowlist entries for the given LINE IDs (a group and/or user); nulls are skipped.
+async function getAccessEntriesFor(lineIds) {
+  const ids = lineIds.filter(Boolean);
+  if (ids.length === 0) return [];
+  const [rows] = await pool.execute(
+    `SELECT * FROM line_access WHERE line_id IN (${ids.map(() => '?').join(', ')})`,
+    ids
+  );
+  return rows.map(dbToAppAccess);
+}
+
+// Add a group or user to the allowlist, or change its role/name.
+async function saveAccessEntry(entry) {
+  await pool.execute(
+    `INSERT INTO line_access (line_id, id_type, role, name)
+     VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE id_type = VALUES(id_type), role = VALUES(role), name = VALUES(name)`,
+    [entry.lineId, entry.idType, entry.role, entry.name || null]
+  );
+}
+
+// Remove a group or user from the allowlist.
+async function deleteAccessEntry(lineId) {
+  const [result] = await pool.execute('DELETE FROM line_access WHERE line_id = ?', [lineId]);
+  return result.affectedRows > 0;
+}
+
+const WEB_ROLES = ['viewer', 'editor', 'admin'];
+
+// Convert a web_users row to application format
+function dbToAppWebUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    passwordHash: row.password_hash,
+    role: row.role,
+    lineUserId: row.line_user_id,
+    active: !!row.active,
+    lastLoginAt: row.last_login_at,
+    createdAt: row.created_at
+  };
+}
+
+// Every dashboard account, by user name.
+async function getWebUsers() {
+  const [rows] = await pool.execute('SELECT * FROM web_users ORDER BY username');
+  return rows.map(dbToAppWebUser);
+}
+
+async function countWebUsers() {
+  const [rows] = await pool.execute('SELECT COUNT(*) AS count FROM web_users');
+  return Number(rows[0].count);
+}
+
+async function getWebUser(id) {
+  const [rows] = await pool.execute('SELECT * FROM web_users WHERE id = ?', [id]);
+  return rows.length > 0 ? dbToAppWebUser(rows[0]) : null;
+}
+
+async function getWebUserByUsername(username) {
+  const [rows] = await pool.execute('SELECT * FROM web_users WHERE username = ?', [username]);
+  return rows.length > 0 ? dbToAppWebUser(rows[0]) : null;
+}
+
+// The account linked to a LINE user ID (for login from LINE)
+async function getWebUserByLineId(lineUserId) {
+  const [rows] = await pool.execute('SELECT * FROM web_users WHERE line_user_id = ?', [lineUserId]);
+  return rows.length > 0 ? dbToAppWebUser(rows[0]) : null;
+}
+
+// Create an account; returns its id.
+async function createWebUser(user) {
+  const [result] = await pool.execute(
+    'INSERT INTO web_users (username, password_hash, role, line_user_id) VALUES (?, ?, ?, ?)',
+    [user.username, user.passwordHash, user.role, user.lineUserId || null]
+  );
+  return result.insertId;
+}
+
+// Change an account's role, active flag, LINE user ID and/or password hash (only the
+// fields given are updated).
+async function updateWebUser(id, changes) {
+  const columns = { role: 'role', active: 'active', lineUserId: 'line_user_id', passwordHash: 'password_hash' };
+  const fields = Object.keys(columns).filter(key => changes[key] !== undefined);
+  if (fields.length === 0) return;
+  await pool.execute(
+    `UPDATE web_users SET ${fields.map(key => `${columns[key]} = ?`).join(', ')} WHERE id = ?`,
+    [...fields.map(key => key === 'active' ? (changes.active ? 1 : 0) : changes[key]), id]
+  );
+}
+
+async function markWebUserLogin(id) {
+  await pool.execute('UPDATE web_users SET last_login_at = NOW() WHERE id = ?', [id]);
+}
+
+// Sessions and one-time LINE login links are looked up by the SHA-256 of their token, so
+// the table never holds a usable token.
+async function createWebSession(tokenHash, userId, ttlSeconds) {
+  await pool.execute(
+    'INSERT INTO web_sessions (token_hash, user_id, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))',
+    [tokenHash, userId, ttlSeconds]
+  );
+}
+
+// The active account behind an unexpired session, or null.
+async function getWebSessionUser(tokenHash) {
+  const [rows] = await pool.execute(
+    `SELECT u.* FROM web_sessions s JOIN web_users u ON u.id = s.user_id
+     WHERE s.token_hash = ? AND s.expires_at > NOW() AND u.active = 1`,
+    [tokenHash]
+  );
+  return rows.length > 0 ? dbToAppWebUser(rows[0]) : null;
+}
+
+async function deleteWebSession(tokenHash) {
+  await pool.execute('DELETE FROM web_sessions WHERE token_hash = ?', [tokenHash]);
+}
+
+// Sign an account out everywhere (after a password reset or deactivation).
+async function deleteWebSessionsForUser(userId) {
+  await pool.execute('DELETE FROM web_sessions WHERE user_id = ?', [userId]);
+}
+
+async function deleteExpiredWebSessions() {
+  await pool.execute('DELETE FROM web_sessions WHERE expires_at <= NOW()');
+  await pool.execute('DELETE FROM web_login_tokens WHERE expires_at <= NOW()');
+}
+
+async function createWebLoginToken(tokenHash, userId, ttlSeconds) {
+  await pool.execute(
+    'INSERT INTO web_login_tokens (token_hash, user_id, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))',
+    [tokenHash, userId, ttlSeconds]
+  );
+}
+
+// Use up a LINE login link; returns the active account it was issued for, or null when the
+// link is unknown, expired or already used.
+async function consumeWebLoginToken(tokenHash) {
+  const [rows] = await pool.execute(
+    'SELECT user_id FROM web_login_tokens WHERE token_hash = ? AND expires_at > NOW()',
+    [tokenHash]
+  );
+  if (rows.length === 0) return null;
+  const [result] = await pool.execute('DELETE FROM web_login_tokens WHERE token_hash = ?', [tokenHash]);
+  if (result.affectedRows === 0) return null;
+  const user = await getWebUser(rows[0].user_id);
+  return user && user.active ? user : null;
+}
+
+// Convert an api_keys row to application format
+function dbToAppApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+// Every API key, newest first (revoked ones included, for the record).
+async function getApiKeys() {
+  const [rows] = await pool.execute('SELECT * FROM api_keys ORDER BY revoked_at IS NOT NULL, created_at DESC');
+  return rows.map(dbToAppApiKey);
+}
+
+// Create an API key from the SHA-256 of its value; returns its id.
+async function createApiKey(key) {
+  const [result] = await pool.execute(
+    'INSERT INTO api_keys (name, key_hash, role, created_by) VALUES (?, ?, ?, ?)',
+    [key.name, key.keyHash, key.role, key.createdBy || null]
+  );
+  return result.insertId;
+}
+
+// The unrevoked key with this hash, or null. Marks it as used; last_used_at is only
+// rewritten once a minute, so a busy client doesn't cost an UPDATE per request.
+async function useApiKey(keyHash) {
+  const [rows] = await pool.execute('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL', [keyHash]);
+  if (rows.length === 0) return null;
+  await pool.execute(
+    `UPDATE api_keys SET last_used_at = NOW()
+     WHERE id = ? AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL 1 MINUTE)`,
+    [rows[0].id]
+  );
+  return dbToAppApiKey(rows[0]);
+}
+
+async function revokeApiKey(id) {
+  const [result] = await pool.execute('UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', [id]);
+  return result.affectedRows > 0;
+}
+
+// Convert a line_groups row to application format
+function dbToAppLineGroup(row) {
+  return {
+    groupId: row.group_id,
+    name: row.name,
+    notify: !!row.notify,
+    joinedAt: row.joined_at,
+    leftAt: row.left_at
+  };
+}
+
+// Register a group the bot was added to. Rejoining clears left_at and keeps the notify flag.
+async function saveLineGroup(group) {
+  await pool.execute(
+    `INSERT INTO line_groups (group_id, name, joined_at)
+     VALUES (?, ?, NOW())
+     ON DUPLICATE KEY UPDATE name = COALESCE(VALUES(name), name), joined_at = NOW(), left_at = NULL`,
+    [group.groupId, group.name || null]
+  );
+}
+
+// Record that the bot was removed from a group.
+async function markLineGroupLeft(groupId) {
+  await pool.execute('UPDATE line_groups SET left_at = NOW() WHERE group_id = ?', [groupId]);
+}
+
+// Every group the bot has joined, current groups first, newest first.
+async function getLineGroups() {
+  const [rows] = await pool.execute(
+    'SELECT * FROM line_groups ORDER BY left_at IS NOT NULL, joined_at DESC'
+  );
+  return rows.map(dbToAppLineGroup);
+}
+
+// Turn recorded-plan notifications on or off for a group.
+async function setLineGroupNotify(groupId, notify) {
+  const [result] = await pool.execute(
+    'UPDATE line_groups SET notify = ? WHERE group_id = ?',
+    [notify ? 1 : 0, groupId]
+  );
+  return result.affectedRows > 0;
+}
+
+// IDs of groups the bot is still in that should receive notifications.
+async function getNotificationGroupIds() {
+  const [rows] = await pool.execute(
+    'SELECT group_id FROM line_groups WHERE notify = 1 AND left_at IS NULL'
+  );
+  return rows.map(r => r.group_id);
+}
+
+// Convert an ocr_archive row to application format
+function dbToAppArchive(row) {
+  return {
+    messageId: row.message_id,
+    groupId: row.group_id,
+    userId: row.user_id,
+    fileType: row.file_type,
+    fileName: row.file_name,
+    ocrProvider: row.ocr_provider,
+    rawResult: row.raw_result ? (typeof row.raw_result === 'string' ? JSON.parse(row.raw_result) : row.raw_result) : null,
+    createdAt: row.created_at
+  };
+}
+
+// Archive an incoming image/file and its raw layout OCR result (null if OCR never ran).
+// Saving the same message again keeps an earlier OCR result unless a new one is given.
+async function saveOCRArchive(entry) {
+  await pool.execute(
+    `INSERT INTO ocr_archive (message_id, group_id, user_id, file_type, file_name, ocr_provider, raw_result)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       file_name = VALUES(file_name),
+       ocr_provider = COALESCE(VALUES(ocr_provider), ocr_provider),
+       raw_result = COALESCE(VALUES(raw_result), raw_result)`,
+    [
+      entry.messageId,
+      entry.groupId || null,
+      entry.userId || null,
+      entry.fileType,
+      entry.fileName,
+      entry.ocrProvider || null,
+      entry.rawResult ? JSON.stringify(entry.rawResult) : null
+    ]
+  );
+}
+
+// Get the archive of a LINE message, or null if it wasn't archived.
+async function getOCRArchive(messageId) {
+  const [rows] = await pool.execute('SELECT * FROM ocr_archive WHERE message_id = ?', [messageId]);
+  return rows.length > 0 ? dbToAppArchive(rows[0]) : null;
+}
+
+// Which of the given message IDs have an archive. Returns a Set.
+async function getArchivedMessageIds(messageIds) {
+  const ids = messageIds.filter(Boolean);
+  if (ids.length === 0) return new Set();
+  const [rows] = await pool.execute(
+    `SELECT message_id FROM ocr_archive WHERE message_id IN (${ids.map(() => '?').join(', ')})`,
+    ids
+  );
+  return new Set(rows.map(r => r.message_id));
+}
+
+// Convert a products row to application format
+function dbToAppProduct(row) {
+  return {
+    code: row.code,
+    nameTh: row.name_th,
+    nameEn: row.name_en,
+    keywords: typeof row.keywords === 'string' ? JSON.parse(row.keywords) : (row.keywords || []),
+    icon: row.icon || '',
+    color: row.color,
+    bgColor: row.bg_color,
+    displayOrder: row.display_order,
+    active: !!row.active
+  };
+}
+
+// Convert a cdcs row to application format
+function dbToAppCDC(row) {
+  return {
+    code: row.code,
+    name: row.name,
+    nameEn: row.name_en,
+    keywords: typeof row.keywords === 'string' ? JSON.parse(row.keywords) : (row.keywords || []),
+    color: row.color,
+    displayOrder: row.display_order,
+    active: !!row.active
+  };
+}
+
+// Insert or update a product by code
+async function saveProduct(product) {
+  await pool.execute(
+    `INSERT INTO products (code, name_th, name_en, keywords, icon, color, bg_color, display_order, active)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE name_th = VALUES(name_th), name_en = VALUES(name_en), keywords = VALUES(keywords),
+       icon = VALUES(icon), color = VALUES(color), bg_color = VALUES(bg_color),
+       display_order = VALUES(display_order), active = VALUES(active)`,
+    [product.code, product.nameTh, product.nameEn || null, JSON.stringify(product.keywords || []),
+      product.icon || null, product.color, product.bgColor, product.displayOrder, product.active ? 1 : 0]
+  );
+}
+
+// Insert or update a CDC by code
+async function saveCDC(cdc) {
+  await pool.execute(
+    `INSERT INTO cdcs (code, name, name_en, keywords, color, display_order, active)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE name = VALUES(name), name_en = VALUES(name_en), keywords = VALUES(keywords),
+       color = VALUES(color), display_order = VALUES(display_order), active = VALUES(active)`,
+    [cdc.code, cdc.name, cdc.nameEn || null, JSON.stringify(cdc.keywords || []),
+      cdc.color || null, cdc.displayOrder, cdc.active ? 1 : 0]
+  );
+}
+
+// Load products and CDCs into catalog.js, seeding empty tables with the built-in defaults.
+// Keeps the defaults (and logs why) when the tables can't be read.
+async function loadCatalog() {
+  try {
+    let [productRows] = await pool.execute('SELECT * FROM products ORDER BY display_order, code');
+    if (productRows.length === 0) {
+      for (const product of catalog.DEFAULT_PRODUCTS) await saveProduct(product);
+      [productRows] = await pool.execute('SELECT * FROM products ORDER BY display_order, code');
+    }
+    let [cdcRows] = await pool.execute('SELECT * FROM cdcs ORDER BY display_order, code');
+    if (cdcRows.length === 0) {
+      for (const cdc of catalog.DEFAULT_CDCS) await saveCDC(cdc);
+      [cdcRows] = await pool.execute('SELECT * FROM cdcs ORDER BY display_order, code');
+    }
+    catalog.setCatalog(productRows.map(dbToAppProduct), cdcRows.map(dbToAppCDC));
+    console.log(`[CATALOG] Loaded ${productRows.length} products and ${cdcRows.length} CDCs`);
+    return true;
+  } catch (error) {
+    console.error('[CATALOG] Using built-in products and CDCs:', error.message);
+    return false;
+  }
+}
+
 async function testConnection() {
   try {
     const connection = await pool.getConnection();
@@ -346,21 +1086,69 @@ module.exports = {
   getDailyRecord,
   isDateRecorded,
   saveDailyRecord,
+  withTransaction,
   getDailyRecordsByMonth,
+  getDailyRecordsInRange,
   loadDailyRecords,
+  getUnreconciledRecords,
+  getVendorTotals,
   saveDetectionLog,
   getDetectionLogs,
   getAggregateByCategory,
+  getExportAggregateByCategory,
   getLatestDayWithData,
   getKnownCategories,
   getTargets,
   getTargetsYTD,
   upsertTarget,
+  getTargetList,
+  deleteTarget,
+  savePendingRecord,
+  getPendingRecord,
+  getOpenPendingRecords,
+  updatePendingResults,
+  resolvePendingRecord,
+  expirePendingRecords,
+  saveSupersededRecord,
+  getRecordHistory,
+  getAccessEntries,
+  getAccessEntriesFor,
+  saveAccessEntry,
+  deleteAccessEntry,
+  getWebUsers,
+  countWebUsers,
+  getWebUser,
+  getWebUserByUsername,
+  getWebUserByLineId,
+  createWebUser,
+  updateWebUser,
+  markWebUserLogin,
+  createWebSession,
+  getWebSessionUser,
+  deleteWebSession,
+  deleteWebSessionsForUser,
+  deleteExpiredWebSessions,
+  createWebLoginToken,
+  consumeWebLoginToken,
+  getApiKeys,
+  createApiKey,
+  useApiKey,
+  revokeApiKey,
+  saveLineGroup,
+  markLineGroupLeft,
+  getLineGroups,
+  setLineGroupNotify,
+  getNotificationGroupIds,
+  saveOCRArchive,
+  getOCRArchive,
+  getArchivedMessageIds,
+  saveProduct,
+  saveCDC,
+  loadCatalog,
   testConnection,
   toMySQLDate,
   toDisplayDate,
-  cdcColumnMapping,
-  columnToCdcMapping,
-  CATEGORIES,
-  CATEGORY_NAMES
+  ACCESS_ROLES,
+  WEB_ROLES,
+  DETECTION_STATUSES
 };
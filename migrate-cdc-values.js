@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Migration script: CDC columns to daily_cdc_values
+ * Copies the per-CDC values of every daily record from the old daily_records columns
+ * (cdc_bangbuathong ... cdc_khonkaen, khon_kaen_laos, khon_kaen_cambodia)
+ * into the daily_cdc_values table.
+ *
+ * Records that already have daily_cdc_values rows (saved since the upgrade, or migrated by
+ * an earlier run) are left alone, so the script can be run again safely.
+ *
+ * It also adds the crate columns (full_crates, partial_bottles, total_crates) to a
+ * daily_cdc_values table created before they were added to schema.sql.
+ *
+ * Usage:
+ *   node migrate-cdc-values.js
+ */
+
+require('dotenv').config();
+const db = require('./db');
+
+// Old daily_records column → daily_cdc_values.cdc_code
+const LEGACY_COLUMNS = {
+  cdc_bangbuathong: 'bangbuathong',
+  cdc_nakhonratchasima: 'nakhonratchasima',
+  cdc_nakhonsawan: 'nakhonsawan',
+  cdc_chonburi: 'chonburi',
+  cdc_mahachai: 'mahachai',
+  cdc_suvarnabhumi: 'suvarnabhumi',
+  cdc_hadyai: 'hadyai',
+  cdc_phuket: 'phuket',
+  cdc_chiangmai: 'chiangmai',
+  cdc_surat: 'surat',
+  cdc_khonkaen: 'khonkaen',
+  khon_kaen_laos: 'khonkaen_laos',
+  khon_kaen_cambodia: 'khonkaen_cambodia'
+};
+
+// [cdc_code, value] pairs held by the old columns of a daily_records row
+function legacyValues(row, columns) {
+  const values = [];
+  for (const column of columns) {
+    if (row[column] !== null && row[column] !== undefined) {
+      values.push([LEGACY_COLUMNS[column], row[column]]);
+    }
+  }
+  return values;
+}
+
+// Crate columns of daily_cdc_values, in schema.sql order, and where each one goes
+const CRATE_COLUMNS = [
+  ['full_crates', 'value'],
+  ['partial_bottles', 'full_crates'],
+  ['total_crates', 'partial_bottles']
+];
+
+async function addCrateColumns() {
+  console.log('\n=== Checking crate columns ===');
+
+  const [columnRows] = await db.pool.query('SHOW COLUMNS FROM daily_cdc_values');
+  const existing = new Set(columnRows.map(c => c.Field));
+  const missing = CRATE_COLUMNS.filter(([column]) => !existing.has(column));
+  if (missing.length === 0) {
+    console.log('daily_cdc_values already has the crate columns');
+    return 0;
+  }
+
+  await db.pool.query(`ALTER TABLE daily_cdc_values ${missing.map(([column, after]) => `ADD COLUMN ${column} INT DEFAULT NULL AFTER ${after}`).join(', ')}`);
+  console.log(`Added ${missing.map(([column]) => column).join(', ')}`);
+  return missing.length;
+}
+
+async function migrateCdcValues() {
+  console.log('\n=== Migrating CDC values ===');
+
+  const [columnRows] = await db.pool.query('SHOW COLUMNS FROM daily_records');
+  const existing = new Set(columnRows.map(c => c.Field));
+  const columns = Object.keys(LEGACY_COLUMNS).filter(c => existing.has(c));
+  if (columns.length === 0) {
+    console.log('daily_records has no CDC columns left, nothing to migrate');
+    return { migrated: 0, skipped: 0, values: 0 };
+  }
+
+  const [rows] = await db.pool.query(`SELECT date, category, ${columns.join(', ')} FROM daily_records ORDER BY date ASC, category ASC`);
+  const [doneRows] = await db.pool.query('SELECT DISTINCT date, category FROM daily_cdc_values');
+  const recordKey = row => `${db.toDisplayDate(row.date)}|${row.category}`;
+  const done = new Set(doneRows.map(recordKey));
+  console.log(`Found ${rows.length} daily records (${done.size} already have CDC values)`);
+
+  let migrated = 0;
+  let skipped = 0;
+  let valueCount = 0;
+  for (const row of rows) {
+    if (done.has(recordKey(row))) {
+      skipped++;
+      continue;
+    }
+    const values = legacyValues(row, columns);
+    if (values.length > 0) {
+      const date = db.toMySQLDate(db.toDisplayDate(row.date));
+      await db.pool.query(
+        'INSERT INTO daily_cdc_values (date, category, cdc_code, value) VALUES ?',
+        [values.map(([code, value]) => [date, row.category, code, value])]
+      );
+      valueCount += values.length;
+    }
+    migrated++;
+    process.stdout.write(`\rRecords: ${migrated + skipped}/${rows.length}`);
+  }
+
+  console.log(`\nCDC value migration complete: ${migrated} records (${valueCount} values), ${skipped} skipped`);
+  return { migrated, skipped, values: valueCount };
+}
+
+async function verifyMigration() {
+  console.log('\n=== Verifying Migration ===');
+
+  // Records that didn't add up before the move are listed here too
+  const unreconciled = await db.getUnreconciledRecords();
+  console.log(`Records whose CDC values don't add up to total_sum: ${unreconciled.length} (see /reconciliation)`);
+}
+
+async function main() {
+  console.log('=================================');
+  console.log('CDC Values Migration Script');
+  console.log('=================================');
+
+  const connected = await db.testConnection();
+  if (!connected) {
+    console.error('\nFailed to connect to MySQL database.');
+    console.error('Please ensure:');
+    console.error('1. MySQL server is running');
+    console.error('2. The daily_cdc_values table exists (run schema.sql first)');
+    console.error('3. .env file has correct MYSQL_* credentials');
+    process.exit(1);
+  }
+  await db.loadCatalog();
+
+  try {
+    await addCrateColumns();
+    await migrateCdcValues();
+    await verifyMigration();
+
+    console.log('\n=================================');
+    console.log('Migration completed successfully!');
+    console.log('The old CDC columns can now be dropped (see the upgrade section of schema.sql)');
+    console.log('=================================');
+
+  } catch (error) {
+    console.error('\nMigration failed:', error);
+    process.exit(1);
+  } finally {
+    await db.pool.end();
+  }
+}
+
+main();
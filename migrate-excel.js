@@ -293,7 +293,7 @@ async function parseAndMigrateSheet(sheet, sheetName, category, dryRun = false)
         // Check if already exists
         const exists = await db.isDateRecorded(dateStr, category);
         if (!exists) {
-          await db.saveDailyRecord(record, category);
+          await db.saveDailyRecord(record, category, { source: 'migration', sourceId: `migrate-excel.js ${sheetName}` });
           processed++;
         } else {
           skipped++;
@@ -356,6 +356,7 @@ async function main() {
       console.error('3. .env file has correct MYSQL_* credentials');
       process.exit(1);
     }
+    await db.loadCatalog();
   }
 
   // Process each sheet
@@ -28,7 +28,7 @@ async function migrateDailyRecords() {
       console.log(`Found ${records.orange.length} orange records`);
       for (const record of records.orange) {
         try {
-          await db.saveDailyRecord(record, 'orange');
+          await db.saveDailyRecord(record, 'orange', { source: 'migration', sourceId: 'migrate-json.js' });
           orangeCount++;
           process.stdout.write(`\rOrange: ${orangeCount}/${records.orange.length}`);
         } catch (error) {
@@ -44,7 +44,7 @@ async function migrateDailyRecords() {
       console.log(`Found ${yuzuRecords.length} yuzu records`);
       for (const record of yuzuRecords) {
         try {
-          await db.saveDailyRecord(record, 'yuzu');
+          await db.saveDailyRecord(record, 'yuzu', { source: 'migration', sourceId: 'migrate-json.js' });
           yuzuCount++;
           process.stdout.write(`\rYuzu: ${yuzuCount}/${yuzuRecords.length}`);
         } catch (error) {
@@ -146,6 +146,7 @@ async function main() {
     console.error('3. .env file has correct MYSQL_* credentials');
     process.exit(1);
   }
+  await db.loadCatalog();
 
   try {
     // Run migrations
@@ -0,0 +1,133 @@
+// OCR providers. A provider is { name, analyzeLayout(buffer) } where analyzeLayout resolves
+// to the Azure prebuilt-layout shape the rest of the pipeline reads:
+//   { pages: [{ pageNumber, lines: [{ content, polygon: [{ x, y }, ...] }] }],
+//     tables: [{ rowCount, columnCount, cells: [{ rowIndex, columnIndex, rowSpan, columnSpan, content, confidence }] }] }
+// server.js turns that into tableData, so recordDailyData never knows which engine ran.
+//
+//   azure   Azure Document Intelligence prebuilt-layout (AZURE_DOCUMENT_INTELLIGENCE_*)
+//   replay  results saved on disk, matched to the image by its SHA-256 (<sha256>.json in
+//           OCR_REPLAY_DIR) — runs the whole pipeline offline in tests and development
+//
+// With OCR_RECORD_DIR set, the azure provider saves every result as <sha256>.json there,
+// ready to be replayed.
+
+require('dotenv').config();
+const { DocumentAnalysisClient, AzureKeyCredential } = require('@azure/ai-form-recognizer');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// SHA-256 of an image, used as the file name of its saved result
+function imageHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Lowest confidence of the words inside a cell's spans. Azure scores words, not table
+// cells, so a cell is only as certain as its least certain word.
+function spanConfidence(words, spans) {
+  if (!spans || spans.length === 0) return undefined;
+  const confidences = words
+    .filter(w => w.span && w.confidence != null &&
+      spans.some(s => w.span.offset >= s.offset && w.span.offset < s.offset + s.length))
+    .map(w => w.confidence);
+  return confidences.length > 0 ? Math.min(...confidences) : undefined;
+}
+
+// Keep only the fields the pipeline reads, so saved results stay small and any engine
+// can produce the same shape.
+function toLayoutResult(result) {
+  const words = (result.pages || []).flatMap(page => page.words || []);
+  return {
+    pages: (result.pages || []).map(page => ({
+      pageNumber: page.pageNumber,
+      lines: (page.lines || []).map(line => ({
+        content: line.content,
+        polygon: line.polygon ? line.polygon.map(p => ({ x: p.x, y: p.y })) : undefined
+      }))
+    })),
+    tables: (result.tables || []).map(table => ({
+      rowCount: table.rowCount,
+      columnCount: table.columnCount,
+      cells: table.cells.map(cell => ({
+        rowIndex: cell.rowIndex,
+        columnIndex: cell.columnIndex,
+        rowSpan: cell.rowSpan,
+        columnSpan: cell.columnSpan,
+        content: cell.content,
+        confidence: cell.confidence ?? spanConfidence(words, cell.spans)
+      }))
+    }))
+  };
+}
+
+function createAzureProvider(options = {}) {
+  const endpoint = options.endpoint || process.env.AZURE_DOCUMENT_INTELLIGENCE_ENDPOINT;
+  const key = options.key || process.env.AZURE_DOCUMENT_INTELLIGENCE_KEY;
+  const recordDir = options.recordDir || process.env.OCR_RECORD_DIR || null;
+  // Created on first use so the server can start (e.g. in tests) without Azure credentials
+  let client = null;
+
+  return {
+    name: 'azure',
+    async analyzeLayout(buffer) {
+      if (!client) client = new DocumentAnalysisClient(endpoint, new AzureKeyCredential(key));
+      const poller = await client.beginAnalyzeDocument('prebuilt-layout', buffer);
+      const result = toLayoutResult(await poller.pollUntilDone());
+
+      if (recordDir) {
+        try {
+          await fs.mkdir(recordDir, { recursive: true });
+          const filePath = path.join(recordDir, `${imageHash(buffer)}.json`);
+          await fs.writeFile(filePath, JSON.stringify(result));
+          console.log(`[OCR] Recorded Azure result to ${filePath}`);
+        } catch (error) {
+          console.error('[OCR] Error recording Azure result:', error.message);
+        }
+      }
+      return result;
+    }
+  };
+}
+
+function createReplayProvider(options = {}) {
+  const dir = options.dir || process.env.OCR_REPLAY_DIR;
+  if (!dir) throw new Error('The replay OCR provider needs OCR_REPLAY_DIR');
+
+  return {
+    name: 'replay',
+    async analyzeLayout(buffer) {
+      const filePath = path.join(dir, `${imageHash(buffer)}.json`);
+      let json;
+      try {
+        json = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') throw new Error(`No saved OCR result for this image (${filePath})`);
+        throw error;
+      }
+      console.log(`[OCR] Replaying saved result ${filePath}`);
+      return toLayoutResult(JSON.parse(json));
+    }
+  };
+}
+
+const PROVIDERS = {
+  azure: createAzureProvider,
+  replay: createReplayProvider
+};
+
+// Create the provider named by OCR_PROVIDER (default: azure).
+function createOCRProvider(name = process.env.OCR_PROVIDER || 'azure', options = {}) {
+  const create = PROVIDERS[name.toLowerCase()];
+  if (!create) {
+    throw new Error(`Unknown OCR provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return create(options);
+}
+
+module.exports = {
+  createOCRProvider,
+  createAzureProvider,
+  createReplayProvider,
+  toLayoutResult,
+  imageHash
+};
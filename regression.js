@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+/**
+ * Extraction regression runner
+ * Runs the full extraction (replay OCR → layout → stitch → extractOCRResult, the steps
+ * recordOCRResult takes) offline over saved plans and reports every value that differs
+ * from the expected totals, so a heuristic change ([RATIO-FIX], [OCR-FIX], ...) can be
+ * checked against real past plans. Each saved layout is read back through the replay OCR provider
+ * (ocr.js), the same way OCR_PROVIDER=replay feeds it to the bot.
+ *
+ * Fixture format (fixtures/plans/<name>.json):
+ *   {
+ *     "description": "FC03+FC15 merged vendor cell",
+ *     "layout": { "pages": [...], "tables": [...] },     // or an array for split screenshots
+ *     "expected": {
+ *       "date": "15/03/2026",
+ *       "categories": {
+ *         "orange": { "totalSum": 12345, "cdcTotals": { "ชลบุรี": 1200, ... }, "khonKaenLaos": 300, "khonKaenCambodia": 0 }
+ *       }
+ *     }
+ *   }
+ * Only the values listed under "expected" are compared; a category that is extracted but
+ * not listed is reported too. A plan with one block of rows per day (splitDateBlocks) is
+ * extracted block by block, and "expected" is then an array with one entry per block. A
+ * plan that covers several days without blocks expects
+ *   { "needsAllocation": true, "dates": ["14/03/2026", "15/03/2026"] }
+ *
+ * Usage:
+ *   node regression.js [fixturesDir] [--only <name>] [--verbose]
+ *   node regression.js --add <messageId>[,<messageId>...] <name>
+ *       create a fixture from the OCR archive, with the current extraction as "expected"
+ *       (check the numbers against the plan before committing it)
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// server.js logs every extraction step; keep the report readable unless --verbose
+const print = console.log;
+const printError = console.error;
+if (!process.argv.includes('--verbose')) {
+  console.log = () => {};
+  console.error = () => {};
+}
+
+// Load server.js without starting the HTTP server, the database connection or the
+// background jobs (OFFLINE in server.js). The extraction never talks to LINE or
+// OpenAI, but their clients need credentials to be constructed.
+process.env.NODE_ENV = 'test';
+process.env.LINE_CHANNEL_SECRET = process.env.LINE_CHANNEL_SECRET || 'regression';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'regression';
+const db = require('./db');
+const server = require('./server');
+const catalog = require('./catalog');
+const ocr = require('./ocr');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'plans');
+
+// Replay provider over a scratch directory: each saved layout is written as the result of a
+// stand-in "image" (its JSON text) and read back by hash, as a recorded Azure result would be.
+async function createReplay() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'shinsen-regression-'));
+  const provider = ocr.createReplayProvider({ dir });
+  return {
+    async analyze(layout) {
+      const image = Buffer.from(JSON.stringify(layout));
+      await fs.writeFile(path.join(dir, `${ocr.imageHash(image)}.json`), image);
+      return provider.analyzeLayout(image);
+    },
+    close: () => fs.rm(dir, { recursive: true, force: true })
+  };
+}
+
+// Split screenshots are stitched as reprocessArchived does, then extracted by the bot's own
+// extractOCRResult (recordOCRResult minus the database). Returns one extraction per date
+// block, or a single one for a plan without blocks.
+async function runExtraction(layout, replay) {
+  const layouts = [];
+  for (const l of Array.isArray(layout) ? layout : [layout]) {
+    layouts.push(server.layoutToOCRResult(await replay.analyze(l)));
+  }
+  const result = layouts.length > 1 ? server.stitchLayouts(layouts) : layouts[0];
+  return server.extractOCRResult(result, { stitched: layouts.length > 1 });
+}
+
+// The "expected" of a fixture for extractions as they are now (see the format above)
+function expectationOf(extractions) {
+  if (extractions.length === 1 && extractions[0].needsAllocation) {
+    return { needsAllocation: true, dates: extractions[0].dates };
+  }
+  const days = extractions.map(extraction => ({
+    date: extraction.date || null,
+    categories: Object.fromEntries((extraction.results || []).map(({ category, record }) => [category, {
+      totalSum: record.totalSum,
+      cdcTotals: record.cdcTotals,
+      ...Object.fromEntries(catalog.EXPORT_DESTINATIONS.filter(d => record[d.field]).map(d => [d.field, record[d.field]]))
+    }]))
+  }));
+  return days.length === 1 ? days[0] : days;
+}
+
+// List "<path>: expected X, got Y" for every expected value the extraction got wrong
+function diffExtraction(expected, extraction) {
+  const diffs = [];
+  if (!extraction.success) {
+    return [`extraction failed: ${extraction.reason}`];
+  }
+  if (expected.date && expected.date !== extraction.date) {
+    diffs.push(`date: expected ${expected.date}, got ${extraction.date}`);
+  }
+
+  const actual = Object.fromEntries(extraction.results.map(r => [r.category, r.record]));
+  for (const [category, want] of Object.entries(expected.categories || {})) {
+    const got = actual[category];
+    if (!got) {
+      diffs.push(`${category}: expected, but not extracted`);
+      continue;
+    }
+    for (const field of ['totalSum', ...catalog.EXPORT_DESTINATIONS.map(d => d.field)]) {
+      if (want[field] !== undefined && want[field] !== got[field]) {
+        diffs.push(`${category}.${field}: expected ${want[field]}, got ${got[field]}`);
+      }
+    }
+    for (const [cdc, value] of Object.entries(want.cdcTotals || {})) {
+      const gotValue = got.cdcTotals?.[cdc] ?? 0;
+      if (value !== gotValue) {
+        diffs.push(`${category}.cdcTotals.${cdc}: expected ${value}, got ${gotValue} (${gotValue - value >= 0 ? '+' : ''}${gotValue - value})`);
+      }
+    }
+  }
+  for (const category of Object.keys(actual)) {
+    if (expected.categories && !expected.categories[category]) {
+      diffs.push(`${category}: extracted, but not expected`);
+    }
+  }
+  return diffs;
+}
+
+// diffExtraction over every date block, or a check of the dates of a plan needing allocation
+function diffExtractions(expected, extractions) {
+  if (expected.needsAllocation) {
+    const [extraction] = extractions;
+    if (extractions.length !== 1 || !extraction.needsAllocation) {
+      const got = extractions.map(e => e.date || e.reason).join(', ');
+      return [`expected a plan needing allocation, got ${extractions.length} extraction(s): ${got}`];
+    }
+    const want = (expected.dates || []).join(', ');
+    const got = extraction.dates.join(', ');
+    return expected.dates && want !== got ? [`dates: expected ${want}, got ${got}`] : [];
+  }
+
+  const days = Array.isArray(expected) ? expected : [expected];
+  if (days.length !== extractions.length) {
+    return [`expected ${days.length} date block(s), got ${extractions.length}`];
+  }
+  return days.flatMap((day, i) => diffExtraction(day, extractions[i])
+    .map(diff => (days.length > 1 ? `[${day.date || `block ${i + 1}`}] ${diff}` : diff)));
+}
+
+async function runFixtures(dir, options) {
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter(f => f.endsWith('.json')).sort();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    files = [];
+  }
+  if (options.only) files = files.filter(f => path.basename(f, '.json') === options.only);
+  if (files.length === 0) {
+    print(`No fixtures in ${dir} (create one with: node regression.js --add <messageId> <name>)`);
+    return 1;
+  }
+
+  let failed = 0;
+  const replay = await createReplay();
+  try {
+    for (const file of files) {
+      const name = path.basename(file, '.json');
+      const fixture = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+
+      let diffs;
+      try {
+        diffs = diffExtractions(fixture.expected, await runExtraction(fixture.layout, replay));
+      } catch (error) {
+        diffs = [`threw ${error.stack || error}`];
+      }
+
+      if (diffs.length === 0) {
+        print(`✓ ${name}`);
+      } else {
+        failed++;
+        print(`✗ ${name}${fixture.description ? ` — ${fixture.description}` : ''}`);
+        for (const diff of diffs) print(`    ${diff}`);
+      }
+    }
+  } finally {
+    await replay.close();
+  }
+
+  print(`\n${files.length - failed}/${files.length} fixtures passed`);
+  return failed > 0 ? 1 : 0;
+}
+
+// Write a fixture from archived OCR results, with the current extraction as the expectation
+async function addFixture(dir, messageIds, name) {
+  const layouts = [];
+  for (const messageId of messageIds) {
+    const archive = await db.getOCRArchive(messageId);
+    if (!archive || !archive.rawResult) {
+      print(`No archived OCR result for message ${messageId}`);
+      return 1;
+    }
+    layouts.push(archive.rawResult);
+  }
+  const layout = layouts.length > 1 ? layouts : layouts[0];
+
+  const replay = await createReplay();
+  let extractions;
+  try {
+    extractions = await runExtraction(layout, replay);
+  } finally {
+    await replay.close();
+  }
+  for (const extraction of extractions) {
+    if (!extraction.success && !extraction.needsAllocation) {
+      print(`Extraction failed (${extraction.reason}); fill in "expected" by hand`);
+    }
+  }
+  const expected = expectationOf(extractions);
+
+  await fs.mkdir(dir, { recursive: true });
+  const filePath = path.join(dir, `${name}.json`);
+  await fs.writeFile(filePath, JSON.stringify({ description: '', messageIds, layout, expected }, null, 2) + '\n');
+  print(`Wrote ${filePath} — check "expected" against the plan before committing it`);
+  return 0;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const flag = name => {
+    const idx = args.indexOf(name);
+    return idx === -1 ? null : args.splice(idx, 2)[1];
+  };
+  const only = flag('--only');
+  const add = flag('--add');
+  const positional = args.filter(a => !a.startsWith('--'));
+
+  let exitCode;
+  try {
+    if (add) {
+      if (!positional[0]) {
+        print('Usage: node regression.js --add <messageId>[,<messageId>...] <name>');
+        exitCode = 1;
+      } else {
+        exitCode = await addFixture(DEFAULT_FIXTURES_DIR, add.split(','), positional[0]);
+      }
+    } else {
+      exitCode = await runFixtures(positional[0] || DEFAULT_FIXTURES_DIR, { only });
+    }
+  } catch (error) {
+    printError('Regression run failed:', error);
+    exitCode = 1;
+  }
+
+  // server.js keeps the MySQL pool open; nothing else is pending once the report is out
+  process.exit(exitCode);
+}
+
+main();
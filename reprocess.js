@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Reprocess archived plans
+ * Re-runs preprocessTableData → recordDailyData on the archived OCR result of one or more
+ * LINE messages (ocr_archive table) without calling the OCR provider again. Several
+ * message IDs are stitched into one plan, as a batch of screenshots would be.
+ *
+ * Usage:
+ *   node reprocess.js <messageId> [<messageId> ...] [--correction]
+ *
+ * --correction  re-extract dates that are already recorded and hold the changes as a
+ *               pending correction (confirm at /pending/<id>)
+ */
+
+require('dotenv').config();
+// Load server.js without starting the HTTP server
+process.env.NODE_ENV = 'test';
+const db = require('./db');
+const { reprocessArchived } = require('./server');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const correction = args.includes('--correction');
+  const messageIds = args.filter(a => !a.startsWith('--')).flatMap(a => a.split(',')).filter(Boolean);
+
+  if (messageIds.length === 0) {
+    console.error('Usage: node reprocess.js <messageId> [<messageId> ...] [--correction]');
+    process.exit(1);
+  }
+
+  const connected = await db.testConnection();
+  if (!connected) {
+    console.error('\nFailed to connect to MySQL database. Check the MYSQL_* settings in .env');
+    process.exit(1);
+  }
+  await db.loadCatalog();
+
+  try {
+    const recordResults = await reprocessArchived(messageIds, { correction });
+
+    console.log('\n=================================');
+    // One result per day of the plan
+    for (const recordResult of recordResults) {
+      if (recordResult.success && recordResult.pending) {
+        console.log(`Held for confirmation as pending #${recordResult.pendingId} (${recordResult.date})`);
+      } else if (recordResult.success) {
+        console.log(`Recorded ${recordResult.date}: ${recordResult.results.map(r => `${r.category} ${r.record.totalSum}`).join(', ')}`);
+      } else {
+        console.log(`Not recorded: ${recordResult.reason}`);
+        process.exitCode = 1;
+      }
+    }
+    console.log('=================================');
+  } catch (error) {
+    console.error('\nReprocess failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+}
+
+main();
@@ -6,27 +6,22 @@ USE shinsen_bot;
 
 -- Table: daily_records
 -- Stores daily sales records for all product categories
--- Categories: orange, yuzu, pop (Shinsen Pop), mixed (น้ำผลไม้รวม), tomato (Tomato Yuzu), pineapple (น้ำสับปะรด)
+-- category is a products.code (orange, yuzu, pop, mixed, tomato, pineapple, ...). The per-CDC
+-- breakdown is in daily_cdc_values.
 CREATE TABLE IF NOT EXISTS daily_records (
   id INT AUTO_INCREMENT PRIMARY KEY,
   date DATE NOT NULL,
-  category ENUM('orange', 'yuzu', 'pop', 'mixed', 'tomato', 'pineapple') NOT NULL,
+  category VARCHAR(50) NOT NULL,
   timestamp DATETIME NOT NULL,
   fc33_hadyai_sum INT DEFAULT 0,
   total_sum INT DEFAULT 0,
-  cdc_bangbuathong INT DEFAULT 0,
-  cdc_nakhonratchasima INT DEFAULT 0,
-  cdc_nakhonsawan INT DEFAULT 0,
-  cdc_chonburi INT DEFAULT 0,
-  cdc_mahachai INT DEFAULT 0,
-  cdc_suvarnabhumi INT DEFAULT 0,
-  cdc_hadyai INT DEFAULT 0,
-  cdc_phuket INT DEFAULT 0,
-  cdc_chiangmai INT DEFAULT 0,
-  cdc_surat INT DEFAULT 0,
-  cdc_khonkaen INT DEFAULT 0,
-  khon_kaen_laos INT DEFAULT NULL,
-  khon_kaen_cambodia INT DEFAULT NULL,
+  confidence DECIMAL(4,3) DEFAULT NULL,   -- lowest OCR confidence of the CDC values (0-1)
+  cdc_confidence JSON DEFAULT NULL,       -- {"หาดใหญ่": 0.93, ...}
+  corrections JSON DEFAULT NULL,          -- [{"cdc", "row", "type", "from", "to"}, ...]
+  cell_sum INT DEFAULT NULL,              -- CDC values as read, before corrections
+  yodruam_total INT DEFAULT NULL,         -- ยอดรวม read from the page text
+  corrected_sum INT DEFAULT NULL,         -- CDC values after corrections
+  reconcile_diff INT DEFAULT NULL,        -- total_sum - corrected_sum
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   UNIQUE KEY unique_date_category (date, category),
   INDEX idx_date (date),
@@ -34,6 +29,46 @@ CREATE TABLE IF NOT EXISTS daily_records (
   INDEX idx_date_category (date, category)
 );
 
+-- Table: daily_cdc_values
+-- One row per daily record and CDC. cdc_code is a cdcs.code, or an export destination
+-- (khonkaen_laos, khonkaen_cambodia; see EXPORT_DESTINATIONS in catalog.js). Every CDC the
+-- plan was read for is stored, zeros included; the rows of a record are replaced whenever
+-- it is saved. The crate columns sum the ตะกร้า columns of the CDC's plan rows (NULL for
+-- export destinations and records without crate counts).
+CREATE TABLE IF NOT EXISTS daily_cdc_values (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  date DATE NOT NULL,
+  category VARCHAR(50) NOT NULL,
+  cdc_code VARCHAR(50) NOT NULL,
+  value INT NOT NULL DEFAULT 0,
+  full_crates INT DEFAULT NULL,           -- ตะกร้าเต็ม
+  partial_bottles INT DEFAULT NULL,       -- ตะกร้าเศษ: bottles in the last partly filled crate
+  total_crates INT DEFAULT NULL,          -- ตะกร้ารวม
+  UNIQUE KEY unique_date_category_cdc (date, category, cdc_code),
+  INDEX idx_cdc_code (cdc_code)
+);
+
+-- Table: daily_vendor_values
+-- One row per daily record and vendor (FC code, e.g. FC33): the vendor's bottles of the
+-- product and the crates its rows list (ตะกร้าเต็ม, ตะกร้าเศษ = bottles in the last partly
+-- filled crate, ตะกร้ารวม). cdc_code is the CDC the vendor's rows were counted under. The
+-- rows of a record are replaced whenever it is saved with a vendor breakdown; records
+-- imported by migrate-excel.js have none.
+CREATE TABLE IF NOT EXISTS daily_vendor_values (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  date DATE NOT NULL,
+  category VARCHAR(50) NOT NULL,
+  vendor_code VARCHAR(50) NOT NULL,
+  vendor_name VARCHAR(255) DEFAULT NULL,
+  cdc_code VARCHAR(50) DEFAULT NULL,
+  bottles INT NOT NULL DEFAULT 0,
+  full_crates INT NOT NULL DEFAULT 0,
+  partial_bottles INT NOT NULL DEFAULT 0,
+  total_crates INT NOT NULL DEFAULT 0,
+  UNIQUE KEY unique_date_category_vendor (date, category, vendor_code),
+  INDEX idx_vendor_code (vendor_code)
+);
+
 -- Table: monthly_targets
 -- Stores sales targets per category per month
 CREATE TABLE IF NOT EXISTS monthly_targets (
@@ -55,7 +90,7 @@ CREATE TABLE IF NOT EXISTS detection_logs (
   message_id VARCHAR(255),
   group_id VARCHAR(255),
   user_id VARCHAR(255),
-  status ENUM('success', 'failed', 'error') NOT NULL,
+  status ENUM('success', 'failed', 'error', 'pending', 'unauthorized', 'allocation') NOT NULL,
   date DATE DEFAULT NULL,
   categories JSON DEFAULT NULL,
   records_created INT DEFAULT 0,
@@ -65,3 +100,215 @@ CREATE TABLE IF NOT EXISTS detection_logs (
   INDEX idx_status (status),
   INDEX idx_group_id (group_id)
 );
+
+-- Table: pending_records
+-- Extractions awaiting confirmation in LINE (CONFIRM_BEFORE_RECORD=true).
+-- source_id is the group ID (or user ID for 1:1 chats) where the plan must be confirmed.
+-- results holds the extracted [{ category, record }] list exactly as it will be saved;
+-- corrections (kind = 'correction') also carry the stored row as `previous` for diffing.
+-- Corrections always wait for confirmation, whatever CONFIRM_BEFORE_RECORD says.
+CREATE TABLE IF NOT EXISTS pending_records (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  kind ENUM('new', 'correction') NOT NULL DEFAULT 'new',
+  message_id VARCHAR(255),
+  source_id VARCHAR(255),
+  user_id VARCHAR(255),
+  date DATE NOT NULL,
+  results JSON NOT NULL,
+  status ENUM('pending', 'confirmed', 'rejected', 'expired') NOT NULL DEFAULT 'pending',
+  resolved_by VARCHAR(255) DEFAULT NULL,
+  resolved_at DATETIME DEFAULT NULL,
+  expires_at DATETIME NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_status_expires (status, expires_at),
+  INDEX idx_source_id (source_id)
+);
+
+-- Table: superseded_records
+-- daily_records rows as they were before a confirmed correction overwrote them (audit)
+CREATE TABLE IF NOT EXISTS superseded_records (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  date DATE NOT NULL,
+  category VARCHAR(50) NOT NULL,
+  record JSON NOT NULL,
+  pending_id INT DEFAULT NULL,
+  superseded_by VARCHAR(255) DEFAULT NULL,
+  superseded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_date_category (date, category)
+);
+
+-- Table: daily_records_history
+-- One row per write to daily_records (insert or update): the record (with its CDC values)
+-- as it was before and after, and where the write came from. source is line, pending,
+-- reprocess, migration or admin; source_id the LINE message ID(s), pending ID or script;
+-- changed_by the LINE user ID or admin user.
+CREATE TABLE IF NOT EXISTS daily_records_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  date DATE NOT NULL,
+  category VARCHAR(50) NOT NULL,
+  action ENUM('insert', 'update') NOT NULL,
+  before_record JSON DEFAULT NULL,
+  after_record JSON NOT NULL,
+  source VARCHAR(20) NOT NULL,
+  source_id VARCHAR(255) DEFAULT NULL,
+  changed_by VARCHAR(255) DEFAULT NULL,
+  changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_date_category (date, category),
+  INDEX idx_changed_at (changed_at)
+);
+
+-- Table: line_access
+-- Allowlist of LINE groups and users (ACCESS_CONTROL=true). line_id is a group ID (C...)
+-- or user ID (U...). A sender gets the higher of their own role and their group's role:
+--   viewer     text commands only
+--   submitter  also send plans, corrections and confirm/reject pending extractions
+--   admin      same as submitter in LINE; reserved for admin-only actions
+CREATE TABLE IF NOT EXISTS line_access (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  line_id VARCHAR(255) NOT NULL,
+  id_type ENUM('group', 'user') NOT NULL,
+  role ENUM('viewer', 'submitter', 'admin') NOT NULL DEFAULT 'submitter',
+  name VARCHAR(255) DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_line_id (line_id)
+);
+
+-- Table: web_users
+-- Accounts for the web dashboard (/login). password_hash is scrypt$<salt>$<hash>.
+--   viewer  reports, history and logs
+--   editor  also targets, /records/edit, pending extractions and reprocessing
+--   admin   also notifications, /diag, /test, access, groups, catalog and /users
+-- line_user_id links the account to a LINE user, who can then log in by sending
+-- "login" to the bot. The first admin is created from ADMIN_USERNAME / ADMIN_PASSWORD.
+CREATE TABLE IF NOT EXISTS web_users (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  username VARCHAR(100) NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  role ENUM('viewer', 'editor', 'admin') NOT NULL DEFAULT 'viewer',
+  line_user_id VARCHAR(255) DEFAULT NULL,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  last_login_at DATETIME DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_username (username),
+  UNIQUE KEY unique_line_user_id (line_user_id)
+);
+
+-- Table: web_sessions
+-- Dashboard sessions. The browser holds a random token (shinsen_session cookie); only its
+-- SHA-256 is stored.
+CREATE TABLE IF NOT EXISTS web_sessions (
+  token_hash CHAR(64) PRIMARY KEY,
+  user_id INT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_user_id (user_id)
+);
+
+-- Table: web_login_tokens
+-- One-time login links sent in LINE (valid for 10 minutes), stored as the SHA-256 of the
+-- token. Used links are deleted.
+CREATE TABLE IF NOT EXISTS web_login_tokens (
+  token_hash CHAR(64) PRIMARY KEY,
+  user_id INT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Table: api_keys
+-- Keys for the JSON API (/api/v1), created at /users. Only the SHA-256 of the key is
+-- stored; the key itself is shown once when it is created. role is the web role the key
+-- acts with (viewer reads, editor can also change targets).
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  key_hash CHAR(64) NOT NULL,
+  role ENUM('viewer', 'editor', 'admin') NOT NULL DEFAULT 'viewer',
+  created_by VARCHAR(100) DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME DEFAULT NULL,
+  revoked_at DATETIME DEFAULT NULL,
+  UNIQUE KEY unique_key_hash (key_hash)
+);
+
+-- Table: line_groups
+-- Groups the bot has been added to, registered from LINE join events. Groups with
+-- notify = 1 receive recorded-plan notifications (in addition to NOTIFICATION_GROUP_IDS).
+CREATE TABLE IF NOT EXISTS line_groups (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  group_id VARCHAR(255) NOT NULL,
+  name VARCHAR(255) DEFAULT NULL,
+  notify TINYINT(1) NOT NULL DEFAULT 0,
+  joined_at DATETIME NOT NULL,
+  left_at DATETIME DEFAULT NULL,
+  UNIQUE KEY unique_group_id (group_id)
+);
+
+-- Table: ocr_archive
+-- Every incoming plan image/file, kept so extraction can be re-run after the heuristics
+-- improve. The file itself is stored as stored_images/archive/<file_name>; raw_result is
+-- the provider's { pages, tables } layout result (NULL when the image was rejected before
+-- OCR, and for Excel files, which are re-read from the file). Linked to detection_logs by
+-- message_id (a batch of screenshots is logged with comma-joined message IDs).
+CREATE TABLE IF NOT EXISTS ocr_archive (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  message_id VARCHAR(255) NOT NULL,
+  group_id VARCHAR(255) DEFAULT NULL,
+  user_id VARCHAR(255) DEFAULT NULL,
+  file_type VARCHAR(10) NOT NULL,
+  file_name VARCHAR(255) NOT NULL,
+  ocr_provider VARCHAR(50) DEFAULT NULL,
+  raw_result LONGTEXT DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_message_id (message_id)
+);
+
+-- Table: products
+-- Juice categories, detected in plan column headers by their keywords (JSON array).
+-- Seeded with the built-in products on first start; edited at /catalog.
+CREATE TABLE IF NOT EXISTS products (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(50) NOT NULL,
+  name_th VARCHAR(255) NOT NULL,
+  name_en VARCHAR(255) DEFAULT NULL,
+  keywords JSON NOT NULL,
+  icon VARCHAR(16) DEFAULT NULL,
+  color VARCHAR(7) NOT NULL DEFAULT '#4CAF50',
+  bg_color VARCHAR(7) NOT NULL DEFAULT '#f5f5f5',
+  display_order INT NOT NULL DEFAULT 0,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  UNIQUE KEY unique_code (code)
+);
+
+-- Table: cdcs
+-- Warehouses, matched against the Vendor cell of each plan row by their keywords (JSON
+-- array). Seeded with the built-in CDCs on first start; edited at /catalog.
+CREATE TABLE IF NOT EXISTS cdcs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(50) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  name_en VARCHAR(255) DEFAULT NULL,
+  keywords JSON NOT NULL,
+  color VARCHAR(7) DEFAULT NULL,
+  display_order INT NOT NULL DEFAULT 0,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  UNIQUE KEY unique_code (code)
+);
+
+-- ---------- Upgrading an existing database ----------
+-- CREATE TABLE IF NOT EXISTS leaves existing tables untouched. When upgrading a database
+-- created from an earlier version of this file, run the statements below once.
+--
+-- ALTER TABLE detection_logs MODIFY status ENUM('success', 'failed', 'error', 'pending', 'unauthorized', 'allocation') NOT NULL;
+-- ALTER TABLE pending_records ADD COLUMN kind ENUM('new', 'correction') NOT NULL DEFAULT 'new' AFTER id;
+-- ALTER TABLE daily_records ADD COLUMN confidence DECIMAL(4,3) DEFAULT NULL AFTER khon_kaen_cambodia, ADD COLUMN cdc_confidence JSON DEFAULT NULL AFTER confidence, ADD COLUMN corrections JSON DEFAULT NULL AFTER cdc_confidence;
+-- ALTER TABLE daily_records ADD COLUMN cell_sum INT DEFAULT NULL AFTER corrections, ADD COLUMN yodruam_total INT DEFAULT NULL AFTER cell_sum, ADD COLUMN corrected_sum INT DEFAULT NULL AFTER yodruam_total, ADD COLUMN reconcile_diff INT DEFAULT NULL AFTER corrected_sum;
+-- ALTER TABLE daily_records MODIFY category VARCHAR(50) NOT NULL;
+--
+-- The CDC values moved from daily_records columns to daily_cdc_values. After creating that
+-- table, copy them with `node migrate-cdc-values.js`; once it has run cleanly, drop the old
+-- columns:
+-- ALTER TABLE daily_records DROP COLUMN cdc_bangbuathong, DROP COLUMN cdc_nakhonratchasima, DROP COLUMN cdc_nakhonsawan, DROP COLUMN cdc_chonburi, DROP COLUMN cdc_mahachai, DROP COLUMN cdc_suvarnabhumi, DROP COLUMN cdc_hadyai, DROP COLUMN cdc_phuket, DROP COLUMN cdc_chiangmai, DROP COLUMN cdc_surat, DROP COLUMN cdc_khonkaen, DROP COLUMN khon_kaen_laos, DROP COLUMN khon_kaen_cambodia;
+--
+-- A daily_cdc_values table created before the crate columns is upgraded by the same script,
+-- which adds only the columns that are missing.
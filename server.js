@@ -2,12 +2,15 @@ require('dotenv').config();
 const express = require('express');
 const line = require('@line/bot-sdk');
 const OpenAI = require('openai');
-const { DocumentAnalysisClient, AzureKeyCredential } = require('@azure/ai-form-recognizer');
+const XLSX = require('xlsx');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const https = require('https');
 const db = require('./db');
+const catalog = require('./catalog');
+const ocrProviders = require('./ocr');
+const auth = require('./auth');
 
 // Debug logging to file
 const logFile = fsSync.createWriteStream(path.join(__dirname, 'debug.log'), { flags: 'a' });
@@ -42,10 +45,8 @@ const openai = new OpenAI({
   fetch: (...args) => globalThis.fetch(...args),
 });
 
-const azureClient = new DocumentAnalysisClient(
-  process.env.AZURE_DOCUMENT_INTELLIGENCE_ENDPOINT,
-  new AzureKeyCredential(process.env.AZURE_DOCUMENT_INTELLIGENCE_KEY)
-);
+// Layout OCR engine: Azure prebuilt-layout, or saved results for offline runs (see ocr.js)
+const ocrProvider = ocrProviders.createOCRProvider();
 
 let latestOCRResult = {
   timestamp: null,
@@ -62,18 +63,64 @@ const NOTIFICATION_GROUP_IDS = process.env.NOTIFICATION_GROUP_IDS
 // Auto-send notification after successful extraction (default: true)
 const AUTO_NOTIFY = process.env.AUTO_NOTIFY?.toLowerCase() !== 'false';
 
+// Confirm-before-commit: hold extractions as pending until confirmed in LINE (default: false)
+const CONFIRM_BEFORE_RECORD = process.env.CONFIRM_BEFORE_RECORD?.toLowerCase() === 'true';
+
+// How long a pending extraction can be confirmed before it expires
+const PENDING_EXPIRY_MINUTES = parseInt(process.env.PENDING_EXPIRY_MINUTES, 10) || 60;
+
+// Minutes a "แก้ไข" command waits for the corrected screenshot
+const CORRECTION_WINDOW_MINUTES = parseInt(process.env.CORRECTION_WINDOW_MINUTES, 10) || 10;
+
+// Only allowlisted groups/users (line_access table, managed at /access) can use the bot (default: false)
+const ACCESS_CONTROL = process.env.ACCESS_CONTROL?.toLowerCase() === 'true';
+
+// Screenshot pipeline (default: gpt-first)
+//   gpt-first    gpt-4o decides whether an image is a spreadsheet, then Azure reads it
+//   azure-first  Azure reads every image and the plan is recognised from its table
+//                structure; gpt-4o is only asked when the layout is ambiguous
+const PIPELINE_MODE = process.env.PIPELINE_MODE?.toLowerCase() === 'azure-first' ? 'azure-first' : 'gpt-first';
+
+// Seconds to wait for more screenshots from the same sender before recording a plan
+// split across several images (0 = record every image on its own)
+const IMAGE_BATCH_WINDOW_SECONDS = parseInt(process.env.IMAGE_BATCH_WINDOW_SECONDS, 10) || 0;
+
+// Records whose least certain CDC value was read below this OCR confidence (0-1) are
+// flagged for review in LINE and on /daily-report
+const LOW_CONFIDENCE_THRESHOLD = parseFloat(process.env.LOW_CONFIDENCE_THRESHOLD) || 0.8;
+
+// Loaded by an offline tool (regression.js, reprocess.js) with NODE_ENV=test: no HTTP server,
+// no startup database work and no background jobs (see app.listen at the end of this file)
+const OFFLINE = process.env.NODE_ENV === 'test';
+
+// Public base URL of the web reports, used for links in LINE messages
+const REPORT_BASE_URL = (process.env.REPORT_BASE_URL || 'https://shinsen.yushi-marketing.com').replace(/\/+$/, '');
+
 console.log('[CONFIG] Notification groups configured:', NOTIFICATION_GROUP_IDS.length);
 console.log('[CONFIG] Notification group IDs:', NOTIFICATION_GROUP_IDS);
 console.log('[CONFIG] Auto-notify:', AUTO_NOTIFY);
-
-// Test database connection on startup
-db.testConnection().then(connected => {
-  if (connected) {
+console.log('[CONFIG] Confirm before record:', CONFIRM_BEFORE_RECORD, `(expires after ${PENDING_EXPIRY_MINUTES} min)`);
+console.log('[CONFIG] Access control:', ACCESS_CONTROL);
+console.log('[CONFIG] Pipeline mode:', PIPELINE_MODE);
+console.log('[CONFIG] OCR provider:', ocrProvider.name);
+console.log('[CONFIG] Image batch window:', IMAGE_BATCH_WINDOW_SECONDS > 0 ? `${IMAGE_BATCH_WINDOW_SECONDS}s` : 'disabled');
+console.log('[CONFIG] Low confidence threshold:', LOW_CONFIDENCE_THRESHOLD);
+
+// Test the database connection and load the catalog on startup (see app.listen below).
+// The server doesn't wait for this: until the catalog loads, plans are read with the
+// built-in products and CDCs, and a failed attempt is retried every minute.
+const DB_RETRY_MINUTES = 1;
+
+async function connectDatabase() {
+  const connected = await db.testConnection();
+  if (connected && await db.loadCatalog()) {
     console.log('[DB] MySQL database connected successfully');
-  } else {
-    console.error('[DB] WARNING: MySQL connection failed - check your database configuration');
+    auth.ensureInitialAdmin().catch(error => console.error('[AUTH] Error creating the first admin:', error.message));
+    return;
   }
-});
+  console.error(`[DB] WARNING: ${connected ? 'Loading the catalog' : 'MySQL connection'} failed - check your database configuration (retrying in ${DB_RETRY_MINUTES} min)`);
+  setTimeout(connectDatabase, DB_RETRY_MINUTES * 60 * 1000);
+}
 
 // Load detection logs from MySQL
 async function loadDetectionLogs() {
@@ -103,45 +150,59 @@ async function loadDailyRecords() {
     console.error('[RECORD] Error loading daily records:', error);
     // Return empty arrays for all categories
     const empty = {};
-    for (const cat of db.CATEGORIES) {
+    for (const cat of catalog.categories()) {
       empty[cat] = [];
     }
     return empty;
   }
 }
 
-// Save a single daily record to MySQL
-async function saveDailyRecord(record, category) {
+// Save a single daily record to MySQL. origin ({ source, sourceId, changedBy }) goes to
+// daily_records_history, see db.saveDailyRecord.
+async function saveDailyRecord(record, category, origin, connection) {
   try {
-    await db.saveDailyRecord(record, category);
+    await db.saveDailyRecord(record, category, origin, connection);
   } catch (error) {
     console.error('[RECORD] Error saving daily record:', error);
     throw error;
   }
 }
 
-// Send notification to configured groups about data update
-async function sendNotificationToGroups(date, categories) {
+// Notification targets: NOTIFICATION_GROUP_IDS from .env plus groups switched on at /groups.
+async function getNotificationGroupIds() {
+  let registered = [];
+  try {
+    registered = await db.getNotificationGroupIds();
+  } catch (error) {
+    console.error('[NOTIFICATION] Error loading notification groups from MySQL:', error.message);
+  }
+  return [...new Set([...NOTIFICATION_GROUP_IDS, ...registered])];
+}
+
+// Send notification to configured groups about data update.
+// `lineMessage` is a prebuilt LINE message (e.g. the Flex carousel); plain text otherwise.
+async function sendNotificationToGroups(date, categories, lineMessage = null) {
   console.log(`[NOTIFICATION] sendNotificationToGroups called with date: ${date}, categories:`, categories);
-  console.log(`[NOTIFICATION] NOTIFICATION_GROUP_IDS:`, NOTIFICATION_GROUP_IDS);
+  const groupIds = await getNotificationGroupIds();
+  console.log(`[NOTIFICATION] Notification groups:`, groupIds);
 
-  if (NOTIFICATION_GROUP_IDS.length === 0) {
+  if (groupIds.length === 0) {
     console.log('[NOTIFICATION] No notification groups configured');
     return;
   }
 
-  const message = `Report for ${date} has been recorded\n\nCategories: ${categories.join(', ')}\n\nDaily report: https://shinsen.yushi-marketing.com/daily-report\nMTD / YTD report: https://shinsen.yushi-marketing.com/mtd-report`;
-  console.log(`[NOTIFICATION] Message to send: ${message}`);
+  const message = lineMessage || {
+    type: 'text',
+    text: `Report for ${date} has been recorded\n\nCategories: ${categories.join(', ')}\n\nDaily report: ${REPORT_BASE_URL}/daily-report\nMTD / YTD report: ${REPORT_BASE_URL}/mtd-report`,
+  };
+  console.log(`[NOTIFICATION] Message to send (${message.type}): ${message.altText || message.text}`);
 
-  for (const groupId of NOTIFICATION_GROUP_IDS) {
+  for (const groupId of groupIds) {
     console.log(`[NOTIFICATION] Attempting to send to group: ${groupId}`);
     try {
       await client.pushMessage({
         to: groupId,
-        messages: [{
-          type: 'text',
-          text: message,
-        }],
+        messages: [message],
       });
       console.log(`[NOTIFICATION] Successfully sent notification to group: ${groupId}`);
     } catch (error) {
@@ -162,36 +223,19 @@ async function isDateRecorded(date, category) {
   }
 }
 
-// Product detection configuration - keywords to identify each product in column headers
-// Detection uses longest-matching-keyword scoring: when multiple products match the same cell,
-// the product with the longest matching keyword wins (e.g. "มุกป๊อป" beats "น้ำส้ม" in
-// "น้ำส้มมุกป๊อป" — pop wins over orange).
-const PRODUCT_DETECTION = {
-  orange: {
-    keywords: ['น้ำส้ม', 'orange', 'ส้ม'],
-    dbCategory: 'orange'
-  },
-  yuzu: {
-    keywords: ['ยูซุ', 'yuzu'],
-    dbCategory: 'yuzu'
-  },
-  pop: {
-    keywords: ['shinsen pop', 'มุกป๊อป', 'ป๊อป', 'pop'],
-    dbCategory: 'pop'
-  },
-  mixed: {
-    keywords: ['น้ำผลไม้รวม', 'ผลไม้รวม', 'mixed fruit'],
-    dbCategory: 'mixed'
-  },
-  tomato: {
-    keywords: ['tomato', 'มะเขือเทศ'],
-    dbCategory: 'tomato'
-  },
-  pineapple: {
-    keywords: ['สับปะรด', 'pineapple'],
-    dbCategory: 'pineapple'
-  }
-};
+// OCR confidence (0-1) of a table cell, or null when unknown (Excel files, older saved
+// layouts). layoutToOCRResult stores it on the row as row.confidence.
+function cellConfidence(row, columnIndex) {
+  const confidence = row && row.confidence ? row.confidence[columnIndex] : null;
+  return confidence == null ? null : confidence;
+}
+
+// Copy a table row along with its per-cell confidence
+function copyRow(row) {
+  const copy = [...row];
+  if (row.confidence) copy.confidence = [...row.confidence];
+  return copy;
+}
 
 // Helper function to parse numbers from OCR
 // Handles: commas, periods as thousand separators (OCR misreads), newlines/whitespace
@@ -277,8 +321,9 @@ function deriveLayout(productColumns, table = null) {
   };
 }
 
-// Get product value from a row, with fallback to crate-based reconstruction if the value is misread (non-numeric)
-function getRowProductValue(row, columnIndex, rowIndex = -1, table = null, totalsRowIndex = -1, yodruamTotal = 0, layout = null) {
+// Get product value from a row, with fallback to crate-based reconstruction if the value is misread (non-numeric).
+// Pass a `corrections` array to collect { row, type, from, to } for every value that was reconstructed.
+function getRowProductValue(row, columnIndex, rowIndex = -1, table = null, totalsRowIndex = -1, yodruamTotal = 0, layout = null, corrections = null) {
   if (!row) return 0;
 
   const lay = layout || deriveLayout(null);
@@ -303,6 +348,7 @@ function getRowProductValue(row, columnIndex, rowIndex = -1, table = null, total
 
       if (!isOtherProductNonEmpty) {
         console.log(`[OCR-FIX] Row ${rowIndex}: Reconstructed value using crates: ${reconstructed} (Full: ${fullCrates}, Partial: ${partialBottles}) because original was "${rawValText}"`);
+        if (corrections) corrections.push({ row: rowIndex, type: 'crates', from: rawValText, to: reconstructed });
         value = reconstructed;
       }
     }
@@ -340,6 +386,7 @@ function getRowProductValue(row, columnIndex, rowIndex = -1, table = null, total
       const diff = yodruamTotal - sumOfOtherRows;
       if (diff === reconstructed) {
         console.log(`[OCR-FIX] Row ${rowIndex}: Assigned empty cell to col ${columnIndex} because grand total diff (${diff}) matches reconstructed value (${reconstructed})`);
+        if (corrections) corrections.push({ row: rowIndex, type: 'grand-total', from: '', to: reconstructed });
         return reconstructed;
       }
     }
@@ -348,43 +395,15 @@ function getRowProductValue(row, columnIndex, rowIndex = -1, table = null, total
   return 0;
 }
 
-// CDC names to track
-const CDC_NAMES = [
-  'บางบัวทอง',
-  'นครราชสีมา',
-  'นครสวรรค์',
-  'ชลบุรี',
-  'มหาชัย',
-  'สุวรรณภูมิ',
-  'หาดใหญ่',
-  'ภูเก็ต',
-  'เชียงใหม่',
-  'สุราษฎร์',
-  'ขอนแก่น'
-];
-
-// Map short names to full names for consistency
-const CDC_NAME_MAPPING = {
-  'บางบัวทอง': 'คลังบางบัวทอง',
-  'นครราชสีมา': 'นครราชสีมา',
-  'นครสวรรค์': 'นครสวรรค์',
-  'ชลบุรี': 'ชลบุรี',
-  'มหาชัย': 'คลังมหาชัย',
-  'สุวรรณภูมิ': 'คลังสุวรรณภูมิ',
-  'หาดใหญ่': 'หาดใหญ่',
-  'ภูเก็ต': 'ภูเก็ต',
-  'เชียงใหม่': 'เชียงใหม่',
-  'สุราษฎร์': 'สุราษฎร์',
-  'ขอนแก่น': 'ขอนแก่น'
-};
-
 // Detect product columns from table headers using longest-keyword-match scoring.
 // For each cell, find the product with the longest matching keyword. Then each column
 // is "won" by its highest-scoring product. Each product is assigned to its best-won column.
 // This resolves substring collisions like "น้ำส้ม" ⊂ "น้ำส้มมุกป๊อป" — pop's "มุกป๊อป" (7)
-// beats orange's "น้ำส้ม" (6), so pop wins that column.
+// beats orange's "น้ำส้ม" (6), so pop wins that column. Keywords come from the products
+// table (catalog.js).
 function detectProductColumns(table) {
   console.log('[DETECT] Scanning table for product columns (longest-match scoring)...');
+  const productDetection = catalog.productDetection();
 
   // Stage 1: collect best (productKey, score) per (rowIdx, colIdx) cell
   const cellMatches = [];
@@ -398,7 +417,7 @@ function detectProductColumns(table) {
       if (!cellText) continue;
 
       let best = null;
-      for (const [productKey, productConfig] of Object.entries(PRODUCT_DETECTION)) {
+      for (const [productKey, productConfig] of Object.entries(productDetection)) {
         let longest = 0;
         for (const keyword of productConfig.keywords) {
           const kw = keyword.toLowerCase();
@@ -568,49 +587,136 @@ function validateTableData(table, detectedProducts) {
 }
 
 // Extract date from table or text
-function extractDate(table, extractedText) {
-  let dateStr = null;
+// ---------- Plan dates ----------
+// A plan normally carries one date (วันที่ 15/03/2026). A weekend plan may carry a range
+// instead (14-15/03/2026, 31/03-01/04/2026, 14/03/2026 - 15/03/2026, ... ถึง ...) or list
+// one block of rows per day, each under its own date row (see splitDateBlocks). Years may
+// be Buddhist era (2569 = 2026); dates are returned as DD/MM/YYYY in the Gregorian year.
+
+// Longest range expanded day by day; a longer one is more likely a misread than a plan
+const MAX_PLAN_RANGE_DAYS = 7;
+
+const PLAN_DATE_PATTERN = /(?<![\d/])(?:(\d{1,2})(?:\/(\d{1,2})(?:\/(\d{4}))?)?\s*(?:-|–|ถึง|to)\s*)?(\d{1,2})\/(\d{1,2})\/(\d{4})/gi;
+// "วันที่", "วันเสาร์ที่", "Date:" just before a date
+const PLAN_DATE_LABEL = /(?:วัน\S*ที่|date)\s*:?\s*$/i;
+
+// DD/MM/YYYY for a day, month and Gregorian or Buddhist-era year; null if no such day
+function normalizePlanDate(day, month, year) {
+  const d = parseInt(day, 10);
+  const m = parseInt(month, 10);
+  let y = parseInt(year, 10);
+  if (y >= 2400) y -= 543;
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return `${String(d).padStart(2, '0')}/${String(m).padStart(2, '0')}/${y}`;
+}
+
+// Every day from start to end (DD/MM/YYYY); just the two ends for a backwards or overlong range
+function planDateRange(start, end) {
+  const toUTC = dateStr => {
+    const [d, m, y] = dateStr.split('/').map(Number);
+    return Date.UTC(y, m - 1, d);
+  };
+  const days = Math.round((toUTC(end) - toUTC(start)) / 86400000) + 1;
+  if (days < 1 || days > MAX_PLAN_RANGE_DAYS) return [start, end];
+  return Array.from({ length: days }, (_, i) => {
+    const date = new Date(toUTC(start) + i * 86400000);
+    return normalizePlanDate(date.getUTCDate(), date.getUTCMonth() + 1, date.getUTCFullYear());
+  });
+}
+
+// Dates (ranges expanded) a piece of text gives a plan, in order, without repeats. When some
+// dates are labelled (วันที่ ...), only the labelled ones count, so a stray date elsewhere on
+// the page (a file name) is ignored. A plan only covers several days when it says so with a
+// range; otherwise only the first date counts, as later ones are print or delivery dates
+// ("Print date: ...", "พิมพ์ ..."). Plans with one block per day are split by splitDateBlocks.
+// A range's start takes its month and year from the end when it has none of its own, one year
+// earlier when it crosses the new year (31/12-01/01/2027).
+function findPlanDates(text) {
+  const found = [];
+  for (const match of text.matchAll(PLAN_DATE_PATTERN)) {
+    const [, startDay, startMonth, startYear, day, month, year] = match;
+    const end = normalizePlanDate(day, month, year);
+    if (!end) continue;
+    let start = null;
+    if (startDay) {
+      const crossesYear = !startYear && startMonth && parseInt(startMonth, 10) > parseInt(month, 10);
+      start = normalizePlanDate(startDay, startMonth || month, startYear || (crossesYear ? parseInt(year, 10) - 1 : year));
+    }
+    const labelled = PLAN_DATE_LABEL.test(text.slice(Math.max(0, match.index - 20), match.index));
+    found.push({ dates: start ? planDateRange(start, end) : [end], labelled, range: !!start });
+  }
+  const labelled = found.filter(f => f.labelled);
+  const candidates = labelled.length > 0 ? labelled : found;
+  const ranges = candidates.filter(f => f.range);
+  const counted = ranges.length > 0 ? ranges : candidates.slice(0, 1);
+  return [...new Set(counted.flatMap(f => f.dates))];
+}
 
-  // First, try to find date in the extracted text
+// All dates a plan covers: from the extracted page text if it has any, else from the table
+function extractPlanDates(table, extractedText) {
   if (extractedText) {
     console.log('[DATE] Searching for date in extracted text...');
-    const textDateMatch = extractedText.match(/(?:วันที่\s*)?(\d{1,2}\/\d{1,2}\/\d{4})/);
-    if (textDateMatch) {
-      dateStr = textDateMatch[1];
-      console.log(`[DATE] Found date in extracted text: ${dateStr}`);
-      return dateStr;
+    const dates = findPlanDates(extractedText);
+    if (dates.length > 0) {
+      console.log(`[DATE] Found date(s) in extracted text: ${dates.join(', ')}`);
+      return dates;
     }
   }
 
-  // Search in table
   console.log('[DATE] Searching for date in table...');
-  for (let i = 0; i < table.length; i++) {
-    const row = table[i];
-    if (!row) continue;
+  const cells = table.flatMap(row => (row || []).map(cell => (cell ? cell.toString() : '')));
+  const dates = findPlanDates(cells.filter(Boolean).join('\n'));
+  if (dates.length > 0) console.log(`[DATE] Found date(s) in table: ${dates.join(', ')}`);
+  return dates;
+}
 
-    for (let col = 0; col < row.length; col++) {
-      const cellText = row[col] ? row[col].toString() : '';
-      const dateMatch = cellText.match(/(?:วันที่\s*)?(\d{1,2}\/\d{1,2}\/\d{4})/);
-      if (dateMatch) {
-        dateStr = dateMatch[1];
-        console.log(`[DATE] Found date: ${dateStr} in row ${i}, column ${col}`);
-        return dateStr;
-      }
-    }
-  }
+// Split a plan that lists one block of rows per day. A date row is a non-vendor row holding
+// exactly one date; it counts when vendor (FCxx) rows follow it before the next date row.
+// Returns [{ date, table }] (the rows above the first date row, i.e. the headers, are
+// repeated on top of every block; the date rows are dropped), or null for a single-day plan.
+// Runs on the raw table, before preprocessTableData fills vendor cells down over date rows.
+function splitDateBlocks(table) {
+  if (!table || table.length === 0) return null;
+  const isVendorRow = row => row && /FC\d+/.test(row[0] ? row[0].toString() : '');
+
+  const dateRows = [];
+  table.forEach((row, index) => {
+    if (!row || isVendorRow(row)) return;
+    const dates = findPlanDates(row.filter(Boolean).map(cell => cell.toString()).join(' '));
+    if (dates.length === 1) dateRows.push({ index, date: dates[0] });
+  });
+  const blockStarts = dateRows.filter((dateRow, k) => {
+    const next = k + 1 < dateRows.length ? dateRows[k + 1].index : table.length;
+    return table.slice(dateRow.index + 1, next).some(isVendorRow);
+  });
+  if (new Set(blockStarts.map(b => b.date)).size < 2) return null;
 
-  return null;
+  const header = table.slice(0, blockStarts[0].index);
+  const blocks = blockStarts.map((block, k) => {
+    const next = k + 1 < blockStarts.length ? blockStarts[k + 1].index : table.length;
+    return { date: block.date, table: [...header, ...table.slice(block.index + 1, next)] };
+  });
+  console.log(`[DATE] Plan has one block per day: ${blocks.map(b => `${b.date} (${b.table.length - header.length} rows)`).join(', ')}`);
+  return blocks;
 }
 
-// Extract CDC totals for a specific product column
+// Extract CDC totals for a specific product column.
+// cdcConfidence holds the lowest OCR confidence of the cells summed into each CDC (CDCs with
+// no known confidence are left out); corrections lists every value the heuristics changed.
+// cellSum is the CDC rows' sum as read, before the ratio correction. cdcCrates holds the crates
+// of the rows counted into each CDC: { cdc: { fullCrates, partialBottles, totalCrates } }.
+// vendors lists each FC vendor's bottles and crates:
+// [{ code, name, cdc, bottles, fullCrates, partialBottles, totalCrates }].
 function extractCDCTotals(table, columnIndex, yodruamTotal = 0, layout = null) {
   const lay = layout || deriveLayout(null);
   const cdcTotals = {};
   let totalSum = 0;
   let totalsRowIndex = -1;
 
-  // Initialize all CDC totals to 0
-  Object.values(CDC_NAME_MAPPING).forEach(cdcFullName => {
+  // Initialize all CDC totals to 0 (vendor-cell keyword → CDC name from the cdcs table)
+  const cdcNameMapping = catalog.cdcNameMapping();
+  Object.values(cdcNameMapping).forEach(cdcFullName => {
     cdcTotals[cdcFullName] = 0;
   });
 
@@ -688,7 +794,7 @@ function extractCDCTotals(table, columnIndex, yodruamTotal = 0, layout = null) {
 
     let bestCdcName = null;
     let bestScore = 0;
-    for (const cdcName of CDC_NAMES) {
+    for (const cdcName of Object.keys(cdcNameMapping)) {
       if (c0.includes(cdcName) && cdcName.length > bestScore) {
         bestCdcName = cdcName;
         bestScore = cdcName.length;
@@ -696,11 +802,25 @@ function extractCDCTotals(table, columnIndex, yodruamTotal = 0, layout = null) {
     }
     if (!bestCdcName) return;
 
-    const fullCdcName = CDC_NAME_MAPPING[bestCdcName];
-    const value = getRowProductValue(row, columnIndex, rowIndex, table, totalsRowIndex, yodruamTotal, lay);
+    const fullCdcName = cdcNameMapping[bestCdcName];
+    const rowCorrections = [];
+    const value = getRowProductValue(row, columnIndex, rowIndex, table, totalsRowIndex, yodruamTotal, lay, rowCorrections);
     const crateTotal = row[CRATE_TOTAL_COL] ? parseOCRNumber(row[CRATE_TOTAL_COL]) : 0;
     if (value > 0) {
-      cdcRows.push({ rowIndex, cdcName: fullCdcName, value, crateTotal });
+      const fcCode = c0.match(/FC\d+/);
+      // The crate columns belong to the row, not to a product: a row listing two products is
+      // counted once, under its first product with a value
+      const crateOwnerCol = lay.productCols.find(col => row[col] && parseOCRNumber(row[col]) > 0);
+      cdcRows.push({
+        rowIndex, cdcName: fullCdcName, value, crateTotal,
+        ownsCrates: crateOwnerCol === undefined || crateOwnerCol === columnIndex,
+        vendorCode: fcCode ? fcCode[0] : null,
+        vendorName: c0.replace(/FC\d+/g, '').replace(/\s+/g, ' ').trim(),
+        fullCrates: row[lay.fullCratesCol] ? parseOCRNumber(row[lay.fullCratesCol]) : 0,
+        partialBottles: row[lay.partialCol] ? parseOCRNumber(row[lay.partialCol]) : 0,
+        confidence: cellConfidence(row, columnIndex),
+        corrections: rowCorrections
+      });
     }
   });
 
@@ -732,7 +852,7 @@ function extractCDCTotals(table, columnIndex, yodruamTotal = 0, layout = null) {
 
       const original = entry.value;
       entry.value = candidates[0]; // provisional: smallest in-range value
-      corrected.push({ entry, candidates });
+      corrected.push({ entry, original, candidates });
       console.log(`[RATIO-FIX] Row ${entry.rowIndex} (${entry.cdcName}): ${original} → ${entry.value} (ratio ${(original / entry.crateTotal).toFixed(1)} → ${(entry.value / entry.crateTotal).toFixed(1)}, crates=${entry.crateTotal}, candidates=[${candidates.join(',')}])`);
     }
 
@@ -755,6 +875,10 @@ function extractCDCTotals(table, columnIndex, yodruamTotal = 0, layout = null) {
       }
     }
 
+    for (const c of corrected) {
+      c.entry.corrections.push({ row: c.entry.rowIndex, type: 'ratio', from: String(c.original), to: c.entry.value });
+    }
+
     const correctedSum = cdcRows.reduce((s, r) => s + r.value, 0);
     if (correctedSum !== rawSum) {
       console.log(`[RATIO-FIX] Corrected: ${rawSum} → ${correctedSum} (ยอดรวม=${targetTotal}, remaining diff=${targetTotal - correctedSum})`);
@@ -762,27 +886,66 @@ function extractCDCTotals(table, columnIndex, yodruamTotal = 0, layout = null) {
   }
 
   // Build CDC totals from (possibly corrected) row values
+  const cdcConfidence = {};
+  const corrections = [];
+  const cdcCrates = {};
   for (const entry of cdcRows) {
     cdcTotals[entry.cdcName] += entry.value;
+    const crates = cdcCrates[entry.cdcName] || (cdcCrates[entry.cdcName] = { fullCrates: 0, partialBottles: 0, totalCrates: 0 });
+    if (entry.ownsCrates) {
+      crates.fullCrates += entry.fullCrates;
+      crates.partialBottles += entry.partialBottles;
+      crates.totalCrates += entry.crateTotal;
+    }
+    if (entry.confidence != null) {
+      cdcConfidence[entry.cdcName] = Math.min(cdcConfidence[entry.cdcName] ?? 1, entry.confidence);
+    }
+    corrections.push(...entry.corrections.map(c => ({ cdc: entry.cdcName, ...c })));
   }
 
-  return { cdcTotals, totalSum };
-}
+  // Per-vendor (FC code) breakdown of the same rows. A vendor can span several rows; rows
+  // without an FC code in the Vendor cell only count towards their CDC. A row's crates go
+  // to the product that owns them (see ownsCrates), so summing over products counts them once.
+  const vendors = [];
+  for (const entry of cdcRows) {
+    if (!entry.vendorCode) continue;
+    let vendor = vendors.find(v => v.code === entry.vendorCode);
+    if (!vendor) {
+      vendor = { code: entry.vendorCode, name: entry.vendorName, cdc: entry.cdcName, bottles: 0, fullCrates: 0, partialBottles: 0, totalCrates: 0 };
+      vendors.push(vendor);
+    }
+    vendor.bottles += entry.value;
+    if (entry.ownsCrates) {
+      vendor.fullCrates += entry.fullCrates;
+      vendor.partialBottles += entry.partialBottles;
+      vendor.totalCrates += entry.crateTotal;
+    }
+  }
 
-// Extract Khon Kaen Laos value for orange category
-function extractKhonKaenLaos(table, columnIndex, productColumnIndices) {
-  // 1. Search for a row that explicitly contains both 'ขอนแก่น' and 'ลาว'/'laos'
-  for (let i = 0; i < table.length; i++) {
-    const row = table[i];
-    if (!row || !row[0]) continue;
+  return { cdcTotals, totalSum, cdcConfidence, corrections, cellSum: rawSum, cdcCrates, vendors };
+}
 
-    const c0 = row[0].toString().toLowerCase().trim();
-    if (c0.includes('ขอนแก่น') && (c0.includes('ลาว') || c0.includes('laos') || c0.includes('lao')) && row[columnIndex]) {
-      const value = parseOCRNumber(row[columnIndex]);
-      console.log(`[LAOS] Found explicit ขอนแก่น Laos row at index ${i}: "${row[0]}" with value ${value}`);
-      return value;
+// Extract the Khon Kaen export volumes (Laos, Cambodia) of a product column.
+// Returns { khonKaenLaos, khonKaenCambodia } (one field per EXPORT_DESTINATIONS entry).
+function extractKhonKaenExports(table, columnIndex, productColumnIndices) {
+  const values = Object.fromEntries(catalog.EXPORT_DESTINATIONS.map(dest => [dest.field, 0]));
+  const pending = [];
+
+  // 1. Search for a row that explicitly names the destination (ขอนแก่น + 'ลาว'/'laos', ...)
+  for (const dest of catalog.EXPORT_DESTINATIONS) {
+    const rowIndex = table.findIndex(row => {
+      if (!row || !row[0] || !row[columnIndex]) return false;
+      const c0 = row[0].toString().toLowerCase().trim();
+      return c0.includes('ขอนแก่น') && dest.keywords.some(k => c0.includes(k));
+    });
+    if (rowIndex === -1) {
+      pending.push(dest);
+      continue;
     }
+    values[dest.field] = parseOCRNumber(table[rowIndex][columnIndex]);
+    console.log(`[EXPORT] Found explicit ${dest.name} row at index ${rowIndex}: "${table[rowIndex][0]}" with value ${values[dest.field]}`);
   }
+  if (pending.length === 0) return values;
 
   // 2. Group Khon Kaen rows into logical slots
   const khonKaenRows = [];
@@ -828,7 +991,7 @@ function extractKhonKaenLaos(table, columnIndex, productColumnIndices) {
     slots.push(currentSlot);
   }
 
-  console.log(`[LAOS] Total logical slots found for Khon Kaen: ${slots.length}`);
+  console.log(`[EXPORT] Total logical slots found for Khon Kaen: ${slots.length}`);
   slots.forEach((s, idx) => {
     console.log(`  Slot ${idx + 1}:`);
     s.forEach(e => {
@@ -837,20 +1000,23 @@ function extractKhonKaenLaos(table, columnIndex, productColumnIndices) {
     });
   });
 
-  // If there are exactly 3 slots, the last one is Laos
-  if (slots.length === 3) {
-    const laosSlot = slots[2];
-    for (const entry of laosSlot) {
-      if (entry.row[columnIndex]) {
-        const val = parseOCRNumber(entry.row[columnIndex]);
+  // The first two slots are domestic. With 3 slots the last one is Laos; with 4, Laos is
+  // followed by Cambodia. Any other count means the rows couldn't be grouped reliably.
+  if (slots.length >= 3 && slots.length <= 2 + catalog.EXPORT_DESTINATIONS.length) {
+    for (const dest of pending) {
+      const slot = slots[dest.slot - 1];
+      if (!slot) continue;
+      for (const entry of slot) {
+        const val = entry.row[columnIndex] ? parseOCRNumber(entry.row[columnIndex]) : 0;
         if (val > 0) {
-          return val;
+          values[dest.field] = val;
+          break;
         }
       }
     }
   }
 
-  return 0;
+  return values;
 }
 
 // Extract ยอดรวม (totals) from raw OCR page text, mapped to table column indices
@@ -898,8 +1064,67 @@ function extractYodruamTotals(rawResult) {
   return {};
 }
 
-// Record daily data - dynamically detects products from column headers
-async function recordDailyData(tableData, extractedText = '', rawResult = null) {
+// How a record's CDC breakdown adds up against its total:
+//   cellSum        CDC values as read from the table (null when unknown)
+//   yodruamTotal   ยอดรวม read from the page text (null when not found)
+//   correctedSum   CDC values after corrections, i.e. what is stored
+//   remainingDiff  total_sum - correctedSum (0 when the record reconciles)
+function buildReconciliation(cdcTotals, totalSum, cellSum = null, yodruamTotal = 0) {
+  const correctedSum = Object.values(cdcTotals || {}).reduce((sum, value) => sum + (value || 0), 0);
+  return {
+    cellSum: cellSum ?? null,
+    yodruamTotal: yodruamTotal > 0 ? yodruamTotal : null,
+    correctedSum,
+    remainingDiff: (totalSum || 0) - correctedSum
+  };
+}
+
+// Confidence of a whole record: its least certain CDC value, or null when unknown
+function recordConfidence(cdcConfidence) {
+  const values = Object.values(cdcConfidence || {});
+  return values.length > 0 ? Math.min(...values) : null;
+}
+
+// A record needs a human look when any CDC value was read with low confidence or was
+// changed by a correction heuristic (crate reconstruction, ยอดรวม fill, digit append).
+function isLowConfidence(record) {
+  if (!record) return false;
+  return (record.confidence != null && record.confidence < LOW_CONFIDENCE_THRESHOLD) ||
+    (record.corrections || []).length > 0;
+}
+
+// Whether one CDC value of a record needs a look (see isLowConfidence)
+function isLowConfidenceCDC(record, cdc) {
+  const confidence = record?.cdcConfidence?.[cdc];
+  return (confidence != null && confidence < LOW_CONFIDENCE_THRESHOLD) ||
+    (record?.corrections || []).some(c => c.cdc === cdc);
+}
+
+function formatConfidence(confidence) {
+  return confidence == null ? '-' : `${Math.round(confidence * 100)}%`;
+}
+
+const CORRECTION_LABELS = {
+  crates: 'คำนวณจากตะกร้า',
+  'grand-total': 'เติมจากยอดรวม',
+  ratio: 'เติมหลักที่หายไป'
+};
+
+// One-line description of a correction, e.g. "หาดใหญ่ แถว 12: 5 → 51 (เติมหลักที่หายไป)"
+function describeCorrection(correction) {
+  const from = correction.from === '' ? 'ว่าง' : correction.from;
+  return `${correction.cdc} แถว ${correction.row}: ${from} → ${formatInt(correction.to)} (${CORRECTION_LABELS[correction.type] || correction.type})`;
+}
+
+// Extract one daily record per product - dynamically detects products from column headers.
+// Returns { success: true, date, results: [{ category, record }] } or { success: false, reason }.
+// A plan covering several days that isn't split into date blocks fails with
+// needsAllocation: true and its dates. options.date skips the date search (a date block).
+// options.stitched marks a table stitched from several screenshots: it fails unless every
+// product adds up to the ยอดรวม on the page (when there is one), since a mismatch means the
+// screenshots weren't one plan.
+// No database access, so the regression runner (regression.js) can run it offline.
+function extractDailyRecords(tableData, extractedText = '', rawResult = null, options = {}) {
   if (!tableData || tableData.length === 0) {
     console.log('No table data to record');
     return { success: false, reason: 'No table data found' };
@@ -925,11 +1150,22 @@ async function recordDailyData(tableData, extractedText = '', rawResult = null)
   console.log(`[VALIDATION] Passed - FC33 หาดใหญ่: ${validation.hadyaiSum}, FC07 ภูเก็ต: ${validation.phuketSum}`);
 
   // Step 3: Extract date
-  const dateStr = extractDate(table, extractedText);
-  if (!dateStr) {
+  const dates = options.date ? [options.date] : extractPlanDates(table, extractedText);
+  if (dates.length === 0) {
     console.log('[DATE] No date found');
     return { success: false, reason: 'No date found in table or extracted text' };
   }
+  if (dates.length > 1) {
+    // The volumes can't be told apart by day: leave the split to a person
+    console.log(`[DATE] Plan covers ${dates.length} dates (${dates.join(', ')}) without a block per day`);
+    return {
+      success: false,
+      needsAllocation: true,
+      dates,
+      reason: `Plan covers ${dates.join(', ')}; allocate its volumes to each date by hand`
+    };
+  }
+  const dateStr = dates[0];
 
   console.log(`[DATE] Using date: ${dateStr}`);
 
@@ -953,18 +1189,11 @@ async function recordDailyData(tableData, extractedText = '', rawResult = null)
     const category = productInfo.dbCategory;
     const columnIndex = productInfo.column;
 
-    // Check if already recorded
-    const alreadyRecorded = await isDateRecorded(dateStr, category);
-    if (alreadyRecorded) {
-      console.log(`Date ${dateStr} already recorded for ${category}`);
-      continue;
-    }
-
     console.log(`[RECORD] Extracting ${category} from column ${columnIndex}`);
 
     // Extract CDC totals, passing ยอดรวม for ratio-based correction of truncated values
     const yodruamValue = yodruamTotals[columnIndex] || 0;
-    const { cdcTotals, totalSum } = extractCDCTotals(table, columnIndex, yodruamValue, layout);
+    const { cdcTotals, totalSum, cdcConfidence, corrections, cellSum, cdcCrates, vendors } = extractCDCTotals(table, columnIndex, yodruamValue, layout);
 
     // Use ยอดรวม from raw text as authoritative total when available
     let finalTotalSum = totalSum;
@@ -977,9 +1206,21 @@ async function recordDailyData(tableData, extractedText = '', rawResult = null)
       finalTotalSum = yodruamValue;
     }
 
-    // Extract Khon Kaen Laos for orange
+    // Keep the discrepancy between the CDC breakdown and the total with the record (/reconciliation)
+    const reconciliation = buildReconciliation(cdcTotals, finalTotalSum, cellSum, yodruamValue);
+    if (reconciliation.remainingDiff !== 0) {
+      console.log(`[RECONCILE] ${category}: CDC sum ${reconciliation.correctedSum} ≠ total ${finalTotalSum} (diff=${reconciliation.remainingDiff})`);
+      if (options.stitched && reconciliation.yodruamTotal) {
+        return {
+          success: false,
+          reason: `Stitched screenshots add up to ${reconciliation.correctedSum} ${category}, but ยอดรวม is ${reconciliation.yodruamTotal}; send each plan separately`
+        };
+      }
+    }
+
+    // Extract the Khon Kaen export volumes (Laos, Cambodia)
     const productColumnIndices = Object.values(detectedProducts).map(p => p.column).sort((a, b) => a - b);
-    const khonKaenLaosValue = category === 'orange' ? extractKhonKaenLaos(table, columnIndex, productColumnIndices) : 0;
+    const exportValues = extractKhonKaenExports(table, columnIndex, productColumnIndices);
 
     // Build record
     const dailyRecord = {
@@ -988,16 +1229,58 @@ async function recordDailyData(tableData, extractedText = '', rawResult = null)
       fc33HadyaiSum: validation.hadyaiSum,
       totalSum: finalTotalSum,
       cdcTotals: cdcTotals,
-      khonKaenLaos: category === 'orange' ? khonKaenLaosValue : undefined,
-      khonKaenCambodia: category === 'orange' ? 0 : undefined
+      ...exportValues,
+      confidence: recordConfidence(cdcConfidence),
+      cdcConfidence,
+      corrections,
+      reconciliation,
+      cdcCrates,
+      vendors
     };
 
-    // Save to MySQL
-    await saveDailyRecord(dailyRecord, category);
-    console.log(`Recorded daily data for ${dateStr} in ${category} category (column ${columnIndex})`);
+    console.log(`Extracted daily data for ${dateStr} in ${category} category (column ${columnIndex})`);
+    if (isLowConfidence(dailyRecord)) {
+      console.log(`[CONFIDENCE] ${category}: confidence ${formatConfidence(dailyRecord.confidence)}, ${corrections.length} correction(s) — flagged for review`);
+    }
     results.push({ category, record: dailyRecord });
   }
 
+  return { success: true, date: dateStr, results: results };
+}
+
+// Record daily data extracted from the table (see extractDailyRecords).
+// With { save: false } the records are extracted and returned but not written (pending mode).
+// With { correction: true } already-recorded categories are extracted too, each result
+// carrying the stored row as `previous` so the caller can diff before overwriting.
+// With { date } the table is one date block of a multi-day plan, recorded under that date.
+// With { stitched: true } the table was stitched from several screenshots (see extractDailyRecords).
+// options.origin is where the plan came from, for daily_records_history.
+async function recordDailyData(tableData, extractedText = '', rawResult = null, options = {}) {
+  const { save = true, correction = false, date = null, stitched = false, origin } = options;
+
+  const extraction = extractDailyRecords(tableData, extractedText, rawResult, { date, stitched });
+  if (!extraction.success) return extraction;
+  const dateStr = extraction.date;
+
+  const results = [];
+  for (const { category, record } of extraction.results) {
+    // Check if already recorded (a correction keeps the stored row for diffing instead)
+    let previous = null;
+    if (correction) {
+      previous = await db.getDailyRecord(dateStr, category);
+    } else if (await isDateRecorded(dateStr, category)) {
+      console.log(`Date ${dateStr} already recorded for ${category}`);
+      continue;
+    }
+
+    // Save to MySQL
+    if (save) {
+      await saveDailyRecord(record, category, origin);
+      console.log(`Recorded daily data for ${dateStr} in ${category} category`);
+    }
+    results.push(correction ? { category, record, previous } : { category, record });
+  }
+
   if (results.length === 0) {
     return { success: false, reason: 'All detected products already recorded for this date' };
   }
@@ -1013,7 +1296,7 @@ function preprocessTableData(tableData) {
     if (!table || table.length === 0) return table;
 
     // Create a copy of the table
-    const processedTable = table.map(row => [...row]);
+    const processedTable = table.map(row => (row ? copyRow(row) : row));
 
     // Fill down column 0 (C0)
     let lastC0Value = null;
@@ -1065,6 +1348,130 @@ function preprocessTableData(tableData) {
   return processedTables;
 }
 
+// Header rows of a table: everything above the first vendor (FCxx) row.
+function countHeaderRows(table) {
+  const firstVendorRow = table.findIndex(row => row && /FC\d+/.test((row[0] || '').toString()));
+  return firstVendorRow === -1 ? 0 : firstVendorRow;
+}
+
+// Map each column of a continuation table onto the base table's columns by matching
+// product and crate headers. Columns without a matching header keep their position.
+function buildColumnMapping(baseTable, table) {
+  const mapping = new Map();
+  const baseProducts = detectProductColumns(baseTable);
+  const products = detectProductColumns(table);
+  for (const [productKey, { column }] of Object.entries(products)) {
+    if (baseProducts[productKey]) mapping.set(column, baseProducts[productKey].column);
+  }
+
+  const baseCrates = detectCrateColumns(baseTable);
+  const crates = detectCrateColumns(table);
+  for (const key of ['fullCratesCol', 'partialCol', 'totalCratesCol']) {
+    if (crates[key] !== null && baseCrates[key] !== null) mapping.set(crates[key], baseCrates[key]);
+  }
+  return mapping;
+}
+
+// Stitch the raw tables of a plan sent as several screenshots (top half, bottom half, ...)
+// into one table. The first table with product headers is the base; later tables drop their
+// repeated header rows, have their columns remapped onto the base's headers, and lose any
+// rows that overlap the end of what is already stitched. Run before preprocessTableData so
+// fill-down carries vendors across the seam.
+function stitchTables(tables) {
+  const candidates = tables.filter(t => t && t.length > 0);
+  if (candidates.length <= 1) return candidates[0] || [];
+
+  let baseIdx = candidates.findIndex(t => Object.keys(detectProductColumns(t)).length > 0);
+  if (baseIdx === -1) baseIdx = 0;
+  const stitched = candidates[baseIdx].map(copyRow);
+  const width = Math.max(...stitched.map(row => row.length));
+
+  // Compare rows on the warehouse and number columns: a vendor cell merged across the
+  // seam is only filled in on one side.
+  const rowKey = row => row.slice(1).map(c => (c || '').toString().replace(/\s+/g, '')).join('|');
+
+  candidates.forEach((table, idx) => {
+    if (idx === baseIdx) return;
+
+    const headerRows = countHeaderRows(table);
+    const mapping = headerRows > 0 ? buildColumnMapping(stitched, table) : new Map();
+    const rows = table.slice(headerRows).map(row => {
+      const mapped = new Array(Math.max(width, row.length)).fill('');
+      mapped.confidence = new Array(mapped.length).fill(null);
+      row.forEach((cell, colIdx) => {
+        const target = mapping.has(colIdx) ? mapping.get(colIdx) : colIdx;
+        if (cell && !mapped[target]) {
+          mapped[target] = cell;
+          mapped.confidence[target] = cellConfidence(row, colIdx);
+        }
+      });
+      return mapped;
+    });
+
+    // Drop rows repeated at the seam when the screenshots overlap
+    let overlap = 0;
+    for (let k = Math.min(rows.length, stitched.length - countHeaderRows(stitched)); k > 0; k--) {
+      const tail = stitched.slice(-k).map(rowKey);
+      const head = rows.slice(0, k).map(rowKey);
+      if (tail.every((key, i) => key.replace(/\|/g, '') && key === head[i])) {
+        overlap = k;
+        break;
+      }
+    }
+
+    console.log(`[STITCH] Table ${idx + 1}: ${headerRows} header row(s) skipped, ${overlap} overlapping row(s) dropped, ${rows.length - overlap} row(s) appended`);
+    stitched.push(...rows.slice(overlap));
+  });
+
+  console.log(`[STITCH] Stitched ${candidates.length} tables into ${stitched.length} rows`);
+  return stitched;
+}
+
+// Whether a screenshot starts a plan: it has a date of its own, or a header block with
+// product columns above its first vendor row. One with neither continues the screenshot
+// before it.
+function startsPlan(ocr) {
+  if (findPlanDates(ocr.extractedText || '').length > 0) return true;
+  const table = (ocr.tableData || [])[0] || [];
+  const headerRows = countHeaderRows(table);
+  return headerRows > 0 && Object.keys(detectProductColumns(table.slice(0, headerRows))).length > 0;
+}
+
+// Split a batch of screenshots into plans: each screenshot that starts a plan opens a new
+// group and the ones continuing it are added to it. Returns the groups as index arrays.
+function groupScreenshotPlans(ocrs) {
+  const groups = [];
+  ocrs.forEach((ocr, idx) => {
+    if (groups.length === 0 || startsPlan(ocr)) groups.push([idx]);
+    else groups[groups.length - 1].push(idx);
+  });
+  return groups;
+}
+
+// Combine the layout results of several screenshots of one plan into a single result
+// that recordOCRResult can treat like one image. The first table of each screenshot is the
+// plan and gets stitched; any further tables are kept after it, as for a single image.
+function stitchLayouts(layouts) {
+  const rawResults = layouts.map(l => l.rawResult).filter(Boolean);
+  const extraTables = [];
+  layouts.forEach((l, idx) => {
+    const extras = (l.tableData || []).slice(1);
+    if (extras.length > 0) {
+      console.log(`[STITCH] Screenshot ${idx + 1}: ${extras.length} extra table(s) kept unstitched`);
+      extraTables.push(...extras);
+    }
+  });
+  return {
+    extractedText: layouts.map(l => l.extractedText).join('\n'),
+    tableData: [stitchTables(layouts.map(l => (l.tableData || [])[0])), ...extraTables],
+    rawResult: {
+      ...rawResults[0],
+      pages: rawResults.flatMap(r => r.pages || []),
+      tables: rawResults.flatMap(r => r.tables || [])
+    }
+  };
+}
+
 // Detect category (orange or yuzu) from table data
 function detectCategory(table) {
   // Check headers or specific cells to determine category
@@ -1104,6 +1511,124 @@ app.post('/webhook', line.middleware(config), async (req, res) => {
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// ---------- Web login ----------
+// Every page except /webhook, /health and the login routes needs a session (see auth.js
+// for the roles). req.user is the logged-in web_users account.
+app.use(auth.loadUser);
+
+// req.ip is the client's address behind a proxy on the same host (Passenger / nginx), which
+// the login rate limit counts failures by
+app.set('trust proxy', 'loopback');
+
+// Only same-site paths, so ?next= can't send the browser elsewhere after login. Browsers
+// read a backslash as a slash ("/\evil.example" is another host), so paths with one or with
+// control characters are refused, and the rest must resolve to this site.
+function safeNextPath(next) {
+  if (typeof next !== 'string' || !next.startsWith('/') || /[\\\x00-\x1f\x7f]/.test(next)) return '/daily-report';
+  try {
+    const base = new URL(REPORT_BASE_URL);
+    return new URL(next, base).origin === base.origin ? next : '/daily-report';
+  } catch {
+    return '/daily-report';
+  }
+}
+
+function renderLoginPage({ next, username = '', error = null }) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>Login</title>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <style>${reportSharedStyles()}
+    .login-box { max-width: 360px; margin: 40px auto; }
+    .login-box input { display: block; width: 100%; box-sizing: border-box; padding: 10px; font-size: 16px; margin-bottom: 12px; }
+    .errors { background:#ffebee; border:1px solid #ef9a9a; color:#c62828; padding:10px 12px; border-radius:4px; margin-bottom: 16px; }
+  </style>
+</head>
+<body>
+  <div class="container login-box">
+    <h1>🔑 เข้าสู่ระบบ</h1>
+    ${error ? `<div class="errors">❌ ${escapeHtml(error)}</div>` : ''}
+    <form method="post" action="/login">
+      <input type="hidden" name="next" value="${escapeHtml(next)}">
+      <input type="text" name="username" value="${escapeHtml(username)}" placeholder="ชื่อผู้ใช้" autocomplete="username" required autofocus>
+      <input type="password" name="password" placeholder="รหัสผ่าน" autocomplete="current-password" required>
+      <button class="save-btn" type="submit" style="width:100%;">เข้าสู่ระบบ</button>
+    </form>
+    <div class="subtitle" style="margin-top:16px;">หรือส่งข้อความ <b>login</b> ถึงบอทในแชท LINE ส่วนตัว เพื่อรับลิงก์เข้าสู่ระบบ</div>
+  </div>
+</body>
+</html>`;
+}
+
+app.get('/login', (req, res) => {
+  const next = safeNextPath(req.query.next);
+  if (req.user) return res.redirect(next);
+  const error = req.query.error === 'link' ? 'ลิงก์เข้าสู่ระบบไม่ถูกต้องหรือหมดอายุแล้ว ส่ง login ถึงบอทอีกครั้ง' : null;
+  res.send(renderLoginPage({ next, error }));
+});
+
+app.post('/login', async (req, res) => {
+  const next = safeNextPath(req.body.next);
+  const username = (req.body.username || '').trim();
+  try {
+    const lockoutMinutes = auth.loginLockoutMinutes(req.ip, username);
+    if (lockoutMinutes > 0) {
+      console.log(`[AUTH] Login for "${username}" from ${req.ip} refused: too many failures`);
+      return res.status(429).send(renderLoginPage({ next, username, error: `เข้าสู่ระบบผิดหลายครั้งเกินไป กรุณาลองใหม่ในอีก ${lockoutMinutes} นาที` }));
+    }
+    const user = await auth.authenticate(username, req.body.password || '');
+    if (!user) {
+      auth.recordLoginFailure(req.ip, username);
+      console.log(`[AUTH] Login failed for "${username}" from ${req.ip}`);
+      return res.status(401).send(renderLoginPage({ next, username, error: 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง' }));
+    }
+    auth.clearLoginFailures(username);
+    await auth.startSession(req, res, user);
+    console.log(`[AUTH] ${user.username} logged in`);
+    res.redirect(next);
+  } catch (err) {
+    console.error('[AUTH] Login error:', err);
+    res.status(500).send(renderLoginPage({ next, username, error: 'เข้าสู่ระบบไม่สำเร็จ กรุณาลองใหม่อีกครั้ง' }));
+  }
+});
+
+// One-time link sent by the bot in reply to "login" (see handleLoginCommand)
+app.get('/login/line', async (req, res) => {
+  try {
+    const user = await auth.consumeLineLoginToken(String(req.query.token || ''));
+    if (!user) return res.redirect('/login?error=link');
+    await auth.startSession(req, res, user);
+    console.log(`[AUTH] ${user.username} logged in from LINE`);
+    res.redirect('/daily-report');
+  } catch (err) {
+    console.error('[AUTH] LINE login error:', err);
+    res.status(500).send(renderLoginPage({ next: '/daily-report', error: 'เข้าสู่ระบบไม่สำเร็จ กรุณาลองใหม่อีกครั้ง' }));
+  }
+});
+
+app.get('/logout', async (req, res) => {
+  try {
+    await auth.endSession(req, res);
+  } catch (err) {
+    console.error('[AUTH] Logout error:', err.message);
+  }
+  res.redirect('/login');
+});
+
+// Clear expired sessions, login links and login failures in the background
+if (!OFFLINE) {
+  setInterval(async () => {
+    auth.pruneLoginFailures();
+    try {
+      await db.deleteExpiredWebSessions();
+    } catch (error) {
+      console.error('[AUTH] Error clearing expired sessions:', error.message);
+    }
+  }, 60 * 60 * 1000).unref();
+}
+
 async function handleEvent(event) {
   console.log('[EVENT] Event type:', event.type);
 
@@ -1124,85 +1649,83 @@ async function handleEvent(event) {
     }
   }
 
-  if (event.type !== 'message') {
+  if (event.type === 'join' || event.type === 'follow' || event.type === 'memberJoined' || event.type === 'leave') {
+    return handleOnboardingEvent(event, sourceInfo);
+  }
+
+  if (event.type !== 'postback' && event.type !== 'message') {
     console.log('[EVENT] Skipping non-message event');
     return null;
   }
 
+  const role = await resolveRole(sourceInfo);
+  console.log('[ACCESS] Role:', role || 'not allowlisted');
+
+  if (event.type === 'postback') {
+    if (!hasRole(role, 'submitter')) {
+      await logUnauthorized(null, sourceInfo, role, 'Confirm/reject of a pending extraction');
+      return null;
+    }
+    return handlePostback(event, sourceInfo);
+  }
+
   const message = event.message;
   console.log('[EVENT] Message type:', message.type);
 
+  if ((message.type === 'image' || message.type === 'file') && !hasRole(role, 'submitter')) {
+    await logUnauthorized(message.id, sourceInfo, role, `${message.type === 'image' ? 'Image' : 'File'} submission`);
+    return null;
+  }
+
   if (message.type === 'image') {
     console.log('[IMAGE] Image message detected:', message.id);
+    const correction = takeCorrectionRequest(sourceInfo);
+    if (IMAGE_BATCH_WINDOW_SECONDS > 0) {
+      queueImageForBatch(event, sourceInfo, { correction });
+    } else {
+      await processImageMessage(event, message.id, sourceInfo, { correction });
+    }
+  } else if (message.type === 'file') {
+    console.log('[FILE] File message detected:', message.id, message.fileName);
+    const correction = takeCorrectionRequest(sourceInfo);
+    await processFileMessage(event, message, sourceInfo, { correction });
+  } else if (message.type === 'text') {
+    const command = parseTextCommand(message.text);
+    if (!command) {
+      console.log('[COMMAND] Text message is not a command, ignoring');
+      return null;
+    }
 
-    try {
-      console.log('[IMAGE] Fetching image content...');
-      const imageBuffer = await getImageContent(message.id);
-      console.log('[IMAGE] Image size:', imageBuffer.length, 'bytes');
-
-      console.log('[IMAGE] Detecting if Excel screenshot...');
-      const isExcelScreenshot = await detectExcelScreenshot(imageBuffer);
-      console.log('[IMAGE] Is Excel screenshot:', isExcelScreenshot);
-
-      if (isExcelScreenshot) {
-        console.log('[OCR] Excel screenshot detected, performing OCR...');
-        const { extractedText, recordResult } = await performOCR(imageBuffer, message.id, sourceInfo);
-        console.log('[OCR] Extraction completed, text length:', extractedText.length);
-
-        // Only send reply if data was successfully recorded
-        if (recordResult && recordResult.success) {
-          const replyMessage = `Report for ${recordResult.date} has been recorded\n\nDaily report: https://shinsen.yushi-marketing.com/daily-report\nMTD / YTD report: https://shinsen.yushi-marketing.com/mtd-report`;
-
-          await client.replyMessage({
-            replyToken: event.replyToken,
-            messages: [{
-              type: 'text',
-              text: replyMessage,
-            }],
-          });
-
-          console.log('Success message sent to user');
-
-          // Send notifications to configured groups (if AUTO_NOTIFY is enabled)
-          if (AUTO_NOTIFY) {
-            const categories = recordResult.results.map(r => r.category);
-            await sendNotificationToGroups(recordResult.date, categories);
-          } else {
-            console.log('[NOTIFICATION] Auto-notify disabled, skipping group notification');
-          }
-        } else {
-          console.log('Data not recorded, no reply sent');
-        }
+    console.log('[COMMAND] Parsed command:', JSON.stringify(command));
+    // Web login is authorised by the account linked at /users, not by the LINE allowlist
+    if (command.type === 'login') {
+      await handleLoginCommand(event, sourceInfo);
+      return null;
+    }
+    if (!hasRole(role, command.type === 'correct' ? 'submitter' : 'viewer')) {
+      if (command.type === 'correct') {
+        await logUnauthorized(message.id, sourceInfo, role, 'Correction request');
       } else {
-        // Log failed detection - not an Excel screenshot
-        await saveDetectionLog({
-          timestamp: new Date().toISOString(),
-          messageId: message.id,
-          groupId: sourceInfo.groupId,
-          userId: sourceInfo.userId,
-          status: 'failed',
-          reason: 'Not an Excel screenshot (failed GPT-4 Vision detection)'
-        });
-        console.log('Image not detected as Excel screenshot, no reply sent');
+        console.log('[ACCESS] Text command from a source without access, ignoring');
       }
+      return null;
+    }
+    if (command.type === 'correct') {
+      await handleCorrectionCommand(event, message, sourceInfo);
+      return null;
+    }
 
-      console.log('Detection result:', { isExcelScreenshot });
+    try {
+      const replyText = await runTextCommand(command);
+      await client.replyMessage({
+        replyToken: event.replyToken,
+        messages: [{
+          type: 'text',
+          text: replyText,
+        }],
+      });
     } catch (error) {
-      console.error('Error processing image:', error);
-      // Silent mode: don't reply on errors — but record the failure so it
-      // surfaces on the web detection log instead of disappearing entirely.
-      try {
-        await saveDetectionLog({
-          timestamp: new Date().toISOString(),
-          messageId: message.id,
-          groupId: sourceInfo.groupId,
-          userId: sourceInfo.userId,
-          status: 'error',
-          reason: `Processing failed before detection: ${error?.message || error}`
-        });
-      } catch (logError) {
-        console.error('Failed to write error detection log:', logError);
-      }
+      console.error('[COMMAND] Error running command:', error);
     }
   } else {
     console.log('Non-image message received:', message.type);
@@ -1211,1522 +1734,4437 @@ async function handleEvent(event) {
   return null;
 }
 
-async function getImageContent(messageId) {
+// Download an image message, archive it and check it is an Excel screenshot, running
+// layout analysis if so (see PIPELINE_MODE for the order). A rejected image carries
+// rejectReason for the detection log. Never throws: a failure comes back as
+// { messageId, error } so one bad image doesn't sink the rest of its batch.
+async function prepareImage(messageId, sourceInfo) {
+  let imageBuffer = null;
   try {
-    const stream = await blobClient.getMessageContent(messageId);
-    const chunks = [];
+    console.log(`[IMAGE] Fetching image content for ${messageId}...`);
+    imageBuffer = await getMessageContent(messageId);
+    console.log('[IMAGE] Image size:', imageBuffer.length, 'bytes');
 
-    for await (const chunk of stream) {
-      chunks.push(chunk);
+    const detection = await classifyImage(imageBuffer);
+    await archiveMessageContent(messageId, sourceInfo, imageBuffer, 'jpg', detection.ocr?.rawResult);
+    return { messageId, imageBuffer, ...detection };
+  } catch (error) {
+    console.error(`Error processing image ${messageId}:`, error);
+    if (imageBuffer) await archiveMessageContent(messageId, sourceInfo, imageBuffer, 'jpg', null);
+    return { messageId, error };
+  }
+}
+
+// Decide whether an image is a plan screenshot. Returns { isExcelScreenshot, ocr, rejectReason };
+// ocr is set whenever layout analysis ran, even for a rejected image, so it is archived.
+async function classifyImage(imageBuffer) {
+  if (PIPELINE_MODE === 'azure-first') {
+    console.log('[OCR] Azure-first pipeline, performing OCR...');
+    const ocr = await analyzeLayout(imageBuffer);
+    const { decision, reason } = classifyPlanLayout(ocr);
+    console.log(`[PIPELINE] Azure layout: ${decision} (${reason})`);
+    if (decision === 'plan') return { isExcelScreenshot: true, ocr };
+    if (decision === 'not-plan') {
+      return { isExcelScreenshot: false, ocr, rejectReason: `Not a delivery plan (Azure layout: ${reason})` };
     }
 
-    return Buffer.concat(chunks);
-  } catch (error) {
-    console.error('Error getting image content:', error);
-    throw error;
+    console.log('[PIPELINE] Ambiguous layout, falling back to GPT-4 Vision...');
+    const isExcelScreenshot = await detectExcelScreenshot(imageBuffer);
+    console.log(`[PIPELINE] GPT-4 Vision fallback: ${isExcelScreenshot ? 'spreadsheet' : 'not a spreadsheet'}`);
+    return isExcelScreenshot
+      ? { isExcelScreenshot, ocr }
+      : { isExcelScreenshot, ocr, rejectReason: `Not an Excel screenshot (ambiguous Azure layout: ${reason}; failed GPT-4 Vision detection)` };
   }
+
+  console.log('[IMAGE] Detecting if Excel screenshot...');
+  const isExcelScreenshot = await detectExcelScreenshot(imageBuffer);
+  console.log(`[PIPELINE] GPT-4 Vision: ${isExcelScreenshot ? 'spreadsheet' : 'not a spreadsheet'}`);
+  if (!isExcelScreenshot) {
+    return { isExcelScreenshot, rejectReason: 'Not an Excel screenshot (failed GPT-4 Vision detection)' };
+  }
+
+  console.log('[OCR] Excel screenshot detected, performing OCR...');
+  const ocr = await analyzeLayout(imageBuffer);
+  return { isExcelScreenshot, ocr };
 }
 
-async function detectExcelScreenshot(imageBuffer) {
-  try {
-    const base64Image = imageBuffer.toString('base64');
+// Download an image message and run it through detection → OCR → recording.
+// With { correction: true } an already-recorded date is diffed and held for confirmation
+// instead of being skipped.
+async function processImageMessage(event, messageId, sourceInfo, options = {}) {
+  await processImages(event, [prepareImage(messageId, sourceInfo)], sourceInfo, options);
+}
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      max_tokens: 100,
-      messages: [
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'image_url',
-              image_url: {
-                url: `data:image/jpeg;base64,${base64Image}`,
-              },
-            },
-            {
-              type: 'text',
-              text: 'Does this image contain a spreadsheet with a table grid layout? Look for: cells arranged in rows and columns, gridlines, tabular data structure, column/row organization, or any spreadsheet-like table format (including Excel, Google Sheets, printed spreadsheets, or any tabular data displays). Answer with only "YES" if you see a spreadsheet/table grid, or "NO" if you do not.',
-            },
-          ],
-        },
-      ],
-    });
+// Record the plan in one or more prepared images (see prepareImage) and reply to event.
+// Screenshots that pass detection are stitched into one table before extraction.
+async function processImages(event, preparedImages, sourceInfo, options = {}) {
+  const { correction = false } = options;
+  const images = await Promise.all(preparedImages);
+  console.log(`[IMAGE] Processing ${images.length} image(s) ${images.map(i => i.messageId).join(', ')}${correction ? ' as a correction' : ''}`);
 
-    const answer = response.choices[0].message.content.trim().toUpperCase();
-    console.log('GPT-4 Vision response:', answer);
+  try {
+    for (const image of images) {
+      if (image.error) {
+        // Silent mode: don't reply on errors — but record the failure so it
+        // surfaces on the web detection log instead of disappearing entirely.
+        await saveDetectionLog({
+          timestamp: new Date().toISOString(),
+          messageId: image.messageId,
+          groupId: sourceInfo.groupId,
+          userId: sourceInfo.userId,
+          status: 'error',
+          reason: `Processing failed before detection: ${image.error?.message || image.error}`
+        });
+      } else if (!image.isExcelScreenshot) {
+        // Log failed detection - not an Excel screenshot
+        await saveDetectionLog({
+          timestamp: new Date().toISOString(),
+          messageId: image.messageId,
+          groupId: sourceInfo.groupId,
+          userId: sourceInfo.userId,
+          status: 'failed',
+          reason: image.rejectReason
+        });
+        console.log(`Image ${image.messageId} not detected as Excel screenshot`);
+      }
+    }
 
-    return answer === 'YES';
+    const sheets = images.filter(i => i.isExcelScreenshot && i.ocr);
+    if (sheets.length === 0) {
+      console.log('No Excel screenshot in batch, no reply sent');
+      return;
+    }
+
+    // Screenshots of separate plans sent in one batch are recorded separately
+    const groups = groupScreenshotPlans(sheets.map(s => s.ocr));
+    if (groups.length > 1) console.log(`[BATCH] ${sheets.length} screenshots hold ${groups.length} separate plans`);
+    const recordResults = [];
+    for (const group of groups) {
+      const parts = group.map(idx => sheets[idx]);
+      const ocr = parts.length > 1 ? stitchLayouts(parts.map(s => s.ocr)) : parts[0].ocr;
+      const result = await recordOCRResult(
+        ocr,
+        parts.map(s => s.imageBuffer),
+        parts.map(s => s.messageId).join(','),
+        sourceInfo,
+        { correction, stitched: parts.length > 1 }
+      );
+      console.log('[OCR] Extraction completed, text length:', result.extractedText.length);
+      recordResults.push(...result.recordResults);
+    }
+
+    await replyToRecordResults(event, recordResults, correction);
   } catch (error) {
-    console.error('Error in Excel detection:', error);
-    throw error;
+    console.error('Error processing image:', error);
+    try {
+      await saveDetectionLog({
+        timestamp: new Date().toISOString(),
+        messageId: images.map(i => i.messageId).join(','),
+        groupId: sourceInfo.groupId,
+        userId: sourceInfo.userId,
+        status: 'error',
+        reason: `Processing failed: ${error?.message || error}`
+      });
+    } catch (logError) {
+      console.error('Failed to write error detection log:', logError);
+    }
   }
 }
 
-async function performOCR(imageBuffer, messageId = 'unknown', sourceInfo = null) {
+// Reply to an event, or push to its chat when the reply fails: a reply token expires about
+// a minute after the event, which a batch of screenshots waiting for Azure can outlast.
+async function replyOrPush(event, messages) {
   try {
-    console.log('Starting Azure OCR...');
+    await client.replyMessage({ replyToken: event.replyToken, messages });
+  } catch (error) {
+    const to = event.source?.groupId || event.source?.roomId || event.source?.userId;
+    if (!to) throw error;
+    console.log(`[REPLY] Reply failed (${error.message}), pushing to ${to} instead`);
+    await client.pushMessage({ to, messages });
+  }
+}
 
-    const poller = await azureClient.beginAnalyzeDocument('prebuilt-layout', imageBuffer);
-    const result = await poller.pollUntilDone();
+// Reply with the outcome of an extraction (one recordResult per day of the plan) and
+// notify groups of the days that were recorded. LINE takes up to 5 messages per reply.
+async function replyToRecordResults(event, recordResults, correction = false) {
+  const messages = [];
+  const recorded = [];
+  for (const recordResult of recordResults) {
+    // Only reply when data was recorded (or is awaiting confirmation)
+    if (recordResult && recordResult.success && recordResult.pending) {
+      messages.push(buildPendingMessage(recordResult));
+    } else if (recordResult && recordResult.success) {
+      const flexMessage = await buildRecordFlexMessage(recordResult);
+      messages.push(flexMessage);
+      recorded.push({ recordResult, flexMessage });
+    } else if (recordResult && recordResult.needsAllocation) {
+      // A readable plan that covers several days: say so rather than stay silent
+      messages.push({ type: 'text', text: `⚠️ แผนนี้ครอบคลุมหลายวัน (${recordResult.dates.join(', ')}) แต่ไม่ได้แยกยอดตามวัน จึงยังไม่ได้บันทึก กรุณาส่งแผนแยกรายวัน หรือกรอกยอดแต่ละวันเอง` });
+    } else if (correction) {
+      // A correction was explicitly requested, so say why nothing changed
+      messages.push({ type: 'text', text: `ไม่สามารถแก้ไขข้อมูลได้: ${recordResult?.reason || 'ไม่พบข้อมูลในรูป'}` });
+    }
+  }
 
-    let extractedText = '';
-    let tableData = [];
+  if (messages.length === 0) {
+    console.log('Data not recorded, no reply sent');
+    return;
+  }
+  await replyOrPush(event, messages.slice(0, 5));
+  console.log(`Reply sent to user (${messages.length} message(s))`);
 
-    if (result.pages) {
-      for (const page of result.pages) {
-        if (page.lines) {
-          for (const line of page.lines) {
-            extractedText += line.content + '\n';
-          }
-        }
-      }
-    }
+  // Send notifications to configured groups (if AUTO_NOTIFY is enabled)
+  if (recorded.length === 0) return;
+  if (!AUTO_NOTIFY) {
+    console.log('[NOTIFICATION] Auto-notify disabled, skipping group notification');
+    return;
+  }
+  for (const { recordResult, flexMessage } of recorded) {
+    const categories = recordResult.results.map(r => r.category);
+    await sendNotificationToGroups(recordResult.date, categories, flexMessage);
+  }
+}
 
-    if (result.tables) {
-      for (const table of result.tables) {
-        const tableRows = [];
-        const maxRow = Math.max(...table.cells.map(c => c.rowIndex)) + 1;
-        const maxCol = Math.max(...table.cells.map(c => c.columnIndex)) + 1;
+// ---------- Image batches ----------
+// Large plans are sent as two or three screenshots (top and bottom of the table). Images
+// from the same sender in the same chat are collected until IMAGE_BATCH_WINDOW_SECONDS
+// pass without another one, then recorded together as one plan. Each image is fetched and
+// analysed as soon as it arrives so the window isn't spent waiting on Azure. Images LINE
+// sends as one set (message.imageSet) are flushed as soon as the whole set is in.
 
-        for (let i = 0; i < maxRow; i++) {
-          tableRows[i] = new Array(maxCol).fill('');
-        }
+const imageBatches = new Map(); // `${sourceKey}|${userId}` → { event, sourceInfo, entries, correction, timer }
 
-        for (const cell of table.cells) {
-          const content = cell.content || '';
-          const rowIdx = cell.rowIndex;
-          const colIdx = cell.columnIndex;
-          const rowSpan = cell.rowSpan || 1;
-
-          // Azure occasionally merges adjacent Vendor cells (e.g., FC03 + FC15) into
-          // a single multi-row cell. Split the content by FC code so fill-down later
-          // gives each row exactly one vendor instead of leaving both names in every row.
-          if (colIdx === 0 && rowSpan > 1) {
-            const fcParts = content
-              .split(/(?=FC\d+)/)
-              .map(p => p.trim())
-              .filter(p => /^FC\d+/.test(p));
-            if (fcParts.length > 1) {
-              const K = fcParts.length;
-              for (let i = 0; i < rowSpan; i++) {
-                const fcIdx = Math.min(K - 1, Math.floor((i * K) / rowSpan));
-                tableRows[rowIdx + i][colIdx] = fcParts[fcIdx];
-              }
-              console.log(`[PREPROCESS] Split merged Vendor cell at row ${rowIdx} into ${K} FCs across ${rowSpan} rows: [${fcParts.join(' | ')}]`);
-              continue;
-            }
-          }
+function queueImageForBatch(event, sourceInfo, options = {}) {
+  const { correction = false } = options;
+  const message = event.message;
+  const key = `${sourceKey(sourceInfo)}|${sourceInfo.userId || ''}`;
 
-          tableRows[rowIdx][colIdx] = content;
-        }
+  let batch = imageBatches.get(key);
+  if (!batch) {
+    batch = { sourceInfo, entries: [], correction: false, timer: null };
+    imageBatches.set(key, batch);
+  }
+  // Reply to the latest image: its reply token is the freshest
+  batch.event = event;
+  batch.correction = batch.correction || correction;
+  batch.entries.push({ imageSet: message.imageSet || null, image: prepareImage(message.id, sourceInfo) });
+  console.log(`[BATCH] Queued image ${message.id} (${batch.entries.length} in batch for ${key})`);
+
+  clearTimeout(batch.timer);
+  const set = message.imageSet;
+  const setComplete = set && set.total &&
+    batch.entries.filter(e => e.imageSet?.id === set.id).length >= set.total;
+  batch.timer = setTimeout(() => flushImageBatch(key), setComplete ? 0 : IMAGE_BATCH_WINDOW_SECONDS * 1000);
+}
 
-        tableData.push(tableRows);
-      }
-    }
+async function flushImageBatch(key) {
+  const batch = imageBatches.get(key);
+  if (!batch) return;
+  imageBatches.delete(key);
 
-    // Preprocess table data: fill down C0 and C1 to help with extraction
-    if (tableData && tableData.length > 0) {
-      tableData = preprocessTableData(tableData);
-    }
+  // Images of one LINE image set can arrive out of order; put them back in set order
+  const entries = [...batch.entries];
+  if (entries.every(e => e.imageSet && e.imageSet.id === entries[0].imageSet.id)) {
+    entries.sort((a, b) => a.imageSet.index - b.imageSet.index);
+  }
+  console.log(`[BATCH] Processing batch of ${entries.length} image(s) for ${key}`);
 
-    latestOCRResult = {
-      timestamp: new Date(),
-      extractedText: extractedText,
-      tableData: tableData,
-      rawResult: result,
-      messageId: messageId
-    };
+  try {
+    await processImages(batch.event, entries.map(e => e.image), batch.sourceInfo, { correction: batch.correction });
+  } catch (error) {
+    console.error('[BATCH] Error processing image batch:', error);
+  }
+}
 
-    console.log('OCR completed. Text length:', extractedText.length);
-    console.log('Tables found:', tableData.length);
+// ---------- File messages ----------
+// The original .xlsx of a plan is read directly (no OCR); a PDF export goes through the
+// same Azure prebuilt-layout analysis as a screenshot. Other files are ignored.
 
-    // Record daily data if conditions are met
-    let recordResult = null;
-    try {
-      recordResult = await recordDailyData(tableData, extractedText, result);
-      if (recordResult && recordResult.success) {
-        console.log('Daily data recorded successfully');
-
-        // Save the valid image to 'stored_images' folder on the server
-        try {
-          const imagesDir = path.join(__dirname, 'stored_images');
-          await fs.mkdir(imagesDir, { recursive: true });
-
-          // recordResult.date is "DD/MM/YYYY" format
-          const formattedDate = recordResult.date.replace(/\//g, '-');
-          const fileName = `${formattedDate}.jpg`;
-          const filePath = path.join(imagesDir, fileName);
-          await fs.writeFile(filePath, imageBuffer);
-          console.log(`[IMAGE] Saved successful screenshot to ${filePath}`);
-        } catch (imgError) {
-          console.error('[IMAGE] Error saving successful screenshot:', imgError);
-        }
+const PLAN_FILE_TYPES = {
+  xlsx: 'excel',
+  xlsm: 'excel',
+  xls: 'excel',
+  pdf: 'pdf'
+};
 
-        // Log successful extraction
-        await saveDetectionLog({
-          timestamp: new Date().toISOString(),
-          messageId: latestOCRResult.messageId || 'unknown',
-          groupId: sourceInfo?.groupId || null,
-          userId: sourceInfo?.userId || null,
-          status: 'success',
-          date: recordResult.date,
-          categories: recordResult.results.map(r => r.category),
-          recordsCreated: recordResult.results.length
-        });
-      } else if (recordResult && !recordResult.success) {
-        console.log('Daily data not recorded:', recordResult.reason);
-        // Log failed extraction with reason
-        await saveDetectionLog({
-          timestamp: new Date().toISOString(),
-          messageId: latestOCRResult.messageId || 'unknown',
-          groupId: sourceInfo?.groupId || null,
-          userId: sourceInfo?.userId || null,
-          status: 'failed',
-          reason: recordResult.reason
-        });
-      }
-    } catch (error) {
-      console.error('Error recording daily data:', error);
-      // Log error
+async function processFileMessage(event, message, sourceInfo, options = {}) {
+  const { correction = false } = options;
+  const extension = path.extname(message.fileName || '').slice(1).toLowerCase();
+  const fileType = PLAN_FILE_TYPES[extension];
+  if (!fileType) {
+    console.log(`[FILE] Ignoring unsupported file type: ${message.fileName}`);
+    return;
+  }
+
+  try {
+    console.log('[FILE] Fetching file content...');
+    const fileBuffer = await getMessageContent(message.id);
+    console.log('[FILE] File size:', fileBuffer.length, 'bytes');
+
+    const ocr = fileType === 'excel' ? parseExcelPlan(fileBuffer) : await analyzeLayout(fileBuffer);
+    await archiveMessageContent(message.id, sourceInfo, fileBuffer, extension, ocr.rawResult);
+    const { recordResults } = await recordOCRResult(ocr, [fileBuffer], message.id, sourceInfo, { correction, extension });
+    await replyToRecordResults(event, recordResults, correction);
+  } catch (error) {
+    console.error('Error processing file:', error);
+    try {
       await saveDetectionLog({
         timestamp: new Date().toISOString(),
-        messageId: latestOCRResult.messageId || 'unknown',
-        groupId: sourceInfo?.groupId || null,
-        userId: sourceInfo?.userId || null,
+        messageId: message.id,
+        groupId: sourceInfo.groupId,
+        userId: sourceInfo.userId,
         status: 'error',
-        reason: `Error: ${error.message}`
+        reason: `Processing ${message.fileName} failed: ${error?.message || error}`
       });
+    } catch (logError) {
+      console.error('Failed to write error detection log:', logError);
     }
+  }
+}
+
+// ---------- OCR archive ----------
+// Every incoming image/file is kept in stored_images/archive/ with its raw layout result
+// (ocr_archive table), so extraction can be re-run from the web (/archive/:messageId) or
+// the CLI (reprocess.js) after the heuristics improve, without calling the OCR provider again.
 
-    return { extractedText, recordResult };
+const ARCHIVE_DIR = path.join(__dirname, 'stored_images', 'archive');
+
+// Store a message's content and OCR result. Failures are logged only: archiving must
+// never stop a plan from being recorded.
+async function archiveMessageContent(messageId, sourceInfo, buffer, extension, rawResult) {
+  try {
+    const fileName = `${messageId}.${extension}`;
+    await fs.mkdir(ARCHIVE_DIR, { recursive: true });
+    await fs.writeFile(path.join(ARCHIVE_DIR, fileName), buffer);
+    await db.saveOCRArchive({
+      messageId,
+      groupId: sourceInfo?.groupId || null,
+      userId: sourceInfo?.userId || null,
+      fileType: extension,
+      fileName,
+      ocrProvider: rawResult ? ocrProvider.name : null,
+      rawResult
+    });
+    console.log(`[ARCHIVE] Archived ${fileName}${rawResult ? ' with OCR result' : ''}`);
   } catch (error) {
-    console.error('Error in OCR:', error);
-    throw error;
+    console.error('[ARCHIVE] Error archiving message content:', error.message);
   }
 }
 
-function transformTableData(tableData, columnIndex = 2) {
-  if (!tableData || tableData.length === 0) {
-    return null;
-  }
+// Layout result for an archive entry: the saved OCR result, or the Excel file re-read.
+// Returns null when OCR never ran (image rejected before layout analysis).
+function archivedLayout(archive, buffer) {
+  if (archive.rawResult) return layoutToOCRResult(archive.rawResult);
+  if (PLAN_FILE_TYPES[archive.fileType] === 'excel' && buffer) return parseExcelPlan(buffer);
+  return null;
+}
 
-  // Define CDC order (this will be the display order)
-  const cdcOrder = [
-    'คลังบางบัวทอง',
-    'นครราชสีมา',
-    'นครสวรรค์',
-    'ชลบุรี',
-    'คลังมหาชัย',
-    'คลังสุวรรณภูมิ',
-    'หาดใหญ่',
-    'ภูเก็ต',
-    'เชียงใหม่',
-    'สุราษฎร์',
-    'ขอนแก่น'
-  ];
+// Re-run preprocessTableData → recordDailyData on archived messages. Several message IDs
+// are stitched into one plan, as a batch of screenshots would be. Already-recorded dates
+// are skipped unless { correction: true }, which holds the changes for confirmation.
+// options.changedBy is who asked for it (kept in daily_records_history).
+// Returns the recordResults, one per day of the plan (see recordOCRResult).
+async function reprocessArchived(messageIds, options = {}) {
+  const { correction = false, changedBy = null } = options;
+  const archives = await Promise.all(messageIds.map(id => db.getOCRArchive(id)));
+  const missing = messageIds.filter((id, i) => !archives[i]);
+  if (missing.length > 0) {
+    return [{ success: false, reason: `No archive for message ${missing.join(', ')}` }];
+  }
 
-  // CDC names to search for (short names)
-  const cdcNames = [
-    'บางบัวทอง',
-    'นครราชสีมา',
-    'นครสวรรค์',
-    'ชลบุรี',
-    'มหาชัย',
-    'สุวรรณภูมิ',
-    'หาดใหญ่',
-    'ภูเก็ต',
-    'เชียงใหม่',
-    'สุราษฎร์',
-    'ขอนแก่น'
-  ];
+  const layouts = [];
+  const buffers = [];
+  for (const archive of archives) {
+    const buffer = await fs.readFile(path.join(ARCHIVE_DIR, archive.fileName)).catch(() => null);
+    const layout = archivedLayout(archive, buffer);
+    if (!layout) {
+      return [{ success: false, reason: `Message ${archive.messageId} has no archived OCR result (rejected before OCR)` }];
+    }
+    layouts.push(layout);
+    if (buffer) buffers.push(buffer);
+  }
 
-  // Map short names to full names
-  const cdcNameMapping = {
-    'บางบัวทอง': 'คลังบางบัวทอง',
-    'นครราชสีมา': 'นครราชสีมา',
-    'นครสวรรค์': 'นครสวรรค์',
-    'ชลบุรี': 'ชลบุรี',
-    'มหาชัย': 'คลังมหาชัย',
-    'สุวรรณภูมิ': 'คลังสุวรรณภูมิ',
-    'หาดใหญ่': 'หาดใหญ่',
-    'ภูเก็ต': 'ภูเก็ต',
-    'เชียงใหม่': 'เชียงใหม่',
-    'สุราษฎร์': 'สุราษฎร์',
-    'ขอนแก่น': 'ขอนแก่น'
-  };
+  console.log(`[REPROCESS] Re-running extraction for ${messageIds.join(',')}${correction ? ' as a correction' : ''}`);
+  const sourceInfo = { groupId: archives[0].groupId, userId: archives[0].userId };
+  const ocr = layouts.length > 1 ? stitchLayouts(layouts) : layouts[0];
+  const { recordResults } = await recordOCRResult(ocr, buffers, messageIds.join(','), sourceInfo, {
+    correction,
+    stitched: layouts.length > 1,
+    extension: archives[0].fileType,
+    origin: { source: 'reprocess', sourceId: messageIds.join(','), changedBy }
+  });
+  return recordResults.map(recordResult => recordResult || { success: false, reason: 'Extraction failed, see the detection logs' });
+}
 
-  const transformed = [];
+// ---------- LINE text commands ----------
+// Lets group members query recorded numbers without opening the web reports:
+//   ยอด [DD/MM/YYYY] [category]   daily totals (latest recorded day when no date)
+//   mtd [MM/YYYY] [category]      month-to-date volume vs target
+//   ytd [MM/YYYY] [category]      year-to-date volume vs target
+//   target [MM/YYYY]              monthly targets
+//   แก้ไข                          resubmit a plan for an already-recorded date
+//   login                         one-time link to the web dashboard (1:1 chat only)
+//   help                          command list
+
+const TEXT_COMMANDS = {
+  'ยอด': 'daily',
+  'daily': 'daily',
+  'mtd': 'mtd',
+  'ytd': 'ytd',
+  'target': 'target',
+  'targets': 'target',
+  'เป้า': 'target',
+  'แก้ไข': 'correct',
+  'correct': 'correct',
+  'login': 'login',
+  'เข้าสู่ระบบ': 'login',
+  'help': 'help',
+  'วิธีใช้': 'help',
+  'คำสั่ง': 'help'
+};
 
-  if (tableData.length === 0) return transformed;
+// Resolve a user-typed product name ("orange", "น้ำส้ม", "ส้ม", "pop") to a db category.
+// Exact matches only — chat text is noisy and a loose match would answer random messages.
+function resolveCategoryName(word) {
+  const w = word.toLowerCase().trim();
+  if (!w) return null;
+  for (const product of catalog.getProducts()) {
+    if (product.code === w) return product.code;
+    if ([product.nameTh, product.nameEn].some(name => name && name.toLowerCase() === w)) return product.code;
+    if (product.keywords.some(kw => kw.toLowerCase() === w)) return product.code;
+  }
+  return null;
+}
 
-  const table = tableData[0];
+// Parse a chat message into { type, date, month, year, category }, or null when the text
+// is not a command. Every argument must be recognised, so ordinary chat starting with
+// a command word (e.g. "ยอดเยี่ยม") is ignored instead of answered.
+function parseTextCommand(text) {
+  if (!text) return null;
+  const match = text.trim().match(/^(ยอด|daily|mtd|ytd|targets?|เป้า|แก้ไข|correct|login|เข้าสู่ระบบ|help|วิธีใช้|คำสั่ง)(?:\s+(.*))?$/i)
+    || text.trim().match(/^(ยอด)(\d{1,2}\/\d{1,2}(?:\/\d{4})?)$/);
+  if (!match) return null;
+
+  const command = { type: TEXT_COMMANDS[match[1].toLowerCase()], date: null, month: null, year: null, category: null };
+  const args = (match[2] || '').split(/\s+/).filter(Boolean);
+  if (['help', 'correct', 'login'].includes(command.type) && args.length > 0) return null;
+
+  for (const arg of args) {
+    const dateMatch = arg.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?$/);
+    const monthMatch = arg.match(/^(\d{1,2})\/(\d{4})$/);
+    const category = resolveCategoryName(arg);
+
+    if (command.type === 'daily' && dateMatch && !command.date) {
+      // Buddhist-era years (ยอด 15/03/2569) are accepted like the plans' dates
+      const year = dateMatch[3] || String(new Date().getFullYear());
+      command.date = normalizePlanDate(dateMatch[1], dateMatch[2], year);
+      if (!command.date) return null;
+    } else if (command.type !== 'daily' && monthMatch && !command.month) {
+      command.month = parseInt(monthMatch[1], 10);
+      command.year = parseInt(monthMatch[2], 10);
+      if (command.year >= 2400) command.year -= 543;
+      if (command.month < 1 || command.month > 12) return null;
+    } else if (category && !command.category) {
+      command.category = category;
+    } else {
+      return null;
+    }
+  }
 
-  // Crate columns are located from the table headers, so any number of juice columns works.
-  const layout = deriveLayout(Object.values(detectProductColumns(table)).map(p => p.column), table);
+  return command;
+}
 
-  // Initialize totals for all CDC locations
-  const cdcTotals = {};
-  cdcOrder.forEach(cdc => {
-    cdcTotals[cdc] = 0;
-  });
+function categoryLabel(category) {
+  return `${categoryIcon(category) || '•'} ${categoryName(category)}`;
+}
 
-  // Each row maps to exactly one CDC, derived from the Vendor cell (C0).
-  // Using C0 (with the FC code) avoids double-counting when C1 fill-down carries
-  // a previous vendor's warehouse into a later row.
-  let totalsRowIndex = -1;
-  for (let i = 0; i < table.length; i++) {
-    const row = table[i];
-    if (!row || row.length < 2) continue;
-    const c0 = row[0] ? row[0].toString().trim() : '';
-    const totalIndicators = ['ยอดรวม', 'รวม', 'total', 'grand total', 'sum'];
-    const foundTotal = totalIndicators.some(indicator =>
-      c0.toLowerCase().includes(indicator.toLowerCase())
-    );
-    if (foundTotal) {
-      totalsRowIndex = i;
-      break;
-    }
+function formatProgressLine(label, volume, target) {
+  if (!target || target <= 0) {
+    return `${label}: ${formatInt(volume)} / ยังไม่ได้ตั้ง target`;
   }
+  return `${label}: ${formatInt(volume)} / ${formatInt(target)} (${((volume / target) * 100).toFixed(1)}%)`;
+}
 
-  let yodruamValue = 0;
-  if (totalsRowIndex !== -1 && table[totalsRowIndex][columnIndex]) {
-    yodruamValue = parseOCRNumber(table[totalsRowIndex][columnIndex]);
+// Build the reply text for a parsed command.
+async function runTextCommand(command) {
+  const now = new Date();
+  const y = command.year || now.getFullYear();
+  const m = command.month || (now.getMonth() + 1);
+  const categories = command.category ? [command.category] : catalog.categories();
+
+  if (command.type === 'help') {
+    return [
+      '📖 คำสั่งที่ใช้ได้',
+      'ยอด [DD/MM/YYYY] [สินค้า] — ยอดรายวัน',
+      'mtd [MM/YYYY] [สินค้า] — ยอดสะสมเดือนนี้ เทียบ target',
+      'ytd [MM/YYYY] [สินค้า] — ยอดสะสมทั้งปี เทียบ target',
+      'target [MM/YYYY] — target รายเดือน',
+      'แก้ไข — ส่งรูปแผนที่แก้ไขแล้วของวันที่บันทึกไปแล้ว (หรือตอบกลับรูปเดิมด้วย "แก้ไข")',
+      'login — ลิงก์เข้าสู่ระบบหน้าเว็บ (ส่งในแชทส่วนตัวกับบอท)',
+      '',
+      'ตัวอย่าง: ยอด 15/03/2026, mtd, ytd orange'
+    ].join('\n');
   }
 
-  // Each row maps to exactly one CDC, derived from the Vendor cell (C0).
-  // Using C0 (with the FC code) avoids double-counting when C1 fill-down carries
-  // a previous vendor's warehouse into a later row.
-  table.forEach((row, rowIndex) => {
-    if (!row || row.length < 2) return;
-    if (rowIndex === totalsRowIndex) return;
+  if (command.type === 'daily') {
+    let dateStr = command.date;
+    if (!dateStr) {
+      const latest = await db.getLatestDayWithData(y, m);
+      if (!latest) return `ยังไม่มีข้อมูลของเดือน ${THAI_MONTHS[m - 1]} ${y}`;
+      dateStr = `${pad2(latest)}/${pad2(m)}/${y}`;
+    }
 
-    const c0 = row[0] ? row[0].toString() : '';
-    if (!c0) return;
+    const records = await Promise.all(categories.map(c => db.getDailyRecord(dateStr, c)));
+    const found = categories.map((c, i) => ({ category: c, record: records[i] })).filter(r => r.record);
+    if (found.length === 0) return `ไม่พบข้อมูลวันที่ ${dateStr}`;
 
-    let bestCdcName = null;
-    let bestScore = 0;
-    for (const cdcName of cdcNames) {
-      if (c0.includes(cdcName) && cdcName.length > bestScore) {
-        bestCdcName = cdcName;
-        bestScore = cdcName.length;
+    const lines = [`📊 ยอดวันที่ ${dateStr}`, ''];
+    if (command.category) {
+      const record = found[0].record;
+      lines.push(`${categoryLabel(command.category)}: ${formatInt(record.totalSum)}`);
+      for (const [cdc, value] of Object.entries(record.cdcTotals)) {
+        lines.push(`  ${cdc}: ${formatInt(value)}`);
+      }
+      for (const dest of catalog.EXPORT_DESTINATIONS) {
+        if (record[dest.field]) lines.push(`  ${dest.name}: ${formatInt(record[dest.field])}`);
       }
+    } else {
+      let total = 0;
+      for (const { category, record } of found) {
+        lines.push(`${categoryLabel(category)}: ${formatInt(record.totalSum)}`);
+        total += record.totalSum || 0;
+      }
+      lines.push('', `รวม: ${formatInt(total)}`);
     }
-    if (!bestCdcName) return;
+    return lines.join('\n');
+  }
 
-    const value = getRowProductValue(row, columnIndex, rowIndex, table, totalsRowIndex, yodruamValue, layout);
-    if (value > 0) {
-      cdcTotals[cdcNameMapping[bestCdcName]] += value;
-    }
-  });
+  if (command.type === 'target') {
+    const targets = await db.getTargets(y, m);
+    const lines = [`🎯 Target ${THAI_MONTHS[m - 1]} ${y}`, ''];
+    const withTarget = categories.filter(c => targets[c] > 0);
+    if (withTarget.length === 0) return `ยังไม่ได้ตั้ง target ของเดือน ${THAI_MONTHS[m - 1]} ${y}`;
+    for (const c of withTarget) lines.push(`${categoryLabel(c)}: ${formatInt(targets[c])}`);
+    return lines.join('\n');
+  }
 
-  // Build transformed array in the defined order
-  cdcOrder.forEach(cdc => {
-    transformed.push({
-      cdc: cdc,
-      value: cdcTotals[cdc]
-    });
-  });
+  // mtd / ytd
+  const d = await resolveReportDay(y, m);
+  const isYtd = command.type === 'ytd';
+  const start = isYtd ? ymd(y, 1, 1) : ymd(y, m, 1);
+  const [agg, targets] = await Promise.all([
+    db.getAggregateByCategory(start, ymd(y, m, d)),
+    isYtd ? db.getTargetsYTD(y, m) : db.getTargets(y, m)
+  ]);
+
+  const title = isYtd ? `📅 YTD ${y}` : `🗓️ MTD ${THAI_MONTHS[m - 1]} ${y}`;
+  const lines = [title, `ข้อมูล ณ วันที่ ${formatThaiDate(y, m, d)}`, ''];
+  const shown = categories.filter(c => (agg[c] || 0) > 0);
+  if (shown.length === 0) return `${title}\nไม่มียอดขายในช่วงนี้`;
+
+  for (const c of shown) lines.push(formatProgressLine(categoryLabel(c), agg[c], targets[c] || 0));
+  if (!command.category && shown.length > 1) {
+    const totalVol = shown.reduce((s, c) => s + agg[c], 0);
+    const totalTarget = shown.reduce((s, c) => s + (targets[c] || 0), 0);
+    lines.push('', formatProgressLine('รวม', totalVol, totalTarget));
+  }
+  return lines.join('\n');
+}
 
-  return transformed;
+// ---------- LINE Flex messages ----------
+
+// One label/value line of a Flex bubble body.
+function flexRow(label, value, options = {}) {
+  return {
+    type: 'box',
+    layout: 'horizontal',
+    contents: [
+      { type: 'text', text: label, size: 'sm', color: options.labelColor || '#555555', flex: 3, wrap: true },
+      { type: 'text', text: value, size: 'sm', color: options.valueColor || '#111111', align: 'end', flex: 2, weight: options.bold ? 'bold' : 'regular' }
+    ]
+  };
 }
 
-function generateHTMLTable(tableData) {
-  if (!tableData || tableData.length === 0) {
-    return '<p>No table data available</p>';
+// MTD progress block: "volume / target (pct%)" plus a bar coloured like the /mtd-report cells.
+function flexMtdProgress(volume, target) {
+  const contents = [{ type: 'text', text: 'MTD', size: 'xs', color: '#888888', weight: 'bold' }];
+
+  if (!target || target <= 0) {
+    contents.push({ type: 'text', text: `${formatInt(volume)} / ยังไม่ได้ตั้ง target`, size: 'sm', color: '#555555', wrap: true });
+    return { type: 'box', layout: 'vertical', spacing: 'sm', contents };
   }
 
-  let html = '<style>table { border-collapse: collapse; width: 100%; margin: 20px 0; } th, td { border: 1px solid #ddd; padding: 8px; text-align: left; position: relative; } th { background-color: #4CAF50; color: white; } tr:nth-child(even) { background-color: #f2f2f2; } .cell-position { font-size: 9px; color: #999; position: absolute; top: 2px; right: 2px; font-weight: normal; }</style>';
+  const pct = (volume / target) * 100;
+  const color = progressBarColor(pct);
+  contents.push({
+    type: 'text',
+    size: 'sm',
+    wrap: true,
+    contents: [
+      { type: 'span', text: formatInt(volume), weight: 'bold' },
+      { type: 'span', text: ` / ${formatInt(target)} `, color: '#888888' },
+      { type: 'span', text: `(${pct.toFixed(1)}%)`, color, weight: 'bold' }
+    ]
+  });
+  contents.push({
+    type: 'box',
+    layout: 'vertical',
+    height: '8px',
+    backgroundColor: '#e0e0e0',
+    cornerRadius: '4px',
+    contents: [{
+      type: 'box',
+      layout: 'vertical',
+      width: `${Math.min(pct, 100).toFixed(0)}%`,
+      height: '8px',
+      backgroundColor: color,
+      cornerRadius: '4px',
+      contents: []
+    }]
+  });
+  return { type: 'box', layout: 'vertical', spacing: 'sm', contents };
+}
 
-  tableData.forEach((table, tableIndex) => {
-    html += `<h3>Table ${tableIndex + 1}</h3>`;
-    html += '<table>';
+// Review warning for a low-confidence record: its confidence and the corrections applied
+function flexLowConfidenceNote(record) {
+  const corrections = record.corrections || [];
+  const contents = [{
+    type: 'text',
+    text: `⚠️ ความมั่นใจ OCR ${formatConfidence(record.confidence)} — กรุณาตรวจสอบค่าที่มีเครื่องหมาย`,
+    size: 'xs',
+    color: '#d32f2f',
+    wrap: true
+  }];
+  for (const correction of corrections.slice(0, 3)) {
+    contents.push({ type: 'text', text: describeCorrection(correction), size: 'xxs', color: '#888888', wrap: true });
+  }
+  if (corrections.length > 3) {
+    contents.push({ type: 'text', text: `และอีก ${corrections.length - 3} รายการ`, size: 'xxs', color: '#888888' });
+  }
+  return { type: 'box', layout: 'vertical', spacing: 'xs', contents };
+}
 
-    table.forEach((row, rowIndex) => {
-      html += '<tr>';
-      row.forEach((cell, colIndex) => {
-        const tag = rowIndex === 0 ? 'th' : 'td';
-        const position = `R${rowIndex}C${colIndex}`;
-        html += `<${tag}><span class="cell-position">${position}</span>${cell || ''}</${tag}>`;
-      });
-      html += '</tr>';
-    });
+// Bubble for one recorded category: total, per-CDC totals, exports (Laos, Cambodia) and MTD progress.
+function buildCategoryBubble(date, category, record, mtdVolume, mtdTarget) {
+  const color = categoryColor(category);
+  const bodyContents = [
+    flexRow('รวม', formatInt(record.totalSum), { bold: true, labelColor: '#111111' }),
+    { type: 'separator', margin: 'md' }
+  ];
 
-    html += '</table>';
-  });
+  for (const [cdc, value] of Object.entries(record.cdcTotals || {})) {
+    bodyContents.push(isLowConfidenceCDC(record, cdc)
+      ? flexRow(`⚠️ ${cdc}`, formatInt(value), { valueColor: '#d32f2f' })
+      : flexRow(cdc, formatInt(value)));
+  }
+  for (const dest of catalog.EXPORT_DESTINATIONS) {
+    if (record[dest.field]) bodyContents.push(flexRow(dest.name, formatInt(record[dest.field]), { labelColor: '#e65100' }));
+  }
+  if (isLowConfidence(record)) {
+    bodyContents.push({ type: 'separator', margin: 'md' });
+    bodyContents.push(flexLowConfidenceNote(record));
+  }
+  if (mtdVolume != null) {
+    bodyContents.push({ type: 'separator', margin: 'md' });
+    bodyContents.push(flexMtdProgress(mtdVolume, mtdTarget));
+  }
 
-  return html;
+  return {
+    type: 'bubble',
+    size: 'kilo',
+    header: {
+      type: 'box',
+      layout: 'vertical',
+      backgroundColor: color,
+      contents: [
+        { type: 'text', text: categoryLabel(category), color: '#ffffff', weight: 'bold', size: 'lg' },
+        { type: 'text', text: `วันที่ ${date}`, color: '#ffffff', size: 'xs' }
+      ]
+    },
+    body: { type: 'box', layout: 'vertical', spacing: 'xs', contents: bodyContents },
+    footer: {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'sm',
+      contents: [
+        { type: 'button', style: 'link', height: 'sm', action: { type: 'uri', label: 'Daily report', uri: `${REPORT_BASE_URL}/daily-report` } },
+        { type: 'button', style: 'link', height: 'sm', action: { type: 'uri', label: 'MTD / YTD report', uri: `${REPORT_BASE_URL}/mtd-report` } }
+      ]
+    }
+  };
 }
 
-function generateTransformedTable(transformedData, category = 'น้ำส้ม') {
-  if (!transformedData || transformedData.length === 0) {
-    return `<p>No transformed data available for ${category}</p>`;
+// Flex carousel sent after a successful recording, one bubble per recorded category.
+// MTD figures are best-effort: if the aggregate query fails the bubbles omit that block.
+async function buildRecordFlexMessage(recordResult) {
+  const [day, month, year] = recordResult.date.split('/').map(Number);
+
+  let mtdAgg = null;
+  let targets = {};
+  try {
+    [mtdAgg, targets] = await Promise.all([
+      db.getAggregateByCategory(ymd(year, month, 1), ymd(year, month, day)),
+      db.getTargets(year, month)
+    ]);
+  } catch (error) {
+    console.error('[FLEX] Error loading MTD figures:', error);
   }
 
-  const headerColor = category === 'น้ำส้ม' ? '#FF8C00' : '#FFD700';
-  const categoryLabel = category === 'น้ำส้ม' ? 'ขวดน้ำส้ม' : 'ขวดยูซุ';
+  const bubbles = recordResult.results.map(({ category, record }) =>
+    buildCategoryBubble(recordResult.date, category, record,
+      mtdAgg ? (mtdAgg[category] || 0) : null, targets[category] || 0)
+  );
 
-  let html = `<style>
-    .category-section { margin: 30px 0; }
-    .category-title {
-      font-size: 24px;
-      font-weight: bold;
-      color: ${headerColor};
-      margin-bottom: 15px;
-      padding: 10px;
-      background-color: ${headerColor}20;
-      border-radius: 5px;
-    }
-    table {
-      border-collapse: collapse;
-      width: 100%;
-      margin: 20px 0;
-    }
-    th, td {
-      border: 1px solid #ddd;
-      padding: 8px;
-      text-align: left;
-    }
-    th {
-      background-color: ${headerColor};
-      color: white;
-    }
-    tr:nth-child(even) {
-      background-color: #f2f2f2;
-    }
-  </style>`;
+  return {
+    type: 'flex',
+    altText: `Report for ${recordResult.date} has been recorded (${recordResult.results.map(r => r.category).join(', ')})`,
+    contents: { type: 'carousel', contents: bubbles }
+  };
+}
 
-  html += `<div class="category-section">`;
-  html += `<div class="category-title">${category}</div>`;
-  html += '<table>';
-  html += `<tr><th>CDC</th><th>${categoryLabel}</th></tr>`;
+// ---------- Pending confirmation ----------
+// With CONFIRM_BEFORE_RECORD=true an extraction is stored in pending_records instead of
+// daily_records. The bot replies with the numbers and Confirm / Reject / Edit quick replies;
+// only Confirm, pressed in the same group (or 1:1 chat), commits the rows. Corrections
+// (see "แก้ไข" below) always go through this flow since they overwrite recorded data.
 
-  transformedData.forEach(item => {
-    html += `<tr><td>${item.cdc}</td><td>${item.value}</td></tr>`;
+const PENDING_IMAGES_DIR = path.join(__dirname, 'stored_images', 'pending');
+
+// The chat a message came from: the group, or the user for 1:1 chats.
+function sourceKey(sourceInfo) {
+  return sourceInfo?.groupId || sourceInfo?.userId || null;
+}
+
+// Source files held for a pending extraction: <id>.jpg, or <id>_1.jpg, <id>_2.jpg, ...
+// for a plan sent as several screenshots (<id>.xlsx / <id>.pdf for file messages).
+// Returns full paths in page order.
+async function pendingImageFiles(pendingId) {
+  const names = await fs.readdir(PENDING_IMAGES_DIR).catch(() => []);
+  const pattern = new RegExp(`^${pendingId}(?:_(\\d+))?\\.\\w+$`);
+  return names
+    .map(name => ({ name, match: name.match(pattern) }))
+    .filter(f => f.match)
+    .sort((a, b) => Number(a.match[1] || 0) - Number(b.match[1] || 0))
+    .map(f => path.join(PENDING_IMAGES_DIR, f.name));
+}
+
+// Store the extraction as pending and return recordResult flagged with its pending ID.
+// kind is 'new' or 'correction'. imageBuffers is the screenshot, or an array of them;
+// extension is the file type they are kept as.
+async function createPendingRecord(recordResult, imageBuffers, messageId, sourceInfo, kind = 'new', extension = 'jpg') {
+  const buffers = Array.isArray(imageBuffers) ? imageBuffers : [imageBuffers];
+  const expiresAt = new Date(Date.now() + PENDING_EXPIRY_MINUTES * 60 * 1000);
+  const pendingId = await db.savePendingRecord({
+    kind,
+    messageId,
+    sourceId: sourceKey(sourceInfo),
+    userId: sourceInfo?.userId || null,
+    date: recordResult.date,
+    results: recordResult.results,
+    expiresAt
   });
+  console.log(`[PENDING] Stored pending ${kind} #${pendingId} for ${recordResult.date}, expires ${expiresAt.toISOString()}`);
 
-  html += '</table>';
-  html += '</div>';
+  // Keep the screenshot so it can be filed under its date once confirmed
+  try {
+    await fs.mkdir(PENDING_IMAGES_DIR, { recursive: true });
+    for (let i = 0; i < buffers.length; i++) {
+      const fileName = buffers.length > 1 ? `${pendingId}_${i + 1}.${extension}` : `${pendingId}.${extension}`;
+      await fs.writeFile(path.join(PENDING_IMAGES_DIR, fileName), buffers[i]);
+    }
+  } catch (imgError) {
+    console.error('[PENDING] Error saving pending screenshot:', imgError);
+  }
 
-  return html;
+  await saveDetectionLog({
+    timestamp: new Date().toISOString(),
+    messageId,
+    groupId: sourceInfo?.groupId || null,
+    userId: sourceInfo?.userId || null,
+    status: 'pending',
+    date: recordResult.date,
+    categories: recordResult.results.map(r => r.category),
+    reason: `Awaiting ${kind === 'correction' ? 'correction ' : ''}confirmation (pending #${pendingId})`
+  });
+
+  return { ...recordResult, pending: true, pendingId, expiresAt, correction: kind === 'correction' };
 }
 
-app.get('/latest-ocr', (req, res) => {
-  if (!latestOCRResult.timestamp) {
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Latest OCR Result</title>
-        <meta charset="utf-8">
-      </head>
-      <body>
-        <h1>No OCR results yet</h1>
-        <p>Send an Excel screenshot to the LINE bot to see results here.</p>
-      </body>
-      </html>
-    `);
-    return;
+// Field-by-field changes between a stored record and a new extraction. A missing
+// `previous` (category not recorded yet) reports every non-zero field as a change.
+function diffDailyRecord(previous, record) {
+  const changes = [];
+  const compare = (label, before, after) => {
+    if ((before || 0) !== (after || 0)) changes.push({ label, before: before || 0, after: after || 0 });
+  };
+  compare('รวม', previous?.totalSum, record.totalSum);
+  for (const cdc of Object.keys(record.cdcTotals || {})) {
+    compare(cdc, previous?.cdcTotals?.[cdc], record.cdcTotals[cdc]);
   }
+  for (const dest of catalog.EXPORT_DESTINATIONS) {
+    if (record[dest.field] !== undefined) compare(dest.name, previous?.[dest.field], record[dest.field]);
+  }
+  return changes;
+}
 
-  const tableHTML = generateHTMLTable(latestOCRResult.tableData);
+// Text summary of a pending extraction with Confirm / Reject / Edit quick-reply buttons.
+// Corrections list only what changed against the recorded values.
+function buildPendingMessage(recordResult) {
+  const lines = recordResult.correction
+    ? [`✏️ แก้ไขข้อมูลวันที่ ${recordResult.date} — ตรวจสอบการเปลี่ยนแปลง`]
+    : [`📝 ตรวจสอบข้อมูลวันที่ ${recordResult.date} ก่อนบันทึก`];
+
+  for (const { category, record, previous } of recordResult.results) {
+    if (recordResult.correction && previous) {
+      lines.push('', categoryLabel(category));
+      for (const change of diffDailyRecord(previous, record)) {
+        const flag = isLowConfidenceCDC(record, change.label) ? ' ⚠️' : '';
+        lines.push(`  ${change.label}: ${formatInt(change.before)} → ${formatInt(change.after)}${flag}`);
+      }
+    } else {
+      const note = recordResult.correction ? ' (ยังไม่เคยบันทึก)' : '';
+      lines.push('', `${categoryLabel(category)}${note}: ${formatInt(record.totalSum)}`);
+      for (const [cdc, value] of Object.entries(record.cdcTotals || {})) {
+        lines.push(`  ${cdc}: ${formatInt(value)}${isLowConfidenceCDC(record, cdc) ? ' ⚠️' : ''}`);
+      }
+      for (const dest of catalog.EXPORT_DESTINATIONS) {
+        if (record[dest.field]) lines.push(`  ${dest.name}: ${formatInt(record[dest.field])}`);
+      }
+    }
 
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Latest OCR Result</title>
-      <meta charset="utf-8">
-      <style>
-        body { font-family: Arial, sans-serif; margin: 20px; }
-        .info { background-color: #e7f3fe; border-left: 6px solid #2196F3; padding: 10px; margin-bottom: 20px; }
-        .text-result { background-color: #f4f4f4; padding: 15px; border-radius: 5px; white-space: pre-wrap; max-height: 300px; overflow-y: auto; }
-        .nav { margin-bottom: 20px; }
-        .nav a { padding: 10px 15px; background-color: #4CAF50; color: white; text-decoration: none; margin-right: 10px; border-radius: 5px; }
-        .nav a:hover { background-color: #45a049; }
-      </style>
-    </head>
-    <body>
-      ${reportNav()}
+    if (isLowConfidence(record)) {
+      lines.push(`  ⚠️ ความมั่นใจ OCR ${formatConfidence(record.confidence)} — ตรวจสอบค่าที่มีเครื่องหมายก่อนยืนยัน`);
+      for (const correction of record.corrections || []) {
+        lines.push(`    ${describeCorrection(correction)}`);
+      }
+    }
+  }
 
-      <h1>Latest OCR Result</h1>
-      <div class="info">
-        <strong>Processed at:</strong> ${latestOCRResult.timestamp.toLocaleString()}<br>
-        <strong>Tables found:</strong> ${latestOCRResult.tableData ? latestOCRResult.tableData.length : 0}
-      </div>
+  lines.push('', recordResult.correction
+    ? `กด Confirm เพื่อบันทึกทับ ค่าเดิมจะถูกเก็บไว้ (หมดอายุใน ${PENDING_EXPIRY_MINUTES} นาที)`
+    : `กด Confirm เพื่อบันทึก (หมดอายุใน ${PENDING_EXPIRY_MINUTES} นาที)`);
 
-      <h2>Table Data</h2>
-      ${tableHTML}
+  const id = recordResult.pendingId;
+  return {
+    type: 'text',
+    text: lines.join('\n'),
+    quickReply: {
+      items: [
+        { type: 'action', action: { type: 'postback', label: '✅ Confirm', data: `action=confirm&pendingId=${id}`, displayText: 'Confirm' } },
+        { type: 'action', action: { type: 'postback', label: '❌ Reject', data: `action=reject&pendingId=${id}`, displayText: 'Reject' } },
+        { type: 'action', action: { type: 'uri', label: '✏️ Edit', uri: `${REPORT_BASE_URL}/pending/${id}` } }
+      ]
+    }
+  };
+}
 
-      <h2>Raw Extracted Text</h2>
-      <div class="text-result">${latestOCRResult.extractedText || 'No text extracted'}</div>
-    </body>
-    </html>
-  `);
-});
+// Reason a pending extraction can't be acted on from this source, or null if it can.
+// The web admin page (viaWeb) may act on any source's pending extraction.
+function pendingRejectionReason(pending, sourceInfo, viaWeb = false) {
+  if (!pending) return 'ไม่พบรายการที่รอยืนยัน';
+  if (pending.status !== 'pending') return `รายการวันที่ ${pending.date} ถูก${pending.status === 'confirmed' ? 'บันทึก' : 'ยกเลิก'}ไปแล้ว`;
+  if (pending.expired) return `รายการวันที่ ${pending.date} หมดอายุแล้ว กรุณาส่งรูปใหม่`;
+  if (!viaWeb && pending.sourceId && pending.sourceId !== sourceKey(sourceInfo)) return 'ต้องยืนยันในกลุ่มที่ส่งรูปเท่านั้น';
+  return null;
+}
 
-app.get('/transformed-data', (req, res) => {
-  if (!latestOCRResult.timestamp) {
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Transformed Data</title>
-        <meta charset="utf-8">
-      </head>
-      <body>
-        <h1>No OCR results yet</h1>
-        <p>Send an Excel screenshot to the LINE bot to see results here.</p>
-      </body>
-      </html>
-    `);
-    return;
+// Commit a pending extraction to daily_records. Returns the recordResult on success,
+// or { success: false, reason } when nothing was committed. A correction overwrites the
+// stored rows after copying them to superseded_records; a new plan skips categories that
+// were recorded in the meantime.
+// The pending row is claimed (status 'confirmed') before anything is written, so of two
+// Confirm taps (or a LINE tap and a web Approve) only the one that wins the claim records.
+async function confirmPendingRecord(pendingId, sourceInfo, options = {}) {
+  const { viaWeb = false, webUser = null } = options;
+  const pending = await db.getPendingRecord(pendingId);
+  const rejection = pendingRejectionReason(pending, sourceInfo, viaWeb);
+  if (rejection) return { success: false, reason: rejection };
+
+  // The claim and every write share one transaction: a failure part-way rolls the pending
+  // row back to 'pending' with nothing written, so the user can simply confirm again.
+  const resolvedBy = viaWeb ? (webUser || 'web') : sourceInfo?.userId;
+  const isCorrection = pending.kind === 'correction';
+  let results;
+  try {
+    results = await db.withTransaction(async connection => {
+      if (!await db.resolvePendingRecord(pendingId, 'confirmed', resolvedBy, connection)) return null;
+      const saved = [];
+      for (const { category, record } of pending.results) {
+        const current = await db.getDailyRecord(pending.date, category, connection);
+        if (current && !isCorrection) {
+          console.log(`[PENDING] Date ${pending.date} already recorded for ${category}, skipping`);
+          continue;
+        }
+        if (current) {
+          await db.saveSupersededRecord({ date: pending.date, category, record: current, pendingId, supersededBy: resolvedBy }, connection);
+          console.log(`[PENDING] Superseding ${category} ${pending.date} (total ${current.totalSum} → ${record.totalSum})`);
+        }
+        await saveDailyRecord(record, category, { source: 'pending', sourceId: String(pendingId), changedBy: resolvedBy }, connection);
+        saved.push({ category, record });
+      }
+      return saved;
+    });
+  } catch (error) {
+    await saveDetectionLog({
+      timestamp: new Date().toISOString(),
+      messageId: pending.messageId,
+      groupId: sourceInfo?.groupId || null,
+      userId: sourceInfo?.userId || null,
+      status: 'error',
+      date: pending.date,
+      reason: `Error committing pending #${pendingId}, nothing saved: ${error.message}`
+    });
+    throw error;
   }
+  if (!results) {
+    return { success: false, reason: `รายการวันที่ ${pending.date} ถูกดำเนินการไปแล้ว` };
+  }
+  console.log(`[PENDING] Confirmed pending ${pending.kind} #${pendingId}: ${results.length} record(s) saved`);
 
-  // Transform data for both Orange (C2) and Yuzu (C3)
-  const orangeData = transformTableData(latestOCRResult.tableData, 2);
-  const yuzuData = transformTableData(latestOCRResult.tableData, 3);
+  try {
+    const pendingImages = await pendingImageFiles(pendingId);
+    if (pendingImages.length > 0) {
+      const extension = path.extname(pendingImages[0]).slice(1);
+      await storeRecordedImage(await Promise.all(pendingImages.map(f => fs.readFile(f))), pending.date, extension);
+      await Promise.all(pendingImages.map(f => fs.unlink(f)));
+    }
+  } catch (imgError) {
+    console.error('[PENDING] Error filing pending screenshot:', imgError.message);
+  }
 
-  const orangeHTML = generateTransformedTable(orangeData, 'น้ำส้ม');
-  const yuzuHTML = generateTransformedTable(yuzuData, 'ยูซุ');
+  if (results.length === 0) {
+    return { success: false, reason: 'All detected products already recorded for this date' };
+  }
 
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Transformed Data</title>
-      <meta charset="utf-8">
-      <style>
-        body { font-family: Arial, sans-serif; margin: 20px; }
-        .info { background-color: #e7f3fe; border-left: 6px solid #2196F3; padding: 10px; margin-bottom: 20px; }
-        .nav { margin-bottom: 20px; }
-        .nav a { padding: 10px 15px; background-color: #4CAF50; color: white; text-decoration: none; margin-right: 10px; border-radius: 5px; }
-        .nav a:hover { background-color: #45a049; }
-      </style>
-    </head>
-    <body>
-      ${reportNav()}
+  await saveDetectionLog({
+    timestamp: new Date().toISOString(),
+    messageId: pending.messageId,
+    groupId: sourceInfo?.groupId || null,
+    userId: sourceInfo?.userId || null,
+    status: 'success',
+    date: pending.date,
+    categories: results.map(r => r.category),
+    recordsCreated: results.length,
+    reason: `${isCorrection ? 'Correction confirmed' : 'Confirmed'} ${viaWeb ? 'on the web' : 'in LINE'} (pending #${pendingId})`
+  });
 
-      <h1>Transformed Data (CDC Summary)</h1>
-      <div class="info">
-        <strong>Processed at:</strong> ${latestOCRResult.timestamp.toLocaleString()}<br>
-        <strong>CDC locations:</strong> ${orangeData ? orangeData.length : 0}
-      </div>
+  return { success: true, date: pending.date, results };
+}
 
-      ${orangeHTML}
-      ${yuzuHTML}
-    </body>
-    </html>
-  `);
-});
+// Discard a pending extraction. Returns { success, reason }.
+async function rejectPendingRecord(pendingId, sourceInfo, options = {}) {
+  const { viaWeb = false, webUser = null } = options;
+  const pending = await db.getPendingRecord(pendingId);
+  const rejection = pendingRejectionReason(pending, sourceInfo, viaWeb);
+  if (rejection) return { success: false, reason: rejection };
 
-app.get('/daily-report', async (req, res) => {
-  try {
-    // Get current date for default filter
-    const now = new Date();
-    const currentMonth = now.getMonth() + 1; // 1-12
-    const currentYear = now.getFullYear();
+  if (!await db.resolvePendingRecord(pendingId, 'rejected', viaWeb ? (webUser || 'web') : sourceInfo?.userId)) {
+    return { success: false, reason: `รายการวันที่ ${pending.date} ถูกดำเนินการไปแล้ว` };
+  }
+  console.log(`[PENDING] Rejected pending ${pending.kind} #${pendingId}`);
 
-    // Get filter parameters from query string (default to current month/year)
-    const selectedMonth = parseInt(req.query.month) || currentMonth;
-    const selectedYear = parseInt(req.query.year) || currentYear;
+  for (const file of await pendingImageFiles(pendingId)) {
+    await fs.unlink(file).catch(() => {});
+  }
+  await saveDetectionLog({
+    timestamp: new Date().toISOString(),
+    messageId: pending.messageId,
+    groupId: sourceInfo?.groupId || null,
+    userId: sourceInfo?.userId || null,
+    status: 'failed',
+    date: pending.date,
+    reason: `Rejected ${viaWeb ? 'on the web' : 'in LINE'} (pending #${pendingId})`
+  });
 
-    // Fetch records directly filtered by month/year from MySQL
-    const records = await db.getDailyRecordsByMonth(selectedMonth, selectedYear);
+  return { success: true, date: pending.date };
+}
 
-    // Generate table HTML for each category
-    const categoryData = {
-      orange: { records: records.orange || [], name: 'Orange', thaiName: 'น้ำส้ม', icon: '🍊', bgColor: '#fff3e0', borderColor: '#ff9800' },
-      yuzu: { records: records.yuzu || [], name: 'Yuzu', thaiName: 'ยูซุ', icon: '🍋', bgColor: '#fffde7', borderColor: '#fdd835' },
-      pop: { records: records.pop || [], name: 'Shinsen Pop', thaiName: 'Shinsen Pop', icon: '🍹', bgColor: '#e1f5fe', borderColor: '#03a9f4' },
-      mixed: { records: records.mixed || [], name: 'Mixed Fruit', thaiName: 'น้ำผลไม้รวม', icon: '🍇', bgColor: '#f3e5f5', borderColor: '#9c27b0' },
-      tomato: { records: records.tomato || [], name: 'Tomato Yuzu', thaiName: 'Tomato Yuzu', icon: '🍅', bgColor: '#ffebee', borderColor: '#f44336' },
-      pineapple: { records: records.pineapple || [], name: 'Pineapple', thaiName: 'น้ำสับปะรด', icon: '🍍', bgColor: '#f9fbe7', borderColor: '#cddc39' }
-    };
+// Quick-reply postbacks carry "action=<confirm|reject>&pendingId=<id>".
+async function handlePostback(event, sourceInfo) {
+  const params = new URLSearchParams(event.postback?.data || '');
+  const action = params.get('action');
+  const pendingId = parseInt(params.get('pendingId'), 10);
+  console.log(`[POSTBACK] action=${action} pendingId=${pendingId}`);
 
-    // Generate tables for each category
-    const categoryTables = {};
-    for (const [cat, data] of Object.entries(categoryData)) {
-      categoryTables[cat] = generateDailyRecordsTable(data.records, data.name);
+  if (!pendingId || (action !== 'confirm' && action !== 'reject')) {
+    console.log('[POSTBACK] Unknown postback, ignoring');
+    return null;
+  }
+
+  try {
+    if (action === 'reject') {
+      const result = await rejectPendingRecord(pendingId, sourceInfo);
+      const text = result.success ? `❌ ยกเลิกข้อมูลวันที่ ${result.date} แล้ว ไม่ได้บันทึก` : result.reason;
+      await client.replyMessage({ replyToken: event.replyToken, messages: [{ type: 'text', text }] });
+      return null;
     }
 
-    // Calculate totals
-    let totalRecords = 0;
-    for (const cat of Object.keys(categoryData)) {
-      totalRecords += categoryData[cat].records.length;
+    const recordResult = await confirmPendingRecord(pendingId, sourceInfo);
+    if (!recordResult.success) {
+      await client.replyMessage({ replyToken: event.replyToken, messages: [{ type: 'text', text: recordResult.reason }] });
+      return null;
     }
 
-    // Prepare chart data - get all unique dates and build datasets
-    const allDates = new Set();
-    const activeCategories = Object.entries(categoryData).filter(([cat, data]) => data.records.length > 0);
+    const flexMessage = await buildRecordFlexMessage(recordResult);
+    await client.replyMessage({ replyToken: event.replyToken, messages: [flexMessage] });
+    await notifyConfirmedRecord(recordResult, flexMessage);
+  } catch (error) {
+    console.error('[POSTBACK] Error handling postback:', error);
+  }
 
-    activeCategories.forEach(([cat, data]) => {
-      data.records.forEach(record => allDates.add(record.date));
-    });
+  return null;
+}
 
-    // Sort dates chronologically
-    const sortedDates = Array.from(allDates).sort((a, b) => {
-      const [dayA, monthA, yearA] = a.split('/').map(Number);
-      const [dayB, monthB, yearB] = b.split('/').map(Number);
-      return new Date(yearA, monthA - 1, dayA) - new Date(yearB, monthB - 1, dayB);
-    });
+// Push a newly confirmed plan to the notification groups (if AUTO_NOTIFY is enabled).
+async function notifyConfirmedRecord(recordResult, flexMessage = null) {
+  if (!AUTO_NOTIFY) {
+    console.log('[NOTIFICATION] Auto-notify disabled, skipping group notification');
+    return;
+  }
+  const message = flexMessage || await buildRecordFlexMessage(recordResult);
+  await sendNotificationToGroups(recordResult.date, recordResult.results.map(r => r.category), message);
+}
 
-    // Build chart datasets
-    const chartDatasets = activeCategories.map(([cat, data]) => {
-      const dateToTotal = {};
-      data.records.forEach(record => {
-        dateToTotal[record.date] = record.totalSum || 0;
-      });
+// ---------- Corrections ----------
+// "แก้ไข" on its own arms correction mode: the next image from the same chat (within
+// CORRECTION_WINDOW_MINUTES) is diffed against the recorded values instead of skipped.
+// "แก้ไข" sent as a reply to an earlier image re-processes that image as a correction.
 
-      return {
-        label: data.name,
-        data: sortedDates.map(date => dateToTotal[date] || 0),
-        backgroundColor: data.borderColor,
-        borderColor: data.borderColor,
-        borderWidth: 1
-      };
+const correctionRequests = new Map(); // sourceKey → expiry timestamp (ms)
+
+async function handleCorrectionCommand(event, message, sourceInfo) {
+  try {
+    if (message.quotedMessageId) {
+      console.log(`[CORRECTION] Re-processing quoted message ${message.quotedMessageId} as a correction`);
+      await processImageMessage(event, message.quotedMessageId, sourceInfo, { correction: true });
+      return;
+    }
+
+    const key = sourceKey(sourceInfo);
+    if (!key) return;
+    correctionRequests.set(key, Date.now() + CORRECTION_WINDOW_MINUTES * 60 * 1000);
+    console.log(`[CORRECTION] Correction mode armed for ${key}`);
+
+    await client.replyMessage({
+      replyToken: event.replyToken,
+      messages: [{
+        type: 'text',
+        text: `✏️ ส่งรูปแผนที่แก้ไขแล้วภายใน ${CORRECTION_WINDOW_MINUTES} นาที ระบบจะแสดงรายการที่เปลี่ยนก่อนบันทึกทับ`,
+      }],
     });
+  } catch (error) {
+    console.error('[CORRECTION] Error handling correction command:', error);
+  }
+}
 
-    const chartLabels = sortedDates.map(date => {
-      const [day] = date.split('/');
-      return day;
+// Reply to "login" with a one-time link to the web dashboard for the account linked to
+// this LINE user (see /users). Only in a 1:1 chat, so the link isn't shown to a group.
+async function handleLoginCommand(event, sourceInfo) {
+  try {
+    let text;
+    if (sourceInfo.type !== 'user' || !sourceInfo.userId) {
+      text = '🔑 ส่ง login ในแชทส่วนตัวกับบอทเพื่อรับลิงก์เข้าสู่ระบบ';
+    } else {
+      const login = await auth.createLineLoginToken(sourceInfo.userId);
+      if (login) {
+        console.log(`[AUTH] Sent a LINE login link to ${login.user.username}`);
+        text = `🔑 เข้าสู่ระบบในชื่อ ${login.user.username} (ลิงก์ใช้ได้ครั้งเดียวภายใน ${auth.LINE_LOGIN_MINUTES} นาที)\n${REPORT_BASE_URL}/login/line?token=${encodeURIComponent(login.token)}`;
+      } else {
+        console.log(`[AUTH] LINE login requested by unlinked user ${sourceInfo.userId}`);
+        text = `ยังไม่มีบัญชีเว็บที่ผูกกับ LINE นี้\nส่ง User ID นี้ให้ผู้ดูแลระบบเพื่อผูกบัญชีที่หน้า Users:\n${sourceInfo.userId}`;
+      }
+    }
+    await client.replyMessage({
+      replyToken: event.replyToken,
+      messages: [{ type: 'text', text }],
     });
+  } catch (error) {
+    console.error('[AUTH] Error handling login command:', error);
+  }
+}
 
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Daily Records Report</title>
-        <meta charset="utf-8">
-        <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
-        <style>
-          body {
-            font-family: Arial, sans-serif;
-            margin: 20px;
-            background-color: #f5f5f5;
-          }
-          .container {
-            max-width: 100%;
-            margin: 0 auto;
-            background-color: white;
-            padding: 20px;
-            border-radius: 10px;
-            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-          }
-          h1 {
-            text-align: center;
-            color: #333;
-            margin-bottom: 30px;
-          }
-          .category-section {
-            margin-bottom: 40px;
-            padding: 20px;
-            border-radius: 8px;
-          }
-          .orange-section {
-            background-color: #fff3e0;
-            border-left: 5px solid #ff9800;
-          }
-          .yuzu-section {
-            background-color: #fffde7;
-            border-left: 5px solid #fdd835;
-          }
-          .category-title {
-            font-size: 24px;
-            font-weight: bold;
-            margin-bottom: 15px;
-            display: flex;
-            align-items: center;
-            gap: 10px;
-          }
-          .orange-title {
-            color: #ff9800;
-          }
-          .yuzu-title {
-            color: #f9a825;
-          }
-          table {
-            border-collapse: collapse;
-            width: 100%;
-            background-color: white;
-            box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-            font-size: 14px;
-          }
-          th, td {
-            border: 1px solid #ccc;
-            padding: 10px 8px;
-            text-align: center;
-          }
-          th {
-            background-color: #4CAF50;
-            color: white;
-            font-weight: bold;
-            white-space: nowrap;
-          }
-          td:first-child {
-            text-align: left;
-            white-space: nowrap;
-          }
-          tr:nth-child(even) {
-            background-color: #f9f9f9;
-          }
-          tr:hover {
-            background-color: #f1f1f1;
-          }
-          .no-data {
-            padding: 20px;
-            text-align: center;
-            color: #666;
-            font-style: italic;
-          }
-          .nav {
-            margin-bottom: 20px;
-            text-align: center;
-          }
-          .nav a {
-            padding: 10px 20px;
-            background-color: #4CAF50;
-            color: white;
-            text-decoration: none;
-            margin: 0 5px;
-            border-radius: 5px;
-            display: inline-block;
-          }
-          .nav a:hover {
-            background-color: #45a049;
-          }
-          .summary {
-            display: flex;
-            justify-content: space-around;
-            margin-bottom: 30px;
-            flex-wrap: wrap;
-          }
-          .summary-card {
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            padding: 20px;
-            border-radius: 10px;
-            min-width: 200px;
-            text-align: center;
-            margin: 10px;
-          }
-          .summary-number {
-            font-size: 36px;
-            font-weight: bold;
-          }
-          .summary-label {
-            font-size: 14px;
-            opacity: 0.9;
-          }
-          .filter-section {
-            margin-bottom: 30px;
-            text-align: center;
-            padding: 20px;
-            background-color: #f0f0f0;
-            border-radius: 8px;
-          }
-          .filter-section label {
-            font-weight: bold;
-            font-size: 16px;
-            margin-right: 10px;
-          }
-          .filter-section select {
-            padding: 8px 15px;
-            font-size: 16px;
-            border: 2px solid #4CAF50;
-            border-radius: 5px;
-            background-color: white;
-            cursor: pointer;
-            transition: border-color 0.3s;
-          }
-          .filter-section select:hover {
-            border-color: #45a049;
+// Consume an armed correction request for this chat. Returns true if one was active.
+function takeCorrectionRequest(sourceInfo) {
+  const key = sourceKey(sourceInfo);
+  const expiresAt = key ? correctionRequests.get(key) : null;
+  if (!expiresAt) return false;
+  correctionRequests.delete(key);
+  return expiresAt > Date.now();
+}
+
+// Expire stale pending extractions in the background (unref'd so it never holds the process open)
+if (!OFFLINE) {
+  setInterval(async () => {
+    try {
+      const expired = await db.expirePendingRecords();
+      if (expired > 0) console.log(`[PENDING] Expired ${expired} pending extraction(s)`);
+    } catch (error) {
+      console.error('[PENDING] Error expiring pending extractions:', error.message);
+    }
+  }, 5 * 60 * 1000).unref();
+}
+
+// ---------- Onboarding ----------
+// join: the bot was added to a group — register it in line_groups (name from the group
+// summary) and reply with usage and the group ID, so admins can allowlist it at /access and
+// pick it as a notification target at /groups. follow: someone added the bot as a friend.
+// memberJoined: new members of a group get the usage message. leave: mark the group left.
+
+function welcomeText(idLabel, id) {
+  const lines = [
+    '👋 สวัสดีครับ บอทบันทึกแผนส่งสินค้า Shinsen',
+    'ส่งรูปหรือไฟล์ Excel / PDF ของ Plan ส่งสินค้า แล้วบอทจะบันทึกยอดให้อัตโนมัติ',
+    'พิมพ์ "help" เพื่อดูคำสั่งดูยอด',
+    `รายงาน: ${REPORT_BASE_URL}/daily-report`
+  ];
+  if (id) {
+    lines.push('', `${idLabel}: ${id}`);
+    if (ACCESS_CONTROL) lines.push('ให้ผู้ดูแลเพิ่ม ID นี้ที่หน้า Access ก่อนเริ่มใช้งาน');
+  }
+  return lines.join('\n');
+}
+
+async function handleOnboardingEvent(event, sourceInfo) {
+  try {
+    if (event.type === 'leave') {
+      if (sourceInfo.groupId) {
+        await db.markLineGroupLeft(sourceInfo.groupId);
+        console.log(`[ONBOARDING] Removed from group ${sourceInfo.groupId}`);
+      }
+      return null;
+    }
+
+    let text;
+    if (event.type === 'join') {
+      if (!sourceInfo.groupId) {
+        console.log('[ONBOARDING] Joined a multi-person chat, not registering');
+        return null;
+      }
+      let name = null;
+      try {
+        name = (await client.getGroupSummary(sourceInfo.groupId)).groupName;
+      } catch (error) {
+        console.error('[ONBOARDING] Error getting group summary:', error.message);
+      }
+      await db.saveLineGroup({ groupId: sourceInfo.groupId, name });
+      console.log(`[ONBOARDING] Joined group ${sourceInfo.groupId} (${name || 'unknown name'})`);
+      text = welcomeText('Group ID', sourceInfo.groupId);
+    } else if (event.type === 'follow') {
+      console.log(`[ONBOARDING] Followed by user ${sourceInfo.userId}`);
+      text = welcomeText('User ID', sourceInfo.userId);
+    } else {
+      const count = event.joined?.members?.length || 0;
+      console.log(`[ONBOARDING] ${count} member(s) joined ${sourceInfo.groupId}`);
+      text = welcomeText();
+    }
+
+    await client.replyMessage({
+      replyToken: event.replyToken,
+      messages: [{ type: 'text', text }],
+    });
+  } catch (error) {
+    console.error(`[ONBOARDING] Error handling ${event.type} event:`, error);
+  }
+  return null;
+}
+
+// ---------- Access control ----------
+// With ACCESS_CONTROL=true only groups and users in the line_access table can use the bot.
+// A sender gets the higher of their own role and their group's role (see schema.sql).
+// Submissions from anyone else are logged as 'unauthorized' and dropped without a reply.
+
+// The sender's role, or null if neither they nor their group is allowlisted.
+async function resolveRole(sourceInfo) {
+  if (!ACCESS_CONTROL) return 'admin';
+  const entries = await db.getAccessEntriesFor([sourceInfo?.groupId, sourceInfo?.userId]);
+  let role = null;
+  for (const entry of entries) {
+    if (!role || db.ACCESS_ROLES.indexOf(entry.role) > db.ACCESS_ROLES.indexOf(role)) role = entry.role;
+  }
+  return role;
+}
+
+function hasRole(role, required) {
+  return role != null && db.ACCESS_ROLES.indexOf(role) >= db.ACCESS_ROLES.indexOf(required);
+}
+
+async function logUnauthorized(messageId, sourceInfo, role, action) {
+  console.log(`[ACCESS] ${action} rejected for ${sourceKey(sourceInfo)} (role: ${role || 'none'})`);
+  await saveDetectionLog({
+    timestamp: new Date().toISOString(),
+    messageId: messageId || null,
+    groupId: sourceInfo?.groupId || null,
+    userId: sourceInfo?.userId || null,
+    status: 'unauthorized',
+    reason: `${action} needs the submitter role (${role ? `has ${role}` : 'not allowlisted'})`
+  });
+}
+
+// Download the content of an image or file message
+async function getMessageContent(messageId) {
+  try {
+    const stream = await blobClient.getMessageContent(messageId);
+    const chunks = [];
+
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+  } catch (error) {
+    console.error('Error getting message content:', error);
+    throw error;
+  }
+}
+
+// Judge from Azure's layout alone whether an image is a delivery plan, using the plan's
+// own vocabulary: product headers (products table keywords), FCxx vendor rows and ตะกร้า columns.
+// Returns { decision: 'plan' | 'not-plan' | 'ambiguous', reason }.
+function classifyPlanLayout(ocr) {
+  const tables = (ocr.tableData || []).filter(t => t && t.length > 0);
+  const text = (ocr.extractedText || '').toLowerCase();
+
+  const productTable = tables.some(t => Object.keys(detectProductColumns(t)).length > 0);
+  const vendorRows = tables.some(t => t.some(row => row && /FC\d+/.test((row[0] || '').toString())));
+  const crateHeaders = tables.some(t => detectCrateColumns(t).firstCrateCol !== null);
+  if (productTable && vendorRows) {
+    return {
+      decision: 'plan',
+      reason: `product headers and FC vendor rows found${crateHeaders ? ', with ตะกร้า columns' : ''}`
+    };
+  }
+
+  const productWords = Object.values(catalog.productDetection()).some(p => p.keywords.some(kw => text.includes(kw.toLowerCase())));
+  const vocabulary = [
+    productWords && 'product names',
+    /fc\d+/.test(text) && 'FC codes',
+    text.includes('ตะกร้า') && 'ตะกร้า'
+  ].filter(Boolean);
+  if (vocabulary.length === 0) {
+    return { decision: 'not-plan', reason: `${tables.length} table(s), none of the plan's headers or FC codes` };
+  }
+  return {
+    decision: 'ambiguous',
+    reason: `${tables.length} table(s); text mentions ${vocabulary.join(', ')} but ${productTable ? 'no FC vendor rows' : 'no product header columns'}`
+  };
+}
+
+async function detectExcelScreenshot(imageBuffer) {
+  try {
+    const base64Image = imageBuffer.toString('base64');
+
+    const response = await openai.chat.completions.create({
+      model: 'gpt-4o',
+      max_tokens: 100,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'image_url',
+              image_url: {
+                url: `data:image/jpeg;base64,${base64Image}`,
+              },
+            },
+            {
+              type: 'text',
+              text: 'Does this image contain a spreadsheet with a table grid layout? Look for: cells arranged in rows and columns, gridlines, tabular data structure, column/row organization, or any spreadsheet-like table format (including Excel, Google Sheets, printed spreadsheets, or any tabular data displays). Answer with only "YES" if you see a spreadsheet/table grid, or "NO" if you do not.',
+            },
+          ],
+        },
+      ],
+    });
+
+    const answer = response.choices[0].message.content.trim().toUpperCase();
+    console.log('GPT-4 Vision response:', answer);
+
+    return answer === 'YES';
+  } catch (error) {
+    console.error('Error in Excel detection:', error);
+    throw error;
+  }
+}
+
+// Save the screenshot of a recorded plan as stored_images/DD-MM-YYYY.jpg. A plan sent as
+// several screenshots is saved as DD-MM-YYYY_1.jpg, DD-MM-YYYY_2.jpg, ...; one sent as a
+// file keeps its own extension (DD-MM-YYYY.xlsx, DD-MM-YYYY.pdf).
+// Failures are logged only: the record itself is already saved.
+async function storeRecordedImage(imageBuffers, date, extension = 'jpg') {
+  const buffers = Array.isArray(imageBuffers) ? imageBuffers : [imageBuffers];
+  try {
+    const imagesDir = path.join(__dirname, 'stored_images');
+    await fs.mkdir(imagesDir, { recursive: true });
+
+    // date is "DD/MM/YYYY" format
+    const formattedDate = date.replace(/\//g, '-');
+    for (let i = 0; i < buffers.length; i++) {
+      const fileName = buffers.length > 1 ? `${formattedDate}_${i + 1}.${extension}` : `${formattedDate}.${extension}`;
+      const filePath = path.join(imagesDir, fileName);
+      await fs.writeFile(filePath, buffers[i]);
+      console.log(`[IMAGE] Saved successful screenshot to ${filePath}`);
+    }
+  } catch (imgError) {
+    console.error('[IMAGE] Error saving successful screenshot:', imgError);
+  }
+}
+
+async function performOCR(imageBuffer, messageId = 'unknown', sourceInfo = null, options = {}) {
+  try {
+    const ocr = await analyzeLayout(imageBuffer);
+    return await recordOCRResult(ocr, [imageBuffer], messageId, sourceInfo, options);
+  } catch (error) {
+    console.error('Error in OCR:', error);
+    throw error;
+  }
+}
+
+// Run layout analysis with the configured OCR provider (Azure unless OCR_PROVIDER says
+// otherwise). Returns { extractedText, tableData, rawResult }; see layoutToOCRResult.
+async function analyzeLayout(imageBuffer) {
+  console.log(`Starting ${ocrProvider.name} OCR...`);
+  const result = await ocrProvider.analyzeLayout(imageBuffer);
+  return layoutToOCRResult(result);
+}
+
+// Turn a prebuilt-layout result ({ pages, tables }) into page text and one row array per
+// table. tableData is not filled down yet so split screenshots can still be stitched
+// before preprocessing. Each row carries its cells' OCR confidence as row.confidence.
+function layoutToOCRResult(result) {
+  let extractedText = '';
+  let tableData = [];
+
+  if (result.pages) {
+    for (const page of result.pages) {
+      if (page.lines) {
+        for (const line of page.lines) {
+          extractedText += line.content + '\n';
+        }
+      }
+    }
+  }
+
+  if (result.tables) {
+    for (const table of result.tables) {
+      const tableRows = [];
+      const maxRow = Math.max(...table.cells.map(c => c.rowIndex)) + 1;
+      const maxCol = Math.max(...table.cells.map(c => c.columnIndex)) + 1;
+
+      for (let i = 0; i < maxRow; i++) {
+        tableRows[i] = new Array(maxCol).fill('');
+        tableRows[i].confidence = new Array(maxCol).fill(null);
+      }
+
+      for (const cell of table.cells) {
+        const content = cell.content || '';
+        const rowIdx = cell.rowIndex;
+        const colIdx = cell.columnIndex;
+        const rowSpan = cell.rowSpan || 1;
+
+        // Azure occasionally merges adjacent Vendor cells (e.g., FC03 + FC15) into
+        // a single multi-row cell. Split the content by FC code so fill-down later
+        // gives each row exactly one vendor instead of leaving both names in every row.
+        if (colIdx === 0 && rowSpan > 1) {
+          const fcParts = content
+            .split(/(?=FC\d+)/)
+            .map(p => p.trim())
+            .filter(p => /^FC\d+/.test(p));
+          if (fcParts.length > 1) {
+            const K = fcParts.length;
+            for (let i = 0; i < rowSpan; i++) {
+              const fcIdx = Math.min(K - 1, Math.floor((i * K) / rowSpan));
+              tableRows[rowIdx + i][colIdx] = fcParts[fcIdx];
+            }
+            console.log(`[PREPROCESS] Split merged Vendor cell at row ${rowIdx} into ${K} FCs across ${rowSpan} rows: [${fcParts.join(' | ')}]`);
+            continue;
           }
-          .filter-section select:focus {
-            outline: none;
-            border-color: #2196F3;
-          }
-        </style>
+        }
+
+        tableRows[rowIdx][colIdx] = content;
+        if (cell.confidence != null) tableRows[rowIdx].confidence[colIdx] = cell.confidence;
+      }
+
+      tableData.push(tableRows);
+    }
+  }
+
+  return { extractedText, tableData, rawResult: result };
+}
+
+// Text of a worksheet cell as the plan shows it. Date cells become DD/MM/YYYY so
+// extractDate finds them the same way it does in a screenshot.
+function excelCellText(cell) {
+  if (!cell || cell.v == null) return '';
+  if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+    const d = XLSX.SSF.parse_date_code(cell.v);
+    return `${pad2(d.d)}/${pad2(d.m)}/${d.y}`;
+  }
+  if (cell.t === 'n') return String(cell.v);
+  return String(cell.w ?? cell.v).replace(/\s+/g, ' ').trim();
+}
+
+// Read an Excel plan into the same { extractedText, tableData, rawResult } shape that
+// analyzeLayout returns, skipping OCR. Each sheet with vendor (FCxx) rows becomes a table
+// that starts at its header block, like the table Azure finds in a screenshot; merged
+// cells keep their value in the top-left cell only, as Azure does, so fill-down still applies.
+function parseExcelPlan(fileBuffer) {
+  const workbook = XLSX.read(fileBuffer, { type: 'buffer', cellNF: true });
+  let extractedText = '';
+  const tableData = [];
+
+  for (const sheetName of workbook.SheetNames) {
+    const sheet = workbook.Sheets[sheetName];
+    if (!sheet['!ref']) continue;
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+
+    const rows = [];
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      const row = [];
+      for (let c = range.s.c; c <= range.e.c; c++) {
+        row.push(excelCellText(sheet[XLSX.utils.encode_cell({ r, c })]));
+      }
+      rows.push(row);
+    }
+    for (const row of rows) {
+      const line = row.filter(Boolean).join(' ');
+      if (line) extractedText += line + '\n';
+    }
+
+    // Drop empty columns on the left so the vendor column is C0
+    const firstCol = Math.min(...rows.map(row => {
+      const idx = row.findIndex(Boolean);
+      return idx === -1 ? Infinity : idx;
+    }));
+    const firstVendorRow = rows.findIndex(row => /FC\d+/.test(row[firstCol] || ''));
+    if (firstVendorRow === -1) {
+      console.log(`[EXCEL] Sheet "${sheetName}": no vendor rows, skipping`);
+      continue;
+    }
+
+    // The header block is the (up to 4) non-empty rows directly above the first vendor row
+    let headerStart = firstVendorRow;
+    while (headerStart > 0 && firstVendorRow - headerStart < 4 && rows[headerStart - 1].some(Boolean)) {
+      headerStart--;
+    }
+    let end = rows.length;
+    while (end > firstVendorRow && !rows[end - 1].some(Boolean)) end--;
+
+    const table = rows.slice(headerStart, end).map(row => row.slice(firstCol));
+    console.log(`[EXCEL] Sheet "${sheetName}": ${table.length} rows x ${table[0].length} columns`);
+    tableData.push(table);
+  }
+
+  return { extractedText, tableData, rawResult: null };
+}
+
+// The days of an OCR result, each ready for extractDailyRecords: one per date block of a plan
+// that lists each day separately (splitDateBlocks), else the whole plan.
+// Returns { tableData (the preprocessed page, for /latest-ocr), plans: [{ date, tableData, rawResult }] }.
+function planOCRResult(ocr) {
+  let tableData = ocr.tableData;
+
+  // Date blocks are found before the fill-down, which would copy vendor cells onto date rows
+  const blocks = tableData && tableData.length > 0 ? splitDateBlocks(tableData[0]) : null;
+
+  // Preprocess table data: fill down C0 and C1 to help with extraction
+  if (tableData && tableData.length > 0) {
+    tableData = preprocessTableData(tableData);
+  }
+
+  // The page-text ยอดรวม can't be told apart by block, so blocks rely on their own รวม rows
+  const plans = blocks
+    ? blocks.map(block => ({ date: block.date, tableData: preprocessTableData([block.table]), rawResult: null }))
+    : [{ date: null, tableData, rawResult: ocr.rawResult }];
+  return { tableData, plans };
+}
+
+// What recordOCRResult would record for an OCR result, without the database: one
+// extractDailyRecords result per day (see planOCRResult). Used by regression.js.
+function extractOCRResult(ocr, options = {}) {
+  const { stitched = false } = options;
+  return planOCRResult(ocr).plans.map(plan => extractDailyRecords(plan.tableData, ocr.extractedText, plan.rawResult, { date: plan.date, stitched }));
+}
+
+// Extract and record (or hold as pending) the plan in an OCR result, logging the outcome.
+// imageBuffers are the screenshot(s) the result came from; a batch of split screenshots
+// arrives here already stitched into one table with their message IDs comma-joined.
+// options.extension is the file type the sources are stored as ('xlsx'/'pdf' for files);
+// options.origin is recorded in daily_records_history (default: the LINE message and sender).
+// Returns { extractedText, recordResults }: one recordResult per day, so a plan listing a
+// block of rows per day (see splitDateBlocks) is recorded as several days.
+async function recordOCRResult(ocr, imageBuffers, messageId = 'unknown', sourceInfo = null, options = {}) {
+  const { correction = false, extension = 'jpg', stitched = false } = options;
+  const origin = options.origin || { source: 'line', sourceId: messageId, changedBy: sourceInfo?.userId || null };
+  const { extractedText, rawResult: result } = ocr;
+  const { tableData, plans } = planOCRResult(ocr);
+
+  // /latest-ocr shows the last plan that came in, not one re-run from the archive
+  if (origin.source !== 'reprocess') {
+    latestOCRResult = {
+      timestamp: new Date(),
+      extractedText: extractedText,
+      tableData: tableData,
+      rawResult: result,
+      messageId: messageId
+    };
+  }
+
+  console.log('OCR completed. Text length:', extractedText.length);
+  console.log('Tables found:', tableData.length);
+
+  const recordResults = [];
+  for (const plan of plans) {
+    recordResults.push(await recordPlan(plan, extractedText, imageBuffers, sourceInfo, { correction, extension, origin, messageId, stitched }));
+  }
+  return { extractedText, recordResults };
+}
+
+// Record (or hold as pending) one day of a plan and log the outcome; see recordOCRResult.
+// options.messageId is the LINE message(s) the plan came from, for the pending row and logs.
+async function recordPlan(plan, extractedText, imageBuffers, sourceInfo, options) {
+  const { correction, extension, origin, messageId, stitched } = options;
+
+  // Record daily data if conditions are met
+  let recordResult = null;
+  try {
+    // Corrections always wait for confirmation since they overwrite recorded data
+    const holdForConfirmation = CONFIRM_BEFORE_RECORD || correction;
+    recordResult = await recordDailyData(plan.tableData, extractedText, plan.rawResult, { save: !holdForConfirmation, correction, date: plan.date, stitched, origin });
+    if (recordResult && recordResult.success && correction) {
+      recordResult.results = recordResult.results.filter(r => diffDailyRecord(r.previous, r.record).length > 0);
+      if (recordResult.results.length === 0) {
+        recordResult = { success: false, reason: `Correction matches the values recorded for ${recordResult.date} (no changes)` };
+      }
+    }
+    if (recordResult && recordResult.success && holdForConfirmation) {
+      console.log('Daily data extracted, holding for confirmation');
+      recordResult = await createPendingRecord(recordResult, imageBuffers, messageId, sourceInfo, correction ? 'correction' : 'new', extension);
+    } else if (recordResult && recordResult.success) {
+      console.log('Daily data recorded successfully');
+
+      // Save the valid image to 'stored_images' folder on the server
+      await storeRecordedImage(imageBuffers, recordResult.date, extension);
+
+      // Log successful extraction
+      await saveDetectionLog({
+        timestamp: new Date().toISOString(),
+        messageId: messageId || 'unknown',
+        groupId: sourceInfo?.groupId || null,
+        userId: sourceInfo?.userId || null,
+        status: 'success',
+        date: recordResult.date,
+        categories: recordResult.results.map(r => r.category),
+        recordsCreated: recordResult.results.length
+      });
+    } else if (recordResult && !recordResult.success) {
+      console.log('Daily data not recorded:', recordResult.reason);
+      // Log failed extraction with reason
+      await saveDetectionLog({
+        timestamp: new Date().toISOString(),
+        messageId: messageId || 'unknown',
+        groupId: sourceInfo?.groupId || null,
+        userId: sourceInfo?.userId || null,
+        status: recordResult.needsAllocation ? 'allocation' : 'failed',
+        reason: recordResult.reason
+      });
+    }
+  } catch (error) {
+    console.error('Error recording daily data:', error);
+    // Log error
+    await saveDetectionLog({
+      timestamp: new Date().toISOString(),
+      messageId: messageId || 'unknown',
+      groupId: sourceInfo?.groupId || null,
+      userId: sourceInfo?.userId || null,
+      status: 'error',
+      reason: `Error: ${error.message}`
+    });
+  }
+
+  return recordResult;
+}
+
+function transformTableData(tableData, columnIndex = 2) {
+  if (!tableData || tableData.length === 0) {
+    return null;
+  }
+
+  // CDCs in display order, and vendor-cell keyword → CDC name (cdcs table)
+  const cdcOrder = catalog.cdcNames();
+  const cdcNameMapping = catalog.cdcNameMapping();
+  const cdcNames = Object.keys(cdcNameMapping);
+
+  const transformed = [];
+
+  if (tableData.length === 0) return transformed;
+
+  const table = tableData[0];
+
+  // Crate columns are located from the table headers, so any number of juice columns works.
+  const layout = deriveLayout(Object.values(detectProductColumns(table)).map(p => p.column), table);
+
+  // Initialize totals for all CDC locations
+  const cdcTotals = {};
+  cdcOrder.forEach(cdc => {
+    cdcTotals[cdc] = 0;
+  });
+
+  // Each row maps to exactly one CDC, derived from the Vendor cell (C0).
+  // Using C0 (with the FC code) avoids double-counting when C1 fill-down carries
+  // a previous vendor's warehouse into a later row.
+  let totalsRowIndex = -1;
+  for (let i = 0; i < table.length; i++) {
+    const row = table[i];
+    if (!row || row.length < 2) continue;
+    const c0 = row[0] ? row[0].toString().trim() : '';
+    const totalIndicators = ['ยอดรวม', 'รวม', 'total', 'grand total', 'sum'];
+    const foundTotal = totalIndicators.some(indicator =>
+      c0.toLowerCase().includes(indicator.toLowerCase())
+    );
+    if (foundTotal) {
+      totalsRowIndex = i;
+      break;
+    }
+  }
+
+  let yodruamValue = 0;
+  if (totalsRowIndex !== -1 && table[totalsRowIndex][columnIndex]) {
+    yodruamValue = parseOCRNumber(table[totalsRowIndex][columnIndex]);
+  }
+
+  // Each row maps to exactly one CDC, derived from the Vendor cell (C0).
+  // Using C0 (with the FC code) avoids double-counting when C1 fill-down carries
+  // a previous vendor's warehouse into a later row.
+  table.forEach((row, rowIndex) => {
+    if (!row || row.length < 2) return;
+    if (rowIndex === totalsRowIndex) return;
+
+    const c0 = row[0] ? row[0].toString() : '';
+    if (!c0) return;
+
+    let bestCdcName = null;
+    let bestScore = 0;
+    for (const cdcName of cdcNames) {
+      if (c0.includes(cdcName) && cdcName.length > bestScore) {
+        bestCdcName = cdcName;
+        bestScore = cdcName.length;
+      }
+    }
+    if (!bestCdcName) return;
+
+    const value = getRowProductValue(row, columnIndex, rowIndex, table, totalsRowIndex, yodruamValue, layout);
+    if (value > 0) {
+      cdcTotals[cdcNameMapping[bestCdcName]] += value;
+    }
+  });
+
+  // Build transformed array in the defined order
+  cdcOrder.forEach(cdc => {
+    transformed.push({
+      cdc: cdc,
+      value: cdcTotals[cdc]
+    });
+  });
+
+  return transformed;
+}
+
+function generateHTMLTable(tableData) {
+  if (!tableData || tableData.length === 0) {
+    return '<p>No table data available</p>';
+  }
+
+  let html = '<style>table { border-collapse: collapse; width: 100%; margin: 20px 0; } th, td { border: 1px solid #ddd; padding: 8px; text-align: left; position: relative; } th { background-color: #4CAF50; color: white; } tr:nth-child(even) { background-color: #f2f2f2; } .cell-position { font-size: 9px; color: #999; position: absolute; top: 2px; right: 2px; font-weight: normal; }</style>';
+
+  tableData.forEach((table, tableIndex) => {
+    html += `<h3>Table ${tableIndex + 1}</h3>`;
+    html += '<table>';
+
+    table.forEach((row, rowIndex) => {
+      html += '<tr>';
+      row.forEach((cell, colIndex) => {
+        const tag = rowIndex === 0 ? 'th' : 'td';
+        const position = `R${rowIndex}C${colIndex}`;
+        html += `<${tag}><span class="cell-position">${position}</span>${escapeHtml(cell || '')}</${tag}>`;
+      });
+      html += '</tr>';
+    });
+
+    html += '</table>';
+  });
+
+  return html;
+}
+
+function generateTransformedTable(transformedData, category = 'น้ำส้ม') {
+  if (!transformedData || transformedData.length === 0) {
+    return `<p>No transformed data available for ${category}</p>`;
+  }
+
+  const headerColor = category === 'น้ำส้ม' ? '#FF8C00' : '#FFD700';
+  const categoryLabel = category === 'น้ำส้ม' ? 'ขวดน้ำส้ม' : 'ขวดยูซุ';
+
+  let html = `<style>
+    .category-section { margin: 30px 0; }
+    .category-title {
+      font-size: 24px;
+      font-weight: bold;
+      color: ${headerColor};
+      margin-bottom: 15px;
+      padding: 10px;
+      background-color: ${headerColor}20;
+      border-radius: 5px;
+    }
+    table {
+      border-collapse: collapse;
+      width: 100%;
+      margin: 20px 0;
+    }
+    th, td {
+      border: 1px solid #ddd;
+      padding: 8px;
+      text-align: left;
+    }
+    th {
+      background-color: ${headerColor};
+      color: white;
+    }
+    tr:nth-child(even) {
+      background-color: #f2f2f2;
+    }
+  </style>`;
+
+  html += `<div class="category-section">`;
+  html += `<div class="category-title">${category}</div>`;
+  html += '<table>';
+  html += `<tr><th>CDC</th><th>${categoryLabel}</th></tr>`;
+
+  transformedData.forEach(item => {
+    html += `<tr><td>${escapeHtml(item.cdc)}</td><td>${escapeHtml(item.value)}</td></tr>`;
+  });
+
+  html += '</table>';
+  html += '</div>';
+
+  return html;
+}
+
+app.get('/latest-ocr', auth.requireRole('viewer'), (req, res) => {
+  if (!latestOCRResult.timestamp) {
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Latest OCR Result</title>
+        <meta charset="utf-8">
       </head>
       <body>
-        <div class="container">
-          ${reportNav()}
+        <h1>No OCR results yet</h1>
+        <p>Send an Excel screenshot to the LINE bot to see results here.</p>
+      </body>
+      </html>
+    `);
+    return;
+  }
+
+  const tableHTML = generateHTMLTable(latestOCRResult.tableData);
+
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Latest OCR Result</title>
+      <meta charset="utf-8">
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .info { background-color: #e7f3fe; border-left: 6px solid #2196F3; padding: 10px; margin-bottom: 20px; }
+        .text-result { background-color: #f4f4f4; padding: 15px; border-radius: 5px; white-space: pre-wrap; max-height: 300px; overflow-y: auto; }
+        .nav { margin-bottom: 20px; }
+        .nav a { padding: 10px 15px; background-color: #4CAF50; color: white; text-decoration: none; margin-right: 10px; border-radius: 5px; }
+        .nav a:hover { background-color: #45a049; }
+      </style>
+    </head>
+    <body>
+      ${reportNav()}
+
+      <h1>Latest OCR Result</h1>
+      <div class="info">
+        <strong>Processed at:</strong> ${latestOCRResult.timestamp.toLocaleString()}<br>
+        <strong>Tables found:</strong> ${latestOCRResult.tableData ? latestOCRResult.tableData.length : 0}
+      </div>
+
+      <h2>Table Data</h2>
+      ${tableHTML}
+
+      <h2>Raw Extracted Text</h2>
+      <div class="text-result">${escapeHtml(latestOCRResult.extractedText || 'No text extracted')}</div>
+    </body>
+    </html>
+  `);
+});
+
+app.get('/transformed-data', auth.requireRole('viewer'), (req, res) => {
+  if (!latestOCRResult.timestamp) {
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Transformed Data</title>
+        <meta charset="utf-8">
+      </head>
+      <body>
+        <h1>No OCR results yet</h1>
+        <p>Send an Excel screenshot to the LINE bot to see results here.</p>
+      </body>
+      </html>
+    `);
+    return;
+  }
+
+  // Transform data for both Orange (C2) and Yuzu (C3)
+  const orangeData = transformTableData(latestOCRResult.tableData, 2);
+  const yuzuData = transformTableData(latestOCRResult.tableData, 3);
+
+  const orangeHTML = generateTransformedTable(orangeData, 'น้ำส้ม');
+  const yuzuHTML = generateTransformedTable(yuzuData, 'ยูซุ');
+
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Transformed Data</title>
+      <meta charset="utf-8">
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .info { background-color: #e7f3fe; border-left: 6px solid #2196F3; padding: 10px; margin-bottom: 20px; }
+        .nav { margin-bottom: 20px; }
+        .nav a { padding: 10px 15px; background-color: #4CAF50; color: white; text-decoration: none; margin-right: 10px; border-radius: 5px; }
+        .nav a:hover { background-color: #45a049; }
+      </style>
+    </head>
+    <body>
+      ${reportNav()}
+
+      <h1>Transformed Data (CDC Summary)</h1>
+      <div class="info">
+        <strong>Processed at:</strong> ${latestOCRResult.timestamp.toLocaleString()}<br>
+        <strong>CDC locations:</strong> ${orangeData ? orangeData.length : 0}
+      </div>
+
+      ${orangeHTML}
+      ${yuzuHTML}
+    </body>
+    </html>
+  `);
+});
+
+app.get('/daily-report', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    // Get current date for default filter
+    const now = new Date();
+    const currentMonth = now.getMonth() + 1; // 1-12
+    const currentYear = now.getFullYear();
+
+    // Get filter parameters from query string (default to current month/year)
+    const selectedMonth = parseInt(req.query.month) || currentMonth;
+    const selectedYear = parseInt(req.query.year) || currentYear;
+
+    // Fetch records directly filtered by month/year from MySQL
+    const records = await db.getDailyRecordsByMonth(selectedMonth, selectedYear);
+
+    // Generate table HTML for each category
+    const categoryData = Object.fromEntries(catalog.getProducts().map(product => [product.code, {
+      records: records[product.code] || [],
+      name: product.nameEn || product.nameTh,
+      thaiName: product.nameTh,
+      icon: product.icon || '',
+      bgColor: product.bgColor,
+      borderColor: product.color
+    }]));
+
+    // Generate tables for each category
+    const categoryTables = {};
+    for (const [cat, data] of Object.entries(categoryData)) {
+      categoryTables[cat] = generateDailyRecordsTable(data.records, cat);
+    }
+
+    // Crate counts per CDC, across all products
+    const crateTables = generateCrateTables(Object.values(categoryData).flatMap(data => data.records));
+
+    // Calculate totals
+    let totalRecords = 0;
+    let flaggedRecords = 0;
+    for (const cat of Object.keys(categoryData)) {
+      totalRecords += categoryData[cat].records.length;
+      flaggedRecords += categoryData[cat].records.filter(isLowConfidence).length;
+    }
+
+    // Prepare chart data - get all unique dates and build datasets
+    const allDates = new Set();
+    const activeCategories = Object.entries(categoryData).filter(([cat, data]) => data.records.length > 0);
+
+    activeCategories.forEach(([cat, data]) => {
+      data.records.forEach(record => allDates.add(record.date));
+    });
+
+    // Sort dates chronologically
+    const sortedDates = Array.from(allDates).sort((a, b) => {
+      const [dayA, monthA, yearA] = a.split('/').map(Number);
+      const [dayB, monthB, yearB] = b.split('/').map(Number);
+      return new Date(yearA, monthA - 1, dayA) - new Date(yearB, monthB - 1, dayB);
+    });
+
+    // Build chart datasets
+    const chartDatasets = activeCategories.map(([cat, data]) => {
+      const dateToTotal = {};
+      data.records.forEach(record => {
+        dateToTotal[record.date] = record.totalSum || 0;
+      });
+
+      return {
+        label: data.name,
+        data: sortedDates.map(date => dateToTotal[date] || 0),
+        backgroundColor: data.borderColor,
+        borderColor: data.borderColor,
+        borderWidth: 1
+      };
+    });
+
+    const chartLabels = sortedDates.map(date => {
+      const [day] = date.split('/');
+      return day;
+    });
+
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Daily Records Report</title>
+        <meta charset="utf-8">
+        <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            margin: 20px;
+            background-color: #f5f5f5;
+          }
+          .container {
+            max-width: 100%;
+            margin: 0 auto;
+            background-color: white;
+            padding: 20px;
+            border-radius: 10px;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+          }
+          h1 {
+            text-align: center;
+            color: #333;
+            margin-bottom: 30px;
+          }
+          .category-section {
+            margin-bottom: 40px;
+            padding: 20px;
+            border-radius: 8px;
+          }
+          .orange-section {
+            background-color: #fff3e0;
+            border-left: 5px solid #ff9800;
+          }
+          .yuzu-section {
+            background-color: #fffde7;
+            border-left: 5px solid #fdd835;
+          }
+          .category-title {
+            font-size: 24px;
+            font-weight: bold;
+            margin-bottom: 15px;
+            display: flex;
+            align-items: center;
+            gap: 10px;
+          }
+          .orange-title {
+            color: #ff9800;
+          }
+          .yuzu-title {
+            color: #f9a825;
+          }
+          table {
+            border-collapse: collapse;
+            width: 100%;
+            background-color: white;
+            box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+            font-size: 14px;
+          }
+          th, td {
+            border: 1px solid #ccc;
+            padding: 10px 8px;
+            text-align: center;
+          }
+          th {
+            background-color: #4CAF50;
+            color: white;
+            font-weight: bold;
+            white-space: nowrap;
+          }
+          td:first-child {
+            text-align: left;
+            white-space: nowrap;
+          }
+          tr:nth-child(even) {
+            background-color: #f9f9f9;
+          }
+          tr:hover {
+            background-color: #f1f1f1;
+          }
+          .no-data {
+            padding: 20px;
+            text-align: center;
+            color: #666;
+            font-style: italic;
+          }
+          .nav {
+            margin-bottom: 20px;
+            text-align: center;
+          }
+          .nav a {
+            padding: 10px 20px;
+            background-color: #4CAF50;
+            color: white;
+            text-decoration: none;
+            margin: 0 5px;
+            border-radius: 5px;
+            display: inline-block;
+          }
+          .nav a:hover {
+            background-color: #45a049;
+          }
+          .summary {
+            display: flex;
+            justify-content: space-around;
+            margin-bottom: 30px;
+            flex-wrap: wrap;
+          }
+          .summary-card {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 20px;
+            border-radius: 10px;
+            min-width: 200px;
+            text-align: center;
+            margin: 10px;
+          }
+          .summary-number {
+            font-size: 36px;
+            font-weight: bold;
+          }
+          .summary-label {
+            font-size: 14px;
+            opacity: 0.9;
+          }
+          .filter-section {
+            margin-bottom: 30px;
+            text-align: center;
+            padding: 20px;
+            background-color: #f0f0f0;
+            border-radius: 8px;
+          }
+          .filter-section label {
+            font-weight: bold;
+            font-size: 16px;
+            margin-right: 10px;
+          }
+          .filter-section select {
+            padding: 8px 15px;
+            font-size: 16px;
+            border: 2px solid #4CAF50;
+            border-radius: 5px;
+            background-color: white;
+            cursor: pointer;
+            transition: border-color 0.3s;
+          }
+          .filter-section select:hover {
+            border-color: #45a049;
+          }
+          .filter-section select:focus {
+            outline: none;
+            border-color: #2196F3;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          ${reportNav()}
+
+          <h1>📊 Daily Records Report</h1>
+
+          <div class="filter-section">
+            <label for="month-filter">Month:</label>
+            <select id="month-filter" onchange="applyFilter()">
+              <option value="1" ${selectedMonth === 1 ? 'selected' : ''}>January</option>
+              <option value="2" ${selectedMonth === 2 ? 'selected' : ''}>February</option>
+              <option value="3" ${selectedMonth === 3 ? 'selected' : ''}>March</option>
+              <option value="4" ${selectedMonth === 4 ? 'selected' : ''}>April</option>
+              <option value="5" ${selectedMonth === 5 ? 'selected' : ''}>May</option>
+              <option value="6" ${selectedMonth === 6 ? 'selected' : ''}>June</option>
+              <option value="7" ${selectedMonth === 7 ? 'selected' : ''}>July</option>
+              <option value="8" ${selectedMonth === 8 ? 'selected' : ''}>August</option>
+              <option value="9" ${selectedMonth === 9 ? 'selected' : ''}>September</option>
+              <option value="10" ${selectedMonth === 10 ? 'selected' : ''}>October</option>
+              <option value="11" ${selectedMonth === 11 ? 'selected' : ''}>November</option>
+              <option value="12" ${selectedMonth === 12 ? 'selected' : ''}>December</option>
+            </select>
+
+            <label for="year-filter" style="margin-left: 20px;">Year:</label>
+            <select id="year-filter" onchange="applyFilter()">
+              <option value="2024" ${selectedYear === 2024 ? 'selected' : ''}>2024</option>
+              <option value="2025" ${selectedYear === 2025 ? 'selected' : ''}>2025</option>
+              <option value="2026" ${selectedYear === 2026 ? 'selected' : ''}>2026</option>
+            </select>
+
+            <span style="margin-left: 20px;">
+              <a href="/reports/download?year=${selectedYear}&month=${selectedMonth}">⬇️ Download XLSX</a>
+              · <a href="/reports/download?year=${selectedYear}&month=${selectedMonth}&format=csv">CSV (MTD/YTD)</a>
+            </span>
+          </div>
+
+          <div class="summary">
+            ${Object.entries(categoryData).filter(([cat, data]) => data.records.length > 0).map(([cat, data]) => `
+              <div class="summary-card" style="background: linear-gradient(135deg, ${data.borderColor} 0%, ${data.borderColor}dd 100%);">
+                <div class="summary-number">${data.records.length}</div>
+                <div class="summary-label">${data.icon} ${escapeHtml(data.name)}</div>
+              </div>
+            `).join('')}
+            <div class="summary-card">
+              <div class="summary-number">${totalRecords}</div>
+              <div class="summary-label">Total Records</div>
+            </div>
+          </div>
+
+          ${totalRecords === 0 ? '<div class="no-data" style="padding: 40px; text-align: center; color: #666;">No records found for this month</div>' : ''}
+
+          ${flaggedRecords > 0 ? `<div style="background: #ffebee; border-left: 4px solid #d32f2f; padding: 12px 16px; margin-bottom: 30px; border-radius: 4px;">⚠️ ${flaggedRecords} record(s) have low OCR confidence or values corrected by the extraction heuristics. Flagged values are highlighted in red — hover for the details.</div>` : ''}
+
+          ${totalRecords > 0 ? `
+          <div class="chart-container" style="background: white; padding: 20px; border-radius: 8px; margin-bottom: 30px; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+            <h3 style="margin-top: 0; color: #333;">Daily Sales Chart</h3>
+            <canvas id="dailyChart" height="100"></canvas>
+          </div>
+          ` : ''}
+
+          ${Object.entries(categoryData).filter(([cat, data]) => data.records.length > 0).map(([cat, data]) => `
+            <div class="category-section" style="background-color: ${data.bgColor}; border-left: 5px solid ${data.borderColor};">
+              <div class="category-title" style="color: ${data.borderColor};">
+                ${data.icon} ${escapeHtml(data.thaiName)} Records
+                <a href="/reports/download?year=${selectedYear}&month=${selectedMonth}&format=csv&sheet=${encodeURIComponent(cat)}" style="font-size: 14px; font-weight: normal;">⬇️ CSV</a>
+              </div>
+              ${categoryTables[cat]}
+            </div>
+          `).join('')}
+
+          ${totalRecords > 0 ? `
+            <div class="category-section" style="background-color: #efebe9; border-left: 5px solid #795548;">
+              <div class="category-title" style="color: #795548;">
+                🧺 ตะกร้า (Crates)
+              </div>
+              ${crateTables}
+            </div>
+          ` : ''}
+        </div>
+
+        <script>
+          function applyFilter() {
+            const month = document.getElementById('month-filter').value;
+            const year = document.getElementById('year-filter').value;
+            window.location.href = '/daily-report?month=' + month + '&year=' + year;
+          }
+
+          // Render stacked bar chart
+          ${totalRecords > 0 ? `
+          const ctx = document.getElementById('dailyChart').getContext('2d');
+          new Chart(ctx, {
+            type: 'bar',
+            data: {
+              labels: ${JSON.stringify(chartLabels)},
+              datasets: ${JSON.stringify(chartDatasets)}
+            },
+            options: {
+              responsive: true,
+              scales: {
+                x: {
+                  stacked: true,
+                  title: {
+                    display: true,
+                    text: 'Day of Month'
+                  }
+                },
+                y: {
+                  stacked: true,
+                  title: {
+                    display: true,
+                    text: 'Total Units'
+                  },
+                  beginAtZero: true
+                }
+              },
+              plugins: {
+                legend: {
+                  position: 'top'
+                },
+                tooltip: {
+                  mode: 'index',
+                  intersect: false
+                }
+              }
+            }
+          });
+          ` : ''}
+        </script>
+      </body>
+      </html>
+    `);
+  } catch (error) {
+    console.error('Error generating daily report:', error);
+    res.status(500).send('Error generating report');
+  }
+});
+
+// Export columns (ขอนแก่น Laos / Cambodia) of a category's daily table: always for orange,
+// for other products once the month has an export
+function reportExportColumns(records, category) {
+  return catalog.EXPORT_DESTINATIONS.filter(dest =>
+    category.toLowerCase() === 'orange' || records.some(record => record[dest.field]));
+}
+
+function generateDailyRecordsTable(records, category) {
+  if (!records || records.length === 0) {
+    return '<div class="no-data">No records available for ' + category + '</div>';
+  }
+
+  // Sort records by date in ascending order
+  const sortedRecords = [...records].sort((a, b) => {
+    // Parse DD/MM/YYYY format
+    const parseDate = (dateStr) => {
+      const [day, month, year] = dateStr.split('/').map(Number);
+      return new Date(year, month - 1, day);
+    };
+
+    return parseDate(a.date) - parseDate(b.date);
+  });
+
+  // Column headers matching CDC locations (cdcs table, in display order). CDCs with a
+  // colour (คลังสุวรรณภูมิ by default) get a highlighted column.
+  const cdcColumns = catalog.cdcNames();
+  const highlight = Object.fromEntries(catalog.getCDCs().filter(c => c.color).map(c => [c.name, c.color]));
+
+  let html = '<div style="overflow-x: auto;"><table>';
+
+  // Header row
+  html += '<tr>';
+  html += '<th>วันที่</th>';
+  cdcColumns.forEach((header) => {
+    if (highlight[header]) {
+      html += `<th style="background-color: ${highlight[header]};">${escapeHtml(header)}</th>`;
+    } else {
+      html += `<th>${escapeHtml(header)}</th>`;
+    }
+  });
+
+  const exportColumns = reportExportColumns(sortedRecords, category);
+  exportColumns.forEach(dest => {
+    html += `<th style="background-color: #FF9800;">${escapeHtml(dest.name).replace(' ', '<br>')}<br>${dest.branches} สาขา</th>`;
+  });
+
+  html += '<th style="background-color: #4CAF50;">รวม</th>'; // Total sum column
+  html += '<th style="background-color: #9c27b0;">Recorded At</th></tr>';
+
+  // Initialize sums for averaging
+  const cdcSums = {};
+  cdcColumns.forEach(cdc => cdcSums[cdc] = 0);
+  let totalSumSum = 0;
+  const exportSums = {};
+  exportColumns.forEach(dest => exportSums[dest.field] = 0);
+  const recordCount = sortedRecords.length;
+
+  // Use the already sorted records (by date ascending)
+  sortedRecords.forEach(record => {
+    const recordedDate = new Date(record.timestamp).toLocaleString('th-TH', {
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    html += '<tr>';
+
+    // Date column (⚠️ when the extraction needs review; hover for the details)
+    const reviewFlag = isLowConfidence(record)
+      ? ` <span title="${escapeHtml([`OCR confidence ${formatConfidence(record.confidence)}`, ...(record.corrections || []).map(describeCorrection)].join('\n'))}">⚠️</span>`
+      : '';
+    html += `<td style="background-color: #fff9c4;"><strong>${record.date}</strong>${reviewFlag}</td>`;
+
+    // Display CDC totals
+    if (record.cdcTotals) {
+      cdcColumns.forEach(cdc => {
+        const value = record.cdcTotals[cdc] || 0;
+        cdcSums[cdc] += value; // Accumulate for average
+        const formattedValue = value.toLocaleString('en-US');
+
+        if (isLowConfidenceCDC(record, cdc)) {
+          // Low OCR confidence or corrected by a heuristic: highlight for review
+          const details = [
+            `OCR confidence ${formatConfidence(record.cdcConfidence?.[cdc])}`,
+            ...(record.corrections || []).filter(c => c.cdc === cdc).map(describeCorrection)
+          ];
+          html += `<td style="background-color: #ffcdd2; color: #b71c1c; font-weight: bold;" title="${escapeHtml(details.join('\n'))}">${formattedValue}</td>`;
+        } else if (highlight[cdc]) {
+          html += `<td style="background-color: ${highlight[cdc]}22; font-weight: bold;">${formattedValue}</td>`;
+        } else {
+          html += `<td>${formattedValue}</td>`;
+        }
+      });
+    } else {
+      // Fallback for old records without cdcTotals
+      cdcColumns.forEach(() => {
+        html += '<td>-</td>';
+      });
+    }
+
+    // Export columns
+    exportColumns.forEach(dest => {
+      const value = record[dest.field] || 0;
+      exportSums[dest.field] += value; // Accumulate for average
+      html += `<td style="background-color: #FFE0B2; font-weight: bold;">${value.toLocaleString('en-US')}</td>`;
+    });
+
+    // Total sum column
+    const totalValue = record.totalSum || 0;
+    totalSumSum += totalValue; // Accumulate for average
+    const formattedTotal = totalValue.toLocaleString('en-US');
+    html += `<td style="background-color: #c8e6c9; font-weight: bold;">${formattedTotal}</td>`;
+
+    // Recorded timestamp
+    html += `<td style="background-color: #f3e5f5; font-size: 0.9em;">${recordedDate}</td>`;
+    html += '</tr>';
+  });
+
+  // Add Month to Date Sum and Average rows
+  if (recordCount > 0) {
+    // MTD Sum row
+    html += '<tr style="background-color: #d1c4e9; font-weight: bold; border-top: 3px solid #333;">';
+    html += '<td style="background-color: #b39ddb;">MTD Sum<br>(' + recordCount + ' days)</td>';
+
+    // CDC column sums
+    cdcColumns.forEach(cdc => {
+      const sum = cdcSums[cdc];
+      const formattedSum = sum.toLocaleString('en-US');
+      if (highlight[cdc]) {
+        html += `<td style="background-color: ${highlight[cdc]}55;">${formattedSum}</td>`;
+      } else {
+        html += `<td>${formattedSum}</td>`;
+      }
+    });
+
+    // Export column sums
+    exportColumns.forEach(dest => {
+      html += `<td style="background-color: #ce93d8;">${exportSums[dest.field].toLocaleString('en-US')}</td>`;
+    });
+
+    // Total sum
+    html += `<td style="background-color: #b39ddb;">${totalSumSum.toLocaleString('en-US')}</td>`;
+
+    // Empty cell for timestamp column
+    html += '<td style="background-color: #b39ddb;">-</td>';
+    html += '</tr>';
+
+    // MTD Average row
+    html += '<tr style="background-color: #e0e0e0; font-weight: bold;">';
+    html += '<td style="background-color: #bdbdbd;">MTD Avg</td>';
+
+    // CDC column averages
+    cdcColumns.forEach(cdc => {
+      const avg = Math.round(cdcSums[cdc] / recordCount);
+      const formattedAvg = avg.toLocaleString('en-US');
+      if (highlight[cdc]) {
+        html += `<td style="background-color: ${highlight[cdc]}33;">${formattedAvg}</td>`;
+      } else {
+        html += `<td>${formattedAvg}</td>`;
+      }
+    });
+
+    // Export column averages
+    exportColumns.forEach(dest => {
+      const avg = Math.round(exportSums[dest.field] / recordCount);
+      html += `<td style="background-color: #FFCC80;">${avg.toLocaleString('en-US')}</td>`;
+    });
+
+    // Total average
+    const totalAvg = Math.round(totalSumSum / recordCount);
+    html += `<td style="background-color: #a5d6a7;">${totalAvg.toLocaleString('en-US')}</td>`;
+
+    // Empty cell for timestamp column
+    html += '<td style="background-color: #bdbdbd;">-</td>';
+    html += '</tr>';
+  }
+
+  html += '</table></div>';
+  return html;
+}
+
+// Crates per CDC per day, summed over the products (each plan row carries one product, so
+// nothing is counted twice), followed by a monthly summary per CDC for planning crate
+// returns. Days recorded without crate counts (Excel history) are left out.
+function generateCrateTables(records) {
+  const cdcColumns = catalog.cdcNames();
+  const highlight = Object.fromEntries(catalog.getCDCs().filter(c => c.color).map(c => [c.name, c.color]));
+  const byDate = new Map();
+  const monthly = Object.fromEntries(cdcColumns.map(cdc => [cdc, { fullCrates: 0, partialBottles: 0, totalCrates: 0, bottles: 0 }]));
+
+  for (const record of records) {
+    for (const [cdc, crates] of Object.entries(record.cdcCrates || {})) {
+      if (!monthly[cdc]) continue;
+      if (!byDate.has(record.date)) byDate.set(record.date, {});
+      const day = byDate.get(record.date);
+      day[cdc] = (day[cdc] || 0) + crates.totalCrates;
+      monthly[cdc].fullCrates += crates.fullCrates;
+      monthly[cdc].partialBottles += crates.partialBottles;
+      monthly[cdc].totalCrates += crates.totalCrates;
+      monthly[cdc].bottles += record.cdcTotals?.[cdc] || 0;
+    }
+  }
+  if (byDate.size === 0) {
+    return '<div class="no-data">No crate counts recorded for this month</div>';
+  }
+
+  const parseDate = dateStr => {
+    const [day, month, year] = dateStr.split('/').map(Number);
+    return new Date(year, month - 1, day);
+  };
+  const dates = [...byDate.keys()].sort((a, b) => parseDate(a) - parseDate(b));
+  const cellStyle = cdc => (highlight[cdc] ? ` style="background-color: ${highlight[cdc]}22;"` : '');
+  const perCrate = (bottles, crates) => (crates > 0 ? (bottles / crates).toFixed(1) : '-');
+
+  // Daily ตะกร้ารวม per CDC
+  let html = '<div style="overflow-x: auto;"><table>';
+  html += '<tr><th>วันที่</th>';
+  cdcColumns.forEach(cdc => {
+    html += `<th${highlight[cdc] ? ` style="background-color: ${highlight[cdc]};"` : ''}>${escapeHtml(cdc)}</th>`;
+  });
+  html += '<th style="background-color: #4CAF50;">รวม</th></tr>';
+  for (const date of dates) {
+    const day = byDate.get(date);
+    html += `<tr><td style="background-color: #fff9c4;"><strong>${date}</strong></td>`;
+    cdcColumns.forEach(cdc => {
+      html += `<td${cellStyle(cdc)}>${day[cdc] !== undefined ? formatInt(day[cdc]) : '-'}</td>`;
+    });
+    html += `<td style="background-color: #c8e6c9; font-weight: bold;">${formatInt(Object.values(day).reduce((a, b) => a + b, 0))}</td></tr>`;
+  }
+  const monthTotal = cdcColumns.reduce((sum, cdc) => sum + monthly[cdc].totalCrates, 0);
+  html += '<tr style="background-color: #d1c4e9; font-weight: bold; border-top: 3px solid #333;">';
+  html += `<td style="background-color: #b39ddb;">MTD Sum<br>(${dates.length} days)</td>`;
+  cdcColumns.forEach(cdc => {
+    html += `<td>${formatInt(monthly[cdc].totalCrates)}</td>`;
+  });
+  html += `<td style="background-color: #b39ddb;">${formatInt(monthTotal)}</td></tr>`;
+  html += '</table></div>';
+
+  // Monthly summary per CDC
+  const active = cdcColumns.filter(cdc => monthly[cdc].totalCrates > 0 || monthly[cdc].fullCrates > 0);
+  const total = { fullCrates: 0, partialBottles: 0, totalCrates: 0, bottles: 0 };
+  html += '<h3 style="margin: 24px 0 10px; color: #333;">สรุปประจำเดือน</h3>';
+  html += '<div style="overflow-x: auto;"><table>';
+  html += '<tr><th>CDC</th><th>ตะกร้าเต็ม</th><th>ตะกร้าเศษ (ขวด)</th><th>ตะกร้ารวม</th><th>ขวด</th><th>ขวด/ตะกร้า</th><th>ตะกร้า/วัน</th></tr>';
+  for (const cdc of active) {
+    const m = monthly[cdc];
+    for (const key of Object.keys(total)) total[key] += m[key];
+    html += `<tr><td style="text-align: left; font-weight: bold;"${cellStyle(cdc)}>${escapeHtml(cdc)}</td>`;
+    html += `<td>${formatInt(m.fullCrates)}</td><td>${formatInt(m.partialBottles)}</td><td>${formatInt(m.totalCrates)}</td>`;
+    html += `<td>${formatInt(m.bottles)}</td><td>${perCrate(m.bottles, m.totalCrates)}</td><td>${formatInt(m.totalCrates / dates.length)}</td></tr>`;
+  }
+  html += '<tr style="background-color: #d1c4e9; font-weight: bold; border-top: 3px solid #333;"><td style="background-color: #b39ddb;">รวม</td>';
+  html += `<td>${formatInt(total.fullCrates)}</td><td>${formatInt(total.partialBottles)}</td><td>${formatInt(total.totalCrates)}</td>`;
+  html += `<td>${formatInt(total.bottles)}</td><td>${perCrate(total.bottles, total.totalCrates)}</td><td>${formatInt(total.totalCrates / dates.length)}</td></tr>`;
+  html += '</table></div>';
+  return html;
+}
+
+// Test endpoint for uploading images directly (bypass LINE webhook)
+app.post('/test-ocr', auth.requireRole('admin'), express.raw({ type: 'image/*', limit: '10mb' }), async (req, res) => {
+  try {
+    console.log('[TEST-OCR] Received image for testing');
+    const imageBuffer = req.body;
+    console.log('[TEST-OCR] Image size:', imageBuffer.length, 'bytes');
+
+    console.log('[TEST-OCR] Detecting if Excel screenshot...');
+    const isExcelScreenshot = await detectExcelScreenshot(imageBuffer);
+    console.log('[TEST-OCR] Is Excel screenshot:', isExcelScreenshot);
+
+    if (isExcelScreenshot) {
+      console.log('[TEST-OCR] Performing OCR...');
+      const extractedText = await performOCR(imageBuffer);
+
+      res.json({
+        success: true,
+        isExcelScreenshot: true,
+        extractedText: extractedText,
+        tableData: latestOCRResult.tableData,
+        cdcTotals: latestOCRResult.tableData ? transformTableData(latestOCRResult.tableData) : null
+      });
+    } else {
+      res.json({
+        success: true,
+        isExcelScreenshot: false,
+        message: 'Not detected as an Excel screenshot'
+      });
+    }
+  } catch (error) {
+    console.error('[ERROR] Test OCR error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ---------- MTD / YTD Report ----------
+
+const THAI_MONTHS = ['มกราคม', 'กุมภาพันธ์', 'มีนาคม', 'เมษายน', 'พฤษภาคม', 'มิถุนายน', 'กรกฎาคม', 'สิงหาคม', 'กันยายน', 'ตุลาคม', 'พฤศจิกายน', 'ธันวาคม'];
+
+function pad2(n) { return String(n).padStart(2, '0'); }
+function ymd(y, m, d) { return `${y}-${pad2(m)}-${pad2(d)}`; }
+function formatInt(n) { return (n == null || Number.isNaN(n)) ? '-' : Math.round(n).toLocaleString('en-US'); }
+function formatThaiDate(y, m, d) { return `${d} ${THAI_MONTHS[m - 1]} ${y}`; }
+
+// Resolve the "as of" day for MTD/YTD figures: the current month uses the latest date
+// that has data (or today if no data yet), past/future months use the last day of month.
+async function resolveReportDay(y, m) {
+  const now = new Date();
+  const lastDayOfMonth = new Date(y, m, 0).getDate();
+  if (y === now.getFullYear() && m === now.getMonth() + 1) {
+    const latest = await db.getLatestDayWithData(y, m);
+    return latest || Math.min(now.getDate(), lastDayOfMonth);
+  }
+  return lastDayOfMonth;
+}
+
+// Month-to-date and year-to-date volumes through the report day of y-m, with targets,
+// the same period a year earlier and the Khon Kaen exports. Shared by /mtd-report and
+// /api/v1/aggregates.
+async function loadMtdYtd(y, m) {
+  const d = await resolveReportDay(y, m);
+  const prevY = y - 1;
+  const periods = {
+    mtd: [ymd(y, m, 1), ymd(y, m, d)],
+    ytd: [ymd(y, 1, 1), ymd(y, m, d)],
+    mtdPy: [ymd(prevY, m, 1), ymd(prevY, m, d)],
+    ytdPy: [ymd(prevY, 1, 1), ymd(prevY, m, d)]
+  };
+
+  const [
+    mtdAgg, ytdAgg, mtdPyAgg, ytdPyAgg,
+    currentTargets, ytdTargets,
+    mtdExports, ytdExports
+  ] = await Promise.all([
+    db.getAggregateByCategory(...periods.mtd),
+    db.getAggregateByCategory(...periods.ytd),
+    db.getAggregateByCategory(...periods.mtdPy),
+    db.getAggregateByCategory(...periods.ytdPy),
+    db.getTargets(y, m),
+    db.getTargetsYTD(y, m),
+    db.getExportAggregateByCategory(...periods.mtd),
+    db.getExportAggregateByCategory(...periods.ytd)
+  ]);
+
+  return { d, prevY, periods, mtdAgg, ytdAgg, mtdPyAgg, ytdPyAgg, currentTargets, ytdTargets, mtdExports, ytdExports };
+}
+
+// Canonical (catalog) order first, then any category names the catalog doesn't know
+function orderReportCategories(keys) {
+  const setObj = new Set(keys);
+  const arr = [];
+  for (const c of catalog.categories()) if (setObj.has(c)) arr.push(c);
+  for (const c of setObj) if (!catalog.categories().includes(c)) arr.push(c);
+  return arr;
+}
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Display name (Thai), icon and colour of a category, from the products table (catalog.js)
+function categoryName(category) {
+  return catalog.getProduct(category)?.nameTh || category;
+}
+
+function categoryIcon(category) {
+  return catalog.getProduct(category)?.icon || '';
+}
+
+function categoryColor(category) {
+  return catalog.getProduct(category)?.color || '#4CAF50';
+}
+
+// Pick progress-bar color based on achievement % (Volume vs Target).
+function progressBarColor(pct) {
+  if (pct >= 100) return '#1b7a2f';   // hit/exceeded target — dark green
+  if (pct >= 80)  return '#4CAF50';   // close — green
+  if (pct >= 50)  return '#ff9800';   // on the way — orange
+  return '#e53935';                   // far off — red
+}
+
+function buildProgressCell(volume, target, yoy) {
+  const yoyLine = yoy > 0
+    ? `<div class="progress-yoy">ปีก่อน: ${formatInt(yoy)}</div>`
+    : `<div class="progress-yoy" style="color:#aaa;">ปีก่อน: —</div>`;
+
+  if (!target || target <= 0) {
+    return `
+      <td>
+        <div class="progress-wrap">
+          <div class="progress-head"><b>${formatInt(volume)}</b> <span style="color:#888;">/ ยังไม่ได้ตั้ง target</span></div>
+          <div class="progress-track"><div class="progress-fill" style="width:0%;"></div></div>
+          ${yoyLine}
+        </div>
+      </td>`;
+  }
+
+  const pct = (volume / target) * 100;
+  const fillWidth = Math.min(pct, 100);
+  const color = progressBarColor(pct);
+  return `
+    <td>
+      <div class="progress-wrap">
+        <div class="progress-head">
+          <b>${formatInt(volume)}</b> <span style="color:#888;">/ ${formatInt(target)}</span>
+          <span class="progress-pct" style="color:${color};">(${pct.toFixed(1)}%)</span>
+        </div>
+        <div class="progress-track"><div class="progress-fill" style="width:${fillWidth}%; background:${color};"></div></div>
+        ${yoyLine}
+      </div>
+    </td>`;
+}
+
+function buildReportRow(category, volume, target, yoy) {
+  const hasYoy = yoy > 0;
+  let growthCell;
+  if (!hasYoy) {
+    growthCell = `<td style="color:#1b7a2f;font-weight:600;font-size:16px;">+${formatInt(volume)}</td>`;
+  } else {
+    const pct = ((volume - yoy) / yoy) * 100;
+    const color = pct >= 0 ? '#1b7a2f' : '#c62828';
+    const sign = pct >= 0 ? '+' : '';
+    growthCell = `<td style="color:${color};font-weight:600;font-size:16px;">${sign}${pct.toFixed(1)}%</td>`;
+  }
+  const name = categoryName(category);
+  const icon = categoryIcon(category);
+  const color = categoryColor(category);
+  return `
+    <tr>
+      <td style="text-align:left;font-weight:600;color:${color};white-space:nowrap;">${icon} ${escapeHtml(name)}</td>
+      ${buildProgressCell(volume, target, yoy)}
+      ${growthCell}
+    </tr>`;
+}
+
+function buildReportTotalRow(volume, totalTarget, totalPy, accentColor) {
+  const hasYoy = totalPy > 0;
+  let growthCell;
+  if (!hasYoy) {
+    growthCell = `<td style="color:#1b7a2f;font-weight:700;font-size:16px;">+${formatInt(volume)}</td>`;
+  } else {
+    const pct = ((volume - totalPy) / totalPy) * 100;
+    const color = pct >= 0 ? '#1b7a2f' : '#c62828';
+    const sign = pct >= 0 ? '+' : '';
+    growthCell = `<td style="color:${color};font-weight:700;font-size:16px;">${sign}${pct.toFixed(1)}%</td>`;
+  }
+  const accent = accentColor || '#333';
+  return `
+    <tr style="background:#f5f5f5;border-top:2px solid #ccc;">
+      <td style="text-align:left;font-weight:700;color:${accent};white-space:nowrap;">รวม</td>
+      ${buildProgressCell(volume, totalTarget, totalPy)}
+      ${growthCell}
+    </tr>`;
+}
+
+// Shared CSS/nav used by /mtd-report and /targets — mirrors the /daily-report look.
+function reportSharedStyles() {
+  return `
+    body { font-family: Arial, sans-serif; margin: 20px; background-color: #f5f5f5; }
+    .container { max-width: 100%; margin: 0 auto; background-color: white; padding: 20px; border-radius: 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+    h1 { text-align: center; color: #333; margin-bottom: 10px; }
+    .subtitle { text-align: center; color: #555; margin-bottom: 24px; }
+    .nav { margin-bottom: 20px; text-align: center; }
+    .nav a { padding: 10px 20px; background-color: #4CAF50; color: white; text-decoration: none; margin: 0 5px; border-radius: 5px; display: inline-block; }
+    .nav a:hover { background-color: #45a049; }
+    .filter-section { margin-bottom: 30px; text-align: center; padding: 20px; background-color: #f0f0f0; border-radius: 8px; }
+    .filter-section label { font-weight: bold; font-size: 16px; margin-right: 10px; }
+    .filter-section select { padding: 8px 15px; font-size: 16px; border: 2px solid #4CAF50; border-radius: 5px; background-color: white; cursor: pointer; transition: border-color 0.3s; }
+    .filter-section select:hover { border-color: #45a049; }
+    .filter-section select:focus { outline: none; border-color: #2196F3; }
+    .summary { display: flex; justify-content: space-around; margin-bottom: 30px; flex-wrap: wrap; }
+    .summary-card { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; border-radius: 10px; min-width: 200px; text-align: center; margin: 10px; }
+    .summary-number { font-size: 32px; font-weight: bold; }
+    .summary-label { font-size: 14px; opacity: 0.9; }
+    .section { margin-bottom: 40px; padding: 20px; border-radius: 8px; background-color: #fafafa; border-left: 5px solid #4CAF50; }
+    .section-title { font-size: 22px; font-weight: bold; margin-bottom: 15px; color: #333; }
+    .chart-container { background: white; padding: 20px; border-radius: 8px; margin-bottom: 20px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+    table { border-collapse: collapse; width: 100%; background-color: white; box-shadow: 0 1px 3px rgba(0,0,0,0.1); font-size: 14px; }
+    th, td { border: 1px solid #ccc; padding: 10px 8px; text-align: center; }
+    th { background-color: #4CAF50; color: white; font-weight: bold; white-space: nowrap; }
+    tr:nth-child(even) { background-color: #f9f9f9; }
+    tr:hover { background-color: #f1f1f1; }
+    .no-data { padding: 20px; text-align: center; color: #666; font-style: italic; }
+    .notice { background:#e8f5e9; border:1px solid #a5d6a7; color:#2e7d32; padding:10px 12px; border-radius:4px; margin: 0 auto 16px auto; max-width: 600px; text-align: center; }
+    form.target-form table { max-width: 700px; margin: 0 auto; }
+    form.target-form input[type=number] { width: 160px; padding: 8px; font-size: 14px; border: 2px solid #ccc; border-radius: 4px; }
+    form.target-form input[type=number]:focus { outline: none; border-color: #4CAF50; }
+    .save-btn { display: block; margin: 20px auto 0; padding: 12px 28px; font-size: 16px; background:#4CAF50; color:#fff; border:0; border-radius:5px; cursor:pointer; }
+    .save-btn:hover { background:#45a049; }
+    .progress-wrap { min-width: 240px; text-align: left; padding: 4px 0; }
+    .progress-head { font-size: 14px; margin-bottom: 6px; }
+    .progress-head b { font-size: 16px; }
+    .progress-pct { margin-left: 6px; font-weight: 600; }
+    .progress-track { width: 100%; height: 10px; background: #e0e0e0; border-radius: 5px; overflow: hidden; }
+    .progress-fill { height: 100%; transition: width 0.4s ease; border-radius: 5px; }
+    .progress-yoy { margin-top: 6px; font-size: 12px; color: #777; }
+    .no-yoy { display: inline-block; color: #888; font-size: 13px; font-style: italic; }
+  `;
+}
+
+function reportNav() {
+  return `
+    <div class="nav" style="display:flex; flex-wrap:wrap; justify-content:center; gap:10px; margin:0 0 24px 0;">
+      <a href="/latest-ocr">Original Table</a>
+      <a href="/transformed-data">Transformed Data</a>
+      <a href="/daily-report">Daily Report</a>
+      <a href="/mtd-report">MTD/YTD Report</a>
+      <a href="/reconciliation">Reconciliation</a>
+      <a href="/vendors">Vendors</a>
+      <a href="/history">History</a>
+      <a href="/records/edit">Edit Records</a>
+      <a href="/targets">Manage Targets</a>
+      <a href="/pending">Pending</a>
+      <a href="/access">Access</a>
+      <a href="/users">Users</a>
+      <a href="/groups">Groups</a>
+      <a href="/catalog">Products &amp; CDCs</a>
+      <a href="/detection-logs">Detection Logs</a>
+      <a href="/send-notification">Send Notification</a>
+      <a href="/test">Test OCR</a>
+      <a href="/logout">Logout</a>
+    </div>`;
+}
+
+app.get('/mtd-report', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const now = new Date();
+    const y = parseInt(req.query.year, 10) || now.getFullYear();
+    const m = parseInt(req.query.month, 10) || (now.getMonth() + 1);
+    if (m < 1 || m > 12) return res.status(400).send('Invalid month');
+
+    const isCurrentMonth = (y === now.getFullYear() && m === now.getMonth() + 1);
+    const {
+      d, prevY,
+      mtdAgg, ytdAgg, mtdPyAgg, ytdPyAgg,
+      currentTargets, ytdTargets,
+      mtdExports, ytdExports
+    } = await loadMtdYtd(y, m);
+
+    // Show only categories that have sales in each respective period.
+    const mtdOrdered = orderReportCategories(Object.keys(mtdAgg).filter(c => (mtdAgg[c] || 0) > 0));
+    const ytdOrdered = orderReportCategories(Object.keys(ytdAgg).filter(c => (ytdAgg[c] || 0) > 0));
+
+    const mtdRows = mtdOrdered.map(c => buildReportRow(c, mtdAgg[c] || 0, currentTargets[c] || 0, mtdPyAgg[c] || 0)).join('');
+    const ytdRows = ytdOrdered.map(c => buildReportRow(c, ytdAgg[c] || 0, ytdTargets[c] || 0, ytdPyAgg[c] || 0)).join('');
+    const sumTargetsFor = (obj, cats) => cats.reduce((s, c) => s + (Number(obj[c]) || 0), 0);
+    const mtdTotalTarget = sumTargetsFor(currentTargets, mtdOrdered);
+    const ytdTotalTarget = sumTargetsFor(ytdTargets, ytdOrdered);
+
+    const asOfLabel = formatThaiDate(y, m, d);
+    const pyLabel = formatThaiDate(prevY, m, d);
+
+    const yearOptions = [];
+    for (let yy = now.getFullYear() - 2; yy <= now.getFullYear() + 1; yy++) {
+      yearOptions.push(`<option value="${yy}"${yy === y ? ' selected' : ''}>${yy}</option>`);
+    }
+    const monthOptions = THAI_MONTHS.map((name, i) =>
+      `<option value="${i + 1}"${i + 1 === m ? ' selected' : ''}>${name}</option>`
+    ).join('');
+
+    const asOfNote = isCurrentMonth
+      ? `<span style="color:#555;font-size:13px;">(เดือนปัจจุบัน — ข้อมูลถึงวันล่าสุดที่บันทึก)</span>`
+      : '';
+
+    const sumVals = obj => Object.values(obj).reduce((s, v) => s + (v || 0), 0);
+    const mtdTotalVol = sumVals(mtdAgg);
+    const ytdTotalVol = sumVals(ytdAgg);
+    const mtdTotalPy = sumVals(mtdPyAgg);
+    const ytdTotalPy = sumVals(ytdPyAgg);
+
+    const hasAny = mtdOrdered.length > 0 || ytdOrdered.length > 0;
+
+    // Export volumes (ขอนแก่น Laos / Cambodia) per category, MTD and YTD side by side
+    const exportOrdered = orderReportCategories(Object.keys(ytdExports));
+    const exportCell = (agg, c, dest) => `<td>${formatInt(agg[c]?.[dest.field] || 0)}</td>`;
+    const exportRows = exportOrdered.map(c => `
+          <tr>
+            <td style="text-align:left;font-weight:600;color:${categoryColor(c)};">${escapeHtml(categoryLabel(c))}</td>
+            ${catalog.EXPORT_DESTINATIONS.map(dest => exportCell(mtdExports, c, dest)).join('')}
+            ${catalog.EXPORT_DESTINATIONS.map(dest => exportCell(ytdExports, c, dest)).join('')}
+          </tr>`).join('');
+    const emptyRow = '<tr><td colspan="3" class="no-data">ไม่มีสินค้าที่มียอดขายในช่วงนี้</td></tr>';
+
+    res.send(`<!DOCTYPE html>
+<html>
+<head>
+  <title>MTD / YTD Report</title>
+  <meta charset="utf-8">
+  <style>${reportSharedStyles()}</style>
+</head>
+<body>
+  <div class="container">
+    ${reportNav()}
+    <h1>📈 MTD / YTD Report</h1>
+    <div class="subtitle">ข้อมูล ณ วันที่ <b>${asOfLabel}</b> เทียบปีก่อน <b>${pyLabel}</b><br>${asOfNote}</div>
+
+    <div class="filter-section">
+      <label for="month-filter">Month:</label>
+      <select id="month-filter" onchange="applyFilter()">${monthOptions}</select>
+      <label for="year-filter" style="margin-left: 20px;">Year:</label>
+      <select id="year-filter" onchange="applyFilter()">${yearOptions}</select>
+      <span style="margin-left: 20px;">
+        <a href="/reports/download?year=${y}&month=${m}">⬇️ Download XLSX</a>
+        · <a href="/reports/download?year=${y}&month=${m}&format=csv">CSV</a>
+      </span>
+    </div>
+
+    ${!hasAny ? '<div class="no-data" style="padding: 40px;">ไม่มีข้อมูลในช่วงที่เลือก</div>' : ''}
+
+    ${hasAny ? `
+    <div class="section">
+      <div class="section-title">🗓️ Month-to-Date (${THAI_MONTHS[m - 1]} ${y})</div>
+      <div style="overflow-x:auto;">
+      <table>
+        <thead>
+          <tr>
+            <th>Category</th>
+            <th>Volume / Target (${THAI_MONTHS[m - 1]})</th>
+            <th>vs ปีก่อน (${prevY})</th>
+          </tr>
+        </thead>
+        <tbody>${mtdRows || emptyRow}${mtdOrdered.length > 0 ? buildReportTotalRow(mtdTotalVol, mtdTotalTarget, mtdTotalPy, '#333') : ''}</tbody>
+      </table>
+      </div>
+    </div>
+
+    <div class="section" style="border-left-color: #11998e;">
+      <div class="section-title" style="color:#11998e;">📅 Year-to-Date (${y})</div>
+      <div style="overflow-x:auto;">
+      <table>
+        <thead>
+          <tr>
+            <th>Category</th>
+            <th>Volume / Target YTD (ม.ค.–${THAI_MONTHS[m - 1]})</th>
+            <th>vs ปีก่อน (${prevY})</th>
+          </tr>
+        </thead>
+        <tbody>${ytdRows || emptyRow}${ytdOrdered.length > 0 ? buildReportTotalRow(ytdTotalVol, ytdTotalTarget, ytdTotalPy, '#11998e') : ''}</tbody>
+      </table>
+      </div>
+    </div>
+    ` : ''}
+
+    ${exportRows ? `
+    <div class="section" style="border-left-color: #FF9800;">
+      <div class="section-title" style="color:#e65100;">🚚 Export (ขอนแก่น)</div>
+      <div style="overflow-x:auto;">
+      <table>
+        <thead>
+          <tr>
+            <th rowspan="2">Category</th>
+            <th colspan="${catalog.EXPORT_DESTINATIONS.length}">MTD (${THAI_MONTHS[m - 1]})</th>
+            <th colspan="${catalog.EXPORT_DESTINATIONS.length}">YTD (${y})</th>
+          </tr>
+          <tr>
+            ${[1, 2].map(() => catalog.EXPORT_DESTINATIONS.map(dest => `<th>${escapeHtml(dest.name)}</th>`).join('')).join('')}
+          </tr>
+        </thead>
+        <tbody>${exportRows}</tbody>
+      </table>
+      </div>
+    </div>
+    ` : ''}
+  </div>
+
+  <script>
+    function applyFilter() {
+      const month = document.getElementById('month-filter').value;
+      const year = document.getElementById('year-filter').value;
+      window.location.href = '/mtd-report?month=' + month + '&year=' + year;
+    }
+  </script>
+</body>
+</html>`);
+  } catch (err) {
+    console.error('[MTD] Error:', err);
+    res.status(500).send('Error loading MTD report: ' + escapeHtml(err.message));
+  }
+});
+
+// ---------- Report downloads ----------
+// The month of /daily-report and /mtd-report as a spreadsheet: an MTD-YTD summary sheet
+// with targets and previous-year figures, then one sheet per product with records, laid
+// out like generateDailyRecordsTable (date × CDC, exports, total, MTD sum and average).
+// A CSV holds one of those sheets.
+
+// Excel sheet names are at most 31 characters, without : \ / ? * [ ]
+function excelSheetName(name) {
+  return String(name).replace(/[:\\/?*[\]]/g, ' ').slice(0, 31);
+}
+
+// Worksheet from rows, with columns wide enough for their longest value
+function rowsToSheet(rows) {
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+  const widths = [];
+  for (const row of rows) {
+    row.forEach((value, i) => {
+      const length = value == null ? 0 : String(typeof value === 'number' ? formatInt(value) : value).length;
+      widths[i] = Math.min(Math.max(widths[i] || 8, length + 2), 40);
+    });
+  }
+  sheet['!cols'] = Array.from(widths, wch => ({ wch: wch || 8 }));
+  return sheet;
+}
+
+function dailyRecordsSheetRows(records, category) {
+  const sortedRecords = [...records].sort((a, b) => db.toMySQLDate(a.date).localeCompare(db.toMySQLDate(b.date)));
+  const cdcColumns = catalog.cdcNames();
+  const exportColumns = reportExportColumns(sortedRecords, category);
+
+  const rows = [[
+    'วันที่',
+    ...cdcColumns,
+    ...exportColumns.map(dest => `${dest.name} (${dest.branches} สาขา)`),
+    'รวม',
+    'Recorded At'
+  ]];
+  for (const record of sortedRecords) {
+    rows.push([
+      record.date,
+      ...cdcColumns.map(cdc => record.cdcTotals?.[cdc] || 0),
+      ...exportColumns.map(dest => record[dest.field] || 0),
+      record.totalSum || 0,
+      record.timestamp
+        ? new Date(record.timestamp).toLocaleString('th-TH', { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' })
+        : ''
+    ]);
+  }
+
+  // MTD Sum and MTD Avg over the value columns (everything between date and Recorded At)
+  const recordCount = sortedRecords.length;
+  const sums = rows[0].slice(1, -1).map((_, i) => rows.slice(1).reduce((sum, row) => sum + row[i + 1], 0));
+  rows.push([`MTD Sum (${recordCount} days)`, ...sums, '']);
+  rows.push(['MTD Avg', ...sums.map(sum => Math.round(sum / recordCount)), '']);
+  return rows;
+}
+
+// value as a % of base, rounded to 0.1; null when there is no base to compare with
+function percentOf(value, base) {
+  return base > 0 ? Math.round((value / base) * 1000) / 10 : null;
+}
+
+function mtdYtdSummaryRows(y, m, figures) {
+  const { d, prevY, mtdAgg, ytdAgg, mtdPyAgg, ytdPyAgg, currentTargets, ytdTargets, mtdExports, ytdExports } = figures;
+  const header = ['Category', 'Volume', 'Target', '% Target', `ปีก่อน (${prevY})`, 'vs ปีก่อน (%)'];
+  const periodRows = (agg, targets, pyAgg) => {
+    const rows = orderReportCategories(Object.keys(agg).filter(c => (agg[c] || 0) > 0)).map(c => {
+      const [volume, target, py] = [agg[c] || 0, targets[c] || 0, pyAgg[c] || 0];
+      return [categoryName(c), volume, target, percentOf(volume, target), py, percentOf(volume - py, py)];
+    });
+    const total = i => rows.reduce((sum, row) => sum + row[i], 0);
+    const [volume, target, py] = [total(1), total(2), total(4)];
+    rows.push(['รวม', volume, target, percentOf(volume, target), py, percentOf(volume - py, py)]);
+    return rows;
+  };
+
+  const rows = [
+    ['MTD / YTD Report'],
+    [`ข้อมูล ณ วันที่ ${formatThaiDate(y, m, d)} เทียบปีก่อน ${formatThaiDate(prevY, m, d)}`],
+    [],
+    [`Month-to-Date (${THAI_MONTHS[m - 1]} ${y})`],
+    header,
+    ...periodRows(mtdAgg, currentTargets, mtdPyAgg),
+    [],
+    [`Year-to-Date (${y}, ม.ค.–${THAI_MONTHS[m - 1]})`],
+    header,
+    ...periodRows(ytdAgg, ytdTargets, ytdPyAgg)
+  ];
+
+  const exportCategories = orderReportCategories(Object.keys(ytdExports));
+  if (exportCategories.length > 0) {
+    rows.push([], ['Export (ขอนแก่น)'], [
+      'Category',
+      ...catalog.EXPORT_DESTINATIONS.map(dest => `${dest.name} MTD`),
+      ...catalog.EXPORT_DESTINATIONS.map(dest => `${dest.name} YTD`)
+    ]);
+    for (const c of exportCategories) {
+      rows.push([
+        categoryName(c),
+        ...catalog.EXPORT_DESTINATIONS.map(dest => mtdExports[c]?.[dest.field] || 0),
+        ...catalog.EXPORT_DESTINATIONS.map(dest => ytdExports[c]?.[dest.field] || 0)
+      ]);
+    }
+  }
+  return rows;
+}
+
+// Workbook of a month. sheetNames maps 'summary' and each product code with records to
+// its sheet.
+async function buildReportWorkbook(y, m) {
+  const [records, figures] = await Promise.all([db.getDailyRecordsByMonth(m, y), loadMtdYtd(y, m)]);
+  const workbook = XLSX.utils.book_new();
+  const sheetNames = { summary: 'MTD-YTD' };
+  XLSX.utils.book_append_sheet(workbook, rowsToSheet(mtdYtdSummaryRows(y, m, figures)), sheetNames.summary);
+
+  for (const product of catalog.getProducts()) {
+    const productRecords = records[product.code] || [];
+    if (productRecords.length === 0) continue;
+    let name = excelSheetName(product.nameEn || product.nameTh);
+    if (workbook.SheetNames.includes(name)) name = excelSheetName(product.code);
+    XLSX.utils.book_append_sheet(workbook, rowsToSheet(dailyRecordsSheetRows(productRecords, product.code)), name);
+    sheetNames[product.code] = name;
+  }
+  return { workbook, sheetNames };
+}
+
+// /reports/download?year=&month=[&format=csv&sheet=summary|<product>]
+app.get('/reports/download', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const now = new Date();
+    const y = parseInt(req.query.year, 10) || now.getFullYear();
+    const m = parseInt(req.query.month, 10) || (now.getMonth() + 1);
+    if (m < 1 || m > 12) return res.status(400).send('Invalid month');
 
-          <h1>📊 Daily Records Report</h1>
+    const { workbook, sheetNames } = await buildReportWorkbook(y, m);
+    const fileName = `shinsen-report-${y}-${pad2(m)}`;
 
-          <div class="filter-section">
-            <label for="month-filter">Month:</label>
-            <select id="month-filter" onchange="applyFilter()">
-              <option value="1" ${selectedMonth === 1 ? 'selected' : ''}>January</option>
-              <option value="2" ${selectedMonth === 2 ? 'selected' : ''}>February</option>
-              <option value="3" ${selectedMonth === 3 ? 'selected' : ''}>March</option>
-              <option value="4" ${selectedMonth === 4 ? 'selected' : ''}>April</option>
-              <option value="5" ${selectedMonth === 5 ? 'selected' : ''}>May</option>
-              <option value="6" ${selectedMonth === 6 ? 'selected' : ''}>June</option>
-              <option value="7" ${selectedMonth === 7 ? 'selected' : ''}>July</option>
-              <option value="8" ${selectedMonth === 8 ? 'selected' : ''}>August</option>
-              <option value="9" ${selectedMonth === 9 ? 'selected' : ''}>September</option>
-              <option value="10" ${selectedMonth === 10 ? 'selected' : ''}>October</option>
-              <option value="11" ${selectedMonth === 11 ? 'selected' : ''}>November</option>
-              <option value="12" ${selectedMonth === 12 ? 'selected' : ''}>December</option>
-            </select>
+    if (req.query.format === 'csv') {
+      const sheet = String(req.query.sheet || 'summary');
+      if (!Object.hasOwn(sheetNames, sheet)) return res.status(404).send(`No ${escapeHtml(sheet)} records in ${y}-${pad2(m)}`);
+      res.attachment(`${fileName}-${sheet}.csv`);
+      res.type('text/csv; charset=utf-8');
+      // BOM so Excel opens the Thai text as UTF-8
+      return res.send('\ufeff' + XLSX.utils.sheet_to_csv(workbook.Sheets[sheetNames[sheet]]));
+    }
 
-            <label for="year-filter" style="margin-left: 20px;">Year:</label>
-            <select id="year-filter" onchange="applyFilter()">
-              <option value="2024" ${selectedYear === 2024 ? 'selected' : ''}>2024</option>
-              <option value="2025" ${selectedYear === 2025 ? 'selected' : ''}>2025</option>
-              <option value="2026" ${selectedYear === 2026 ? 'selected' : ''}>2026</option>
-            </select>
-          </div>
+    res.attachment(`${fileName}.xlsx`);
+    res.send(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+  } catch (err) {
+    console.error('[DOWNLOAD] Error:', err);
+    res.status(500).send('Error building the report download: ' + escapeHtml(err.message));
+  }
+});
 
-          <div class="summary">
-            ${Object.entries(categoryData).filter(([cat, data]) => data.records.length > 0).map(([cat, data]) => `
-              <div class="summary-card" style="background: linear-gradient(135deg, ${data.borderColor} 0%, ${data.borderColor}dd 100%);">
-                <div class="summary-number">${data.records.length}</div>
-                <div class="summary-label">${data.icon} ${data.name}</div>
-              </div>
-            `).join('')}
-            <div class="summary-card">
-              <div class="summary-number">${totalRecords}</div>
-              <div class="summary-label">Total Records</div>
-            </div>
-          </div>
+// ---------- Reconciliation ----------
 
-          ${totalRecords === 0 ? '<div class="no-data" style="padding: 40px; text-align: center; color: #666;">No records found for this month</div>' : ''}
+// Days and categories whose CDC columns don't add up to total_sum. The extraction-time
+// figures (ยอดรวม, sums before/after corrections) are shown when the record has them.
+app.get('/reconciliation', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const entries = await db.getUnreconciledRecords();
+    const optional = value => (value == null ? '-' : formatInt(value));
+    const rows = entries.map(({ category, cdcSum, record }) => {
+      const [, month, year] = record.date.split('/').map(Number);
+      const diff = (record.totalSum || 0) - cdcSum;
+      const rec = record.reconciliation;
+      return `
+      <tr>
+        <td style="text-align:left;"><a href="/daily-report?month=${month}&year=${year}">${escapeHtml(record.date)}</a></td>
+        <td style="text-align:left;">${escapeHtml(categoryLabel(category))}</td>
+        <td>${formatInt(record.totalSum)}</td>
+        <td>${formatInt(cdcSum)}</td>
+        <td style="font-weight:bold; color:${diff > 0 ? '#c62828' : '#1565c0'};">${diff > 0 ? '+' : ''}${formatInt(diff)}</td>
+        <td>${optional(rec?.yodruamTotal)}</td>
+        <td>${optional(rec?.cellSum)}</td>
+        <td>${optional(rec?.correctedSum)}</td>
+        <td>${(record.corrections || []).length || '-'}</td>
+        <td>${record.timestamp ? new Date(record.timestamp).toLocaleString('th-TH') : '-'}</td>
+      </tr>`;
+    }).join('');
 
-          ${totalRecords > 0 ? `
-          <div class="chart-container" style="background: white; padding: 20px; border-radius: 8px; margin-bottom: 30px; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
-            <h3 style="margin-top: 0; color: #333;">Daily Sales Chart</h3>
-            <canvas id="dailyChart" height="100"></canvas>
-          </div>
-          ` : ''}
+    res.send(`<!DOCTYPE html>
+<html>
+<head>
+  <title>Reconciliation</title>
+  <meta charset="utf-8">
+  <style>${reportSharedStyles()}</style>
+</head>
+<body>
+  <div class="container">
+    ${reportNav()}
+    <h1>🧮 Reconciliation</h1>
+    <div class="subtitle">วันที่และสินค้าที่ผลรวมของ CDC ไม่เท่ากับยอดรวม (total_sum) — ส่วนต่าง = ยอดรวม − ผลรวม CDC</div>
+    <table>
+      <thead><tr>
+        <th>วันที่</th><th>สินค้า</th><th>ยอดรวม</th><th>ผลรวม CDC</th><th>ส่วนต่าง</th>
+        <th>ยอดรวม (OCR)</th><th>ผลรวมที่อ่านได้</th><th>ผลรวมหลังแก้</th><th>Corrections</th><th>Recorded At</th>
+      </tr></thead>
+      <tbody>${rows || '<tr><td colspan="10" class="no-data">✅ ทุกวันผลรวม CDC ตรงกับยอดรวม</td></tr>'}</tbody>
+    </table>
+  </div>
+</body>
+</html>`);
+  } catch (err) {
+    console.error('[RECONCILE] Error:', err);
+    res.status(500).send('Error loading reconciliation: ' + escapeHtml(err.message));
+  }
+});
 
-          ${Object.entries(categoryData).filter(([cat, data]) => data.records.length > 0).map(([cat, data]) => `
-            <div class="category-section" style="background-color: ${data.bgColor}; border-left: 5px solid ${data.borderColor};">
-              <div class="category-title" style="color: ${data.borderColor};">
-                ${data.icon} ${data.thaiName} Records
-              </div>
-              ${categoryTables[cat]}
-            </div>
-          `).join('')}
-        </div>
+// ---------- Change history ----------
 
-        <script>
-          function applyFilter() {
-            const month = document.getElementById('month-filter').value;
-            const year = document.getElementById('year-filter').value;
-            window.location.href = '/daily-report?month=' + month + '&year=' + year;
-          }
+// Change history of daily_records (daily_records_history): every write of one date and
+// product with what it changed and where it came from, or the latest writes overall.
+const HISTORY_SOURCE_LABELS = {
+  line: 'LINE',
+  pending: 'ยืนยันรายการรอ',
+  reprocess: 'ประมวลผลซ้ำ',
+  migration: 'Migration',
+  admin: 'Admin'
+};
 
-          // Render stacked bar chart
-          ${totalRecords > 0 ? `
-          const ctx = document.getElementById('dailyChart').getContext('2d');
-          new Chart(ctx, {
-            type: 'bar',
-            data: {
-              labels: ${JSON.stringify(chartLabels)},
-              datasets: ${JSON.stringify(chartDatasets)}
-            },
-            options: {
-              responsive: true,
-              scales: {
-                x: {
-                  stacked: true,
-                  title: {
-                    display: true,
-                    text: 'Day of Month'
-                  }
-                },
-                y: {
-                  stacked: true,
-                  title: {
-                    display: true,
-                    text: 'Total Units'
-                  },
-                  beginAtZero: true
-                }
-              },
-              plugins: {
-                legend: {
-                  position: 'top'
-                },
-                tooltip: {
-                  mode: 'index',
-                  intersect: false
-                }
-              }
-            }
-          });
-          ` : ''}
-        </script>
-      </body>
-      </html>
-    `);
-  } catch (error) {
-    console.error('Error generating daily report:', error);
-    res.status(500).send('Error generating report');
+// DD/MM/YYYY (Buddhist-era years accepted) from a query or form field, or null
+function parseDateParam(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  return match ? normalizePlanDate(match[1], match[2], match[3]) : null;
+}
+
+function historySourceHtml(entry) {
+  const label = escapeHtml(HISTORY_SOURCE_LABELS[entry.source] || entry.source);
+  if (!entry.sourceId) return label;
+  if (entry.source === 'pending') {
+    return `${label} <a href="/pending/${encodeURIComponent(entry.sourceId)}">#${escapeHtml(entry.sourceId)}</a>`;
+  }
+  if (entry.source === 'line' || entry.source === 'reprocess') {
+    const ids = parseMessageIds(entry.sourceId);
+    return `${label} <a href="/archive/${ids.map(encodeURIComponent).join(',')}"><code>${escapeHtml(entry.sourceId)}</code></a>`;
+  }
+  return `${label} <code>${escapeHtml(entry.sourceId)}</code>`;
+}
+
+app.get('/history', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const date = parseDateParam(req.query.date);
+    if (req.query.date && !date) return res.status(400).send('Invalid date (DD/MM/YYYY)');
+    const category = catalog.categories().includes(req.query.category) ? req.query.category : null;
+
+    const history = await db.getRecordHistory({ date, category });
+    const rows = history.map(entry => {
+      const changes = diffDailyRecord(entry.before, entry.after);
+      const changesHtml = changes.length > 0
+        ? changes.map(c => `${escapeHtml(c.label)}: ${formatInt(c.before)} → <b>${formatInt(c.after)}</b>`).join('<br>')
+        : '<span style="color:#999;">ไม่มีการเปลี่ยนแปลง</span>';
+      return `
+      <tr>
+        <td>${entry.changedAt ? new Date(entry.changedAt).toLocaleString('th-TH') : '-'}</td>
+        <td><a href="/history?date=${encodeURIComponent(entry.date)}&category=${encodeURIComponent(entry.category)}">${escapeHtml(entry.date)}</a></td>
+        <td style="text-align:left;">${escapeHtml(categoryLabel(entry.category))}</td>
+        <td>${entry.action === 'insert' ? '🆕 สร้าง' : '✏️ แก้ไข'}</td>
+        <td style="text-align:left;">${historySourceHtml(entry)}</td>
+        <td>${entry.changedBy ? `<code>${escapeHtml(entry.changedBy)}</code>` : '-'}</td>
+        <td style="text-align:left;">${changesHtml}</td>
+      </tr>`;
+    }).join('');
+
+    const categoryOptions = catalog.getProducts().map(p =>
+      `<option value="${escapeHtml(p.code)}"${p.code === category ? ' selected' : ''}>${escapeHtml(categoryLabel(p.code))}</option>`
+    ).join('');
+    const scope = date ? `วันที่ ${date}${category ? ` · ${categoryLabel(category)}` : ''}` : `รายการล่าสุด${category ? ` · ${categoryLabel(category)}` : ''}`;
+
+    res.send(`<!DOCTYPE html>
+<html>
+<head>
+  <title>History</title>
+  <meta charset="utf-8">
+  <style>${reportSharedStyles()}</style>
+</head>
+<body>
+  <div class="container">
+    ${reportNav()}
+    <h1>🕘 History</h1>
+    <div class="subtitle">ประวัติการบันทึกและแก้ไขยอดรายวัน — ${escapeHtml(scope)}</div>
+
+    <form class="filter-section" method="GET" action="/history">
+      <label for="date">วันที่:</label>
+      <input id="date" name="date" value="${escapeHtml(date || '')}" placeholder="DD/MM/YYYY" style="padding:8px; font-size:16px; width:140px;">
+      <label for="category" style="margin-left: 20px;">สินค้า:</label>
+      <select id="category" name="category"><option value="">ทุกสินค้า</option>${categoryOptions}</select>
+      <button type="submit" style="margin-left: 20px; padding:8px 16px; font-size:16px;">ดูประวัติ</button>
+    </form>
+
+    <div style="overflow-x:auto;">
+    <table>
+      <thead><tr>
+        <th>เวลา</th><th>วันที่</th><th>สินค้า</th><th>การบันทึก</th><th>ที่มา</th><th>โดย</th><th>การเปลี่ยนแปลง</th>
+      </tr></thead>
+      <tbody>${rows || '<tr><td colspan="7" class="no-data">ไม่มีประวัติการบันทึก</td></tr>'}</tbody>
+    </table>
+    </div>
+  </div>
+</body>
+</html>`);
+  } catch (err) {
+    console.error('[HISTORY] Error:', err);
+    res.status(500).send('Error loading history: ' + escapeHtml(err.message));
   }
 });
 
-function generateDailyRecordsTable(records, category) {
-  if (!records || records.length === 0) {
-    return '<div class="no-data">No records available for ' + category + '</div>';
+// ---------- Manual entry ----------
+// /records/edit enters a day by hand when OCR couldn't read the plan, or fixes a recorded
+// one. The CDC values must add up to the total. It saves through saveDailyRecord like any
+// plan, so daily_records_history gets the write with source 'admin' and the user name.
+
+function renderRecordEditPage({ date, category, record, exists, errors = [], notice = null }) {
+  const productOptions = catalog.getProducts().map(p =>
+    `<option value="${escapeHtml(p.code)}"${p.code === category ? ' selected' : ''}>${escapeHtml(categoryLabel(p.code))}</option>`
+  ).join('');
+  const input = (name, value) =>
+    `<input type="number" min="0" step="1" name="${name}" value="${Number(value) || 0}" oninput="updateSum()">`;
+
+  let form = '';
+  if (date && category) {
+    const cdcRows = catalog.getCDCs().map(cdc => `
+        <tr>
+          <td style="text-align:left;">${escapeHtml(cdc.name)}${cdc.active ? '' : ' <span style="color:#999;">(ปิดใช้งาน)</span>'}</td>
+          <td class="cdc-input">${input(`cdc[${escapeHtml(cdc.name)}]`, record.cdcTotals?.[cdc.name])}</td>
+        </tr>`).join('');
+    const exportRows = catalog.EXPORT_DESTINATIONS.map(dest => `
+        <tr>
+          <td style="text-align:left;">${escapeHtml(dest.name)} <span style="color:#999;">(อยู่ในยอดขอนแก่น)</span></td>
+          <td>${input(`exports[${dest.field}]`, record[dest.field])}</td>
+        </tr>`).join('');
+    form = `
+    <form class="target-form" method="post" action="/records/edit">
+      <input type="hidden" name="date" value="${escapeHtml(date)}">
+      <input type="hidden" name="category" value="${escapeHtml(category)}">
+      <table style="max-width:600px; margin:0 auto;">
+        <thead><tr><th>CDC</th><th style="background-color:${categoryColor(category)};">${escapeHtml(categoryLabel(category))}</th></tr></thead>
+        <tbody>
+          ${cdcRows}
+          <tr style="font-weight:bold;">
+            <td style="text-align:left;">รวม</td>
+            <td>${input('total', record.totalSum)}<div id="sum-check" style="font-size:12px;"></div></td>
+          </tr>
+          ${exportRows}
+          <tr>
+            <td style="text-align:left;">FC33 หาดใหญ่</td>
+            <td>${input('fc33HadyaiSum', record.fc33HadyaiSum)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <button class="save-btn" type="submit">💾 ${exists ? 'บันทึกการแก้ไข' : 'บันทึกวันใหม่'}</button>
+    </form>
+    <div class="subtitle" style="margin-top:16px;"><a href="/history?date=${encodeURIComponent(date)}&category=${encodeURIComponent(category)}">🕘 ประวัติการแก้ไขวันนี้</a></div>`;
   }
 
-  // Sort records by date in ascending order
-  const sortedRecords = [...records].sort((a, b) => {
-    // Parse DD/MM/YYYY format
-    const parseDate = (dateStr) => {
-      const [day, month, year] = dateStr.split('/').map(Number);
-      return new Date(year, month - 1, day);
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>Edit Daily Record</title>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <style>${reportSharedStyles()}
+    form.target-form input[type=number] { width: 140px; }
+    .errors { background:#ffebee; border:1px solid #ef9a9a; color:#c62828; padding:10px 12px; border-radius:4px; margin: 0 auto 16px auto; max-width: 600px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    ${reportNav()}
+    <h1>📝 กรอก / แก้ไขยอดรายวัน</h1>
+    <div class="subtitle">${date && category
+      ? `${escapeHtml(date)} · ${escapeHtml(categoryLabel(category))} — ${exists ? 'แก้ไขข้อมูลที่บันทึกไว้' : 'ยังไม่มีข้อมูล กรอกใหม่'}`
+      : 'เลือกวันที่และสินค้า'}</div>
+    ${notice ? `<div class="notice">${notice}</div>` : ''}
+    ${errors.length > 0 ? `<div class="errors">${errors.map(e => `❌ ${escapeHtml(e)}`).join('<br>')}</div>` : ''}
+
+    <form class="filter-section" method="GET" action="/records/edit">
+      <label for="date">วันที่:</label>
+      <input id="date" name="date" value="${escapeHtml(date || '')}" placeholder="DD/MM/YYYY" style="padding:8px; font-size:16px; width:140px;">
+      <label for="category" style="margin-left: 20px;">สินค้า:</label>
+      <select id="category" name="category">${productOptions}</select>
+      <button type="submit" style="margin-left: 20px; padding:8px 16px; font-size:16px;">เปิด</button>
+    </form>
+    ${form}
+  </div>
+
+  <script>
+    // Live check of the CDC sum against the total (the server checks it again on save)
+    function updateSum() {
+      const check = document.getElementById('sum-check');
+      if (!check) return;
+      let sum = 0;
+      document.querySelectorAll('.cdc-input input').forEach(i => { sum += parseInt(i.value, 10) || 0; });
+      const total = parseInt(document.querySelector('input[name=total]').value, 10) || 0;
+      check.textContent = 'ผลรวม CDC ' + sum.toLocaleString('en-US') + (sum === total ? ' ✓' : ' (ต่าง ' + (total - sum).toLocaleString('en-US') + ')');
+      check.style.color = sum === total ? '#2e7d32' : '#c62828';
+    }
+    updateSum();
+  </script>
+</body>
+</html>`;
+}
+
+app.get('/records/edit', auth.requireRole('editor'), async (req, res) => {
+  try {
+    const date = parseDateParam(req.query.date);
+    if (req.query.date && !date) return res.status(400).send('Invalid date (DD/MM/YYYY)');
+    const category = catalog.getProduct(req.query.category) ? req.query.category : null;
+
+    const current = date && category ? await db.getDailyRecord(date, category) : null;
+    const notice = req.query.saved === '1' ? '✅ บันทึกแล้ว' : req.query.saved === '0' ? 'ไม่มีการเปลี่ยนแปลง' : null;
+    res.send(renderRecordEditPage({ date, category, record: current || {}, exists: !!current, notice }));
+  } catch (err) {
+    console.error('[RECORD-EDIT] Error:', err);
+    res.status(500).send('Error loading record: ' + escapeHtml(err.message));
+  }
+});
+
+app.post('/records/edit', auth.requireRole('editor'), async (req, res) => {
+  try {
+    const date = parseDateParam(req.body.date);
+    const category = catalog.getProduct(req.body.category) ? req.body.category : null;
+    if (!date || !category) return res.status(400).send('Invalid date or product');
+
+    const errors = [];
+    const toInt = (value, label) => {
+      const text = String(value ?? '').trim();
+      if (text === '') return 0;
+      if (!/^\d+$/.test(text)) {
+        errors.push(`${label}: "${text}" ไม่ใช่จำนวนเต็มบวก`);
+        return 0;
+      }
+      return parseInt(text, 10);
     };
+    const cdcTotals = {};
+    for (const cdc of catalog.getCDCs()) {
+      cdcTotals[cdc.name] = toInt(req.body.cdc?.[cdc.name], cdc.name);
+    }
+    const totalSum = toInt(req.body.total, 'รวม');
+    const fc33HadyaiSum = toInt(req.body.fc33HadyaiSum, 'FC33 หาดใหญ่');
+    const exports = Object.fromEntries(catalog.EXPORT_DESTINATIONS.map(dest => [dest.field, toInt(req.body.exports?.[dest.field], dest.name)]));
 
-    return parseDate(a.date) - parseDate(b.date);
-  });
+    const cdcSum = Object.values(cdcTotals).reduce((sum, value) => sum + value, 0);
+    if (errors.length === 0 && cdcSum !== totalSum) {
+      errors.push(`ผลรวม CDC (${formatInt(cdcSum)}) ไม่เท่ากับยอดรวม (${formatInt(totalSum)}) ต่างกัน ${formatInt(totalSum - cdcSum)}`);
+    }
 
-  // Column headers matching CDC locations (in proper order)
-  const cdcColumns = [
-    'คลังบางบัวทอง',
-    'นครราชสีมา',
-    'นครสวรรค์',
-    'ชลบุรี',
-    'หาดใหญ่',
-    'ภูเก็ต',
-    'เชียงใหม่',
-    'สุราษฎร์',
-    'ขอนแก่น',
-    'คลังมหาชัย',
-    'คลังสุวรรณภูมิ'
-  ];
+    const current = await db.getDailyRecord(date, category);
+    const record = {
+      ...(current || {}),
+      date,
+      timestamp: new Date().toISOString(),
+      fc33HadyaiSum,
+      totalSum,
+      cdcTotals,
+      ...exports
+    };
+    if (errors.length > 0) {
+      return res.status(400).send(renderRecordEditPage({ date, category, record, exists: !!current, errors }));
+    }
 
-  let html = '<div style="overflow-x: auto;"><table>';
+    if (current && current.fc33HadyaiSum === fc33HadyaiSum && diffDailyRecord(current, record).length === 0) {
+      return res.redirect(`/records/edit?date=${encodeURIComponent(date)}&category=${encodeURIComponent(category)}&saved=0`);
+    }
+
+    // Values typed in were checked by a person, so their OCR flags no longer apply
+    const edited = cdc => cdcTotals[cdc] !== (current?.cdcTotals?.[cdc] || 0);
+    record.cdcConfidence = Object.fromEntries(Object.entries(current?.cdcConfidence || {}).filter(([cdc]) => !edited(cdc)));
+    record.corrections = (current?.corrections || []).filter(c => !edited(c.cdc));
+    record.confidence = recordConfidence(record.cdcConfidence);
+    // The form has no crate fields: the plan's crates no longer match an edited value
+    record.cdcCrates = Object.fromEntries(Object.entries(current?.cdcCrates || {}).filter(([cdc]) => !edited(cdc)));
+    record.reconciliation = buildReconciliation(cdcTotals, totalSum,
+      current?.reconciliation?.cellSum, current?.reconciliation?.yodruamTotal || 0);
+
+    await saveDailyRecord(record, category, { source: 'admin', sourceId: 'records/edit', changedBy: req.user.username });
+    console.log(`[RECORD-EDIT] ${req.user.username} ${current ? 'updated' : 'entered'} ${category} ${date} (total ${current ? `${current.totalSum} → ` : ''}${totalSum})`);
+    res.redirect(`/records/edit?date=${encodeURIComponent(date)}&category=${encodeURIComponent(category)}&saved=1`);
+  } catch (err) {
+    console.error('[RECORD-EDIT] Save error:', err);
+    res.status(500).send('Error saving record: ' + escapeHtml(err.message));
+  }
+});
+
+// ---------- Vendors ----------
+
+// Per-vendor (FC code) volume and crates for a month, from daily_vendor_values
+app.get('/vendors', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const now = new Date();
+    const y = parseInt(req.query.year, 10) || now.getFullYear();
+    const m = parseInt(req.query.month, 10) || (now.getMonth() + 1);
+
+    const totals = await db.getVendorTotals(ymd(y, m, 1), ymd(y, m, 31));
+
+    // One row per vendor, one bottle column per product that has any vendor data
+    const vendors = new Map();
+    for (const t of totals) {
+      if (!vendors.has(t.code)) {
+        vendors.set(t.code, { code: t.code, name: t.name, cdcCode: t.cdcCode, bottles: {}, fullCrates: 0, partialBottles: 0, totalCrates: 0, days: 0 });
+      }
+      const v = vendors.get(t.code);
+      v.bottles[t.category] = t.bottles;
+      v.fullCrates += t.fullCrates;
+      v.partialBottles += t.partialBottles;
+      v.totalCrates += t.totalCrates;
+      v.days = Math.max(v.days, t.days);
+    }
+    const present = new Set(totals.map(t => t.category));
+    const categories = [...catalog.categories().filter(c => present.has(c)), ...[...present].filter(c => !catalog.categories().includes(c))];
+
+    const cdcName = code => catalog.getCDCs().find(c => c.code === code)?.name || code || '-';
+    const perCrate = (bottles, crates) => (crates > 0 ? (bottles / crates).toFixed(1) : '-');
+    const sum = values => values.reduce((a, b) => a + b, 0);
+
+    const rows = [...vendors.values()].map(v => {
+      const bottles = sum(Object.values(v.bottles));
+      return `
+      <tr>
+        <td style="text-align:left;font-weight:600;">${escapeHtml(v.code)}</td>
+        <td style="text-align:left;">${escapeHtml(v.name || '')}</td>
+        <td style="text-align:left;">${escapeHtml(cdcName(v.cdcCode))}</td>
+        ${categories.map(c => `<td>${v.bottles[c] ? formatInt(v.bottles[c]) : '-'}</td>`).join('')}
+        <td style="font-weight:bold;">${formatInt(bottles)}</td>
+        <td>${formatInt(v.fullCrates)}</td>
+        <td>${formatInt(v.partialBottles)}</td>
+        <td>${formatInt(v.totalCrates)}</td>
+        <td>${perCrate(bottles, v.totalCrates)}</td>
+        <td>${v.days}</td>
+      </tr>`;
+    }).join('');
+
+    const all = [...vendors.values()];
+    const totalBottles = sum(all.map(v => sum(Object.values(v.bottles))));
+    const totalCrates = sum(all.map(v => v.totalCrates));
+    const totalRow = all.length === 0 ? '' : `
+      <tr style="font-weight:bold;background-color:#e8f5e9;">
+        <td colspan="3">รวม</td>
+        ${categories.map(c => `<td>${formatInt(sum(all.map(v => v.bottles[c] || 0)))}</td>`).join('')}
+        <td>${formatInt(totalBottles)}</td>
+        <td>${formatInt(sum(all.map(v => v.fullCrates)))}</td>
+        <td>${formatInt(sum(all.map(v => v.partialBottles)))}</td>
+        <td>${formatInt(totalCrates)}</td>
+        <td>${perCrate(totalBottles, totalCrates)}</td>
+        <td></td>
+      </tr>`;
+
+    const yearOptions = [];
+    for (let yy = now.getFullYear() - 2; yy <= now.getFullYear() + 1; yy++) {
+      yearOptions.push(`<option value="${yy}"${yy === y ? ' selected' : ''}>${yy}</option>`);
+    }
+    const monthOptions = THAI_MONTHS.map((name, i) =>
+      `<option value="${i + 1}"${i + 1 === m ? ' selected' : ''}>${name}</option>`
+    ).join('');
+
+    res.send(`<!DOCTYPE html>
+<html>
+<head>
+  <title>Vendors</title>
+  <meta charset="utf-8">
+  <style>${reportSharedStyles()}</style>
+</head>
+<body>
+  <div class="container">
+    ${reportNav()}
+    <h1>🏭 Vendors</h1>
+    <div class="subtitle">ยอดขวดและตะกร้าของแต่ละ Vendor (FC) — ${THAI_MONTHS[m - 1]} ${y} · ขวด/ตะกร้า = ขวดรวม ÷ ตะกร้ารวม</div>
+
+    <div class="filter-section">
+      <label for="month-filter">Month:</label>
+      <select id="month-filter" onchange="applyFilter()">${monthOptions}</select>
+      <label for="year-filter" style="margin-left: 20px;">Year:</label>
+      <select id="year-filter" onchange="applyFilter()">${yearOptions}</select>
+    </div>
+
+    <div style="overflow-x:auto;">
+    <table>
+      <thead><tr>
+        <th>Vendor</th><th>ชื่อ</th><th>CDC</th>
+        ${categories.map(c => `<th>${escapeHtml(categoryLabel(c))}</th>`).join('')}
+        <th>รวมขวด</th><th>ตะกร้าเต็ม</th><th>ตะกร้าเศษ (ขวด)</th><th>ตะกร้ารวม</th><th>ขวด/ตะกร้า</th><th>วัน</th>
+      </tr></thead>
+      <tbody>${rows || `<tr><td colspan="${categories.length + 9}" class="no-data">ยังไม่มีข้อมูล Vendor ในเดือนนี้</td></tr>`}${totalRow}</tbody>
+    </table>
+    </div>
+  </div>
 
-  // Header row
-  html += '<tr>';
-  html += '<th>วันที่</th>';
-  cdcColumns.forEach((header) => {
-    if (header === 'คลังสุวรรณภูมิ') {
-      // Highlight คลังสุวรรณภูมิ column
-      html += `<th style="background-color: #2196F3;">${header}</th>`;
-    } else {
-      html += `<th>${header}</th>`;
+  <script>
+    function applyFilter() {
+      const month = document.getElementById('month-filter').value;
+      const year = document.getElementById('year-filter').value;
+      window.location.href = '/vendors?month=' + month + '&year=' + year;
     }
-  });
-
-  // Add special columns for Orange category only
-  if (category.toLowerCase() === 'orange') {
-    html += '<th style="background-color: #FF9800;">ขอนแก่น<br>Laos<br>4 สาขา</th>';
-    html += '<th style="background-color: #FF9800;">ขอนแก่น<br>Cambodia<br>85 สาขา</th>';
+  </script>
+</body>
+</html>`);
+  } catch (err) {
+    console.error('[VENDORS] Error:', err);
+    res.status(500).send('Error loading vendors: ' + escapeHtml(err.message));
   }
+});
 
-  html += '<th style="background-color: #4CAF50;">รวม</th>'; // Total sum column
-  html += '<th style="background-color: #9c27b0;">Recorded At</th></tr>';
-
-  // Initialize sums for averaging
-  const cdcSums = {};
-  cdcColumns.forEach(cdc => cdcSums[cdc] = 0);
-  let totalSumSum = 0;
-  let laosSum = 0;
-  let cambodiaSum = 0;
-  const recordCount = sortedRecords.length;
+// ---------- Target management ----------
 
-  // Use the already sorted records (by date ascending)
-  sortedRecords.forEach(record => {
-    const recordedDate = new Date(record.timestamp).toLocaleString('th-TH', {
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+app.get('/targets', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const now = new Date();
+    const y = parseInt(req.query.year, 10) || now.getFullYear();
+    const m = parseInt(req.query.month, 10) || (now.getMonth() + 1);
 
-    html += '<tr>';
+    const [currentTargets, knownCats] = await Promise.all([
+      db.getTargets(y, m),
+      db.getKnownCategories()
+    ]);
 
-    // Date column
-    html += `<td style="background-color: #fff9c4;"><strong>${record.date}</strong></td>`;
+    const appearing = new Set([...Object.keys(currentTargets), ...knownCats, ...catalog.categories()]);
+    const ordered = [];
+    for (const c of catalog.categories()) if (appearing.has(c)) ordered.push(c);
+    for (const c of appearing) if (!catalog.categories().includes(c)) ordered.push(c);
 
-    // Display CDC totals
-    if (record.cdcTotals) {
-      cdcColumns.forEach(cdc => {
-        const value = record.cdcTotals[cdc] || 0;
-        cdcSums[cdc] += value; // Accumulate for average
-        const formattedValue = value.toLocaleString('en-US');
+    const rows = ordered.map(c => {
+      const current = currentTargets[c] || 0;
+      const name = categoryName(c);
+      const icon = categoryIcon(c);
+      const color = categoryColor(c);
+      return `
+        <tr>
+          <td style="text-align:left;font-weight:600;color:${color};">${icon} ${escapeHtml(name)}</td>
+          <td><input type="number" min="0" step="1" name="target_${escapeHtml(c)}" value="${current}"></td>
+        </tr>`;
+    }).join('');
 
-        if (cdc === 'คลังสุวรรณภูมิ') {
-          // Highlight คลังสุวรรณภูมิ column
-          html += `<td style="background-color: #e3f2fd; font-weight: bold;">${formattedValue}</td>`;
-        } else {
-          html += `<td>${formattedValue}</td>`;
-        }
-      });
-    } else {
-      // Fallback for old records without cdcTotals
-      cdcColumns.forEach(() => {
-        html += '<td>-</td>';
-      });
+    const yearOptions = [];
+    for (let yy = now.getFullYear() - 2; yy <= now.getFullYear() + 1; yy++) {
+      yearOptions.push(`<option value="${yy}"${yy === y ? ' selected' : ''}>${yy}</option>`);
     }
+    const monthOptions = THAI_MONTHS.map((name, i) =>
+      `<option value="${i + 1}"${i + 1 === m ? ' selected' : ''}>${name}</option>`
+    ).join('');
 
-    // Add special columns for Orange category only
-    if (category.toLowerCase() === 'orange') {
-      // ขอนแก่น Laos column
-      const laosValue = record.khonKaenLaos || 0;
-      laosSum += laosValue; // Accumulate for average
-      const formattedLaos = laosValue.toLocaleString('en-US');
-      html += `<td style="background-color: #FFE0B2; font-weight: bold;">${formattedLaos}</td>`;
-
-      // ขอนแก่น Cambodia column (always blank/0)
-      const cambodiaValue = record.khonKaenCambodia || 0;
-      cambodiaSum += cambodiaValue; // Accumulate for average
-      const formattedCambodia = cambodiaValue.toLocaleString('en-US');
-      html += `<td style="background-color: #FFE0B2;">${formattedCambodia}</td>`;
-    }
+    const saved = req.query.saved === '1';
 
-    // Total sum column
-    const totalValue = record.totalSum || 0;
-    totalSumSum += totalValue; // Accumulate for average
-    const formattedTotal = totalValue.toLocaleString('en-US');
-    html += `<td style="background-color: #c8e6c9; font-weight: bold;">${formattedTotal}</td>`;
+    res.send(`<!DOCTYPE html>
+<html>
+<head>
+  <title>Manage Targets</title>
+  <meta charset="utf-8">
+  <style>${reportSharedStyles()}</style>
+</head>
+<body>
+  <div class="container">
+    ${reportNav()}
+    <h1>🎯 Manage Monthly Targets</h1>
+    <div class="subtitle">ตั้งยอด target รายเดือนของแต่ละ category เพื่อใช้ใน MTD/YTD Report</div>
 
-    // Recorded timestamp
-    html += `<td style="background-color: #f3e5f5; font-size: 0.9em;">${recordedDate}</td>`;
-    html += '</tr>';
-  });
+    ${saved ? '<div class="notice">✅ บันทึก target เรียบร้อย</div>' : ''}
 
-  // Add Month to Date Sum and Average rows
-  if (recordCount > 0) {
-    // MTD Sum row
-    html += '<tr style="background-color: #d1c4e9; font-weight: bold; border-top: 3px solid #333;">';
-    html += '<td style="background-color: #b39ddb;">MTD Sum<br>(' + recordCount + ' days)</td>';
+    <div class="filter-section">
+      <label for="month-filter">Month:</label>
+      <select id="month-filter" onchange="applyFilter()">${monthOptions}</select>
+      <label for="year-filter" style="margin-left: 20px;">Year:</label>
+      <select id="year-filter" onchange="applyFilter()">${yearOptions}</select>
+    </div>
 
-    // CDC column sums
-    cdcColumns.forEach(cdc => {
-      const sum = cdcSums[cdc];
-      const formattedSum = sum.toLocaleString('en-US');
-      if (cdc === 'คลังสุวรรณภูมิ') {
-        html += `<td style="background-color: #b39ddb;">${formattedSum}</td>`;
-      } else {
-        html += `<td>${formattedSum}</td>`;
-      }
-    });
+    <form class="target-form" method="post" action="/targets">
+      <input type="hidden" name="year" value="${y}">
+      <input type="hidden" name="month" value="${m}">
+      <table>
+        <thead>
+          <tr>
+            <th>Category</th>
+            <th>Target (${THAI_MONTHS[m - 1]} ${y})</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <button class="save-btn" type="submit">💾 บันทึก</button>
+    </form>
+  </div>
 
-    // Orange category special columns sums
-    if (category.toLowerCase() === 'orange') {
-      html += `<td style="background-color: #ce93d8;">${laosSum.toLocaleString('en-US')}</td>`;
-      html += `<td style="background-color: #ce93d8;">${cambodiaSum.toLocaleString('en-US')}</td>`;
+  <script>
+    function applyFilter() {
+      const month = document.getElementById('month-filter').value;
+      const year = document.getElementById('year-filter').value;
+      window.location.href = '/targets?month=' + month + '&year=' + year;
     }
+  </script>
+</body>
+</html>`);
+  } catch (err) {
+    console.error('[TARGETS] Error:', err);
+    res.status(500).send('Error loading targets: ' + escapeHtml(err.message));
+  }
+});
 
-    // Total sum
-    html += `<td style="background-color: #b39ddb;">${totalSumSum.toLocaleString('en-US')}</td>`;
+app.post('/targets', auth.requireRole('editor'), async (req, res) => {
+  try {
+    const y = parseInt(req.body.year, 10);
+    const m = parseInt(req.body.month, 10);
+    if (!y || !m || m < 1 || m > 12) {
+      return res.status(400).send('Invalid year or month');
+    }
+    const entries = Object.entries(req.body)
+      .filter(([k]) => k.startsWith('target_'))
+      .map(([k, v]) => [k.slice('target_'.length), parseInt(v, 10)])
+      .filter(([cat, val]) => cat && Number.isFinite(val) && val >= 0);
 
-    // Empty cell for timestamp column
-    html += '<td style="background-color: #b39ddb;">-</td>';
-    html += '</tr>';
+    for (const [cat, val] of entries) {
+      await db.upsertTarget(y, m, cat, val);
+    }
+    console.log(`[TARGETS] Saved ${entries.length} targets for ${y}-${pad2(m)}`);
+    res.redirect(`/targets?year=${y}&month=${m}&saved=1`);
+  } catch (err) {
+    console.error('[TARGETS] Save error:', err);
+    res.status(500).send('Error saving targets: ' + escapeHtml(err.message));
+  }
+});
 
-    // MTD Average row
-    html += '<tr style="background-color: #e0e0e0; font-weight: bold;">';
-    html += '<td style="background-color: #bdbdbd;">MTD Avg</td>';
+// ---------- Pending extraction edit ----------
+// Opened from the Edit quick reply. Saving only updates the pending values — the plan is
+// committed by pressing Confirm in LINE, or by an admin with the Approve button here.
 
-    // CDC column averages
-    cdcColumns.forEach(cdc => {
-      const avg = Math.round(cdcSums[cdc] / recordCount);
-      const formattedAvg = avg.toLocaleString('en-US');
-      if (cdc === 'คลังสุวรรณภูมิ') {
-        html += `<td style="background-color: #bbdefb;">${formattedAvg}</td>`;
-      } else {
-        html += `<td>${formattedAvg}</td>`;
-      }
-    });
+app.get('/pending', auth.requireRole('editor'), async (req, res) => {
+  try {
+    const pendings = await db.getOpenPendingRecords();
+    const rows = pendings.map(p => `
+      <tr>
+        <td><a href="/pending/${p.id}">#${p.id}</a></td>
+        <td>${p.kind === 'correction' ? '✏️ แก้ไข' : '📝 ใหม่'}</td>
+        <td>${escapeHtml(p.date)}</td>
+        <td style="text-align:left;">${p.results.map(r => `${categoryLabel(r.category)} ${formatInt(r.record.totalSum)}`).join('<br>')}</td>
+        <td><code>${escapeHtml(p.sourceId || '-')}</code></td>
+        <td>${new Date(p.expiresAt).toLocaleString('th-TH')}</td>
+      </tr>`).join('');
 
-    // Orange category special columns averages
-    if (category.toLowerCase() === 'orange') {
-      const laosAvg = Math.round(laosSum / recordCount);
-      const cambodiaAvg = Math.round(cambodiaSum / recordCount);
-      html += `<td style="background-color: #FFCC80;">${laosAvg.toLocaleString('en-US')}</td>`;
-      html += `<td style="background-color: #FFCC80;">${cambodiaAvg.toLocaleString('en-US')}</td>`;
-    }
+    res.send(`<!DOCTYPE html>
+<html>
+<head>
+  <title>Pending Extractions</title>
+  <meta charset="utf-8">
+  <style>${reportSharedStyles()}</style>
+</head>
+<body>
+  <div class="container">
+    ${reportNav()}
+    <h1>⏳ รายการรอยืนยัน</h1>
+    <table>
+      <thead><tr><th>ID</th><th>ประเภท</th><th>วันที่</th><th>ยอด</th><th>Group / User</th><th>หมดอายุ</th></tr></thead>
+      <tbody>${rows || '<tr><td colspan="6" class="no-data">ไม่มีรายการรอยืนยัน</td></tr>'}</tbody>
+    </table>
+  </div>
+</body>
+</html>`);
+  } catch (err) {
+    console.error('[PENDING] List error:', err);
+    res.status(500).send('Error loading pending extractions: ' + escapeHtml(err.message));
+  }
+});
 
-    // Total average
-    const totalAvg = Math.round(totalSumSum / recordCount);
-    html += `<td style="background-color: #a5d6a7;">${totalAvg.toLocaleString('en-US')}</td>`;
+app.get('/pending/:id', auth.requireRole('editor'), async (req, res) => {
+  try {
+    const pending = await db.getPendingRecord(parseInt(req.params.id, 10));
+    if (!pending) return res.status(404).send('Pending extraction not found');
 
-    // Empty cell for timestamp column
-    html += '<td style="background-color: #bdbdbd;">-</td>';
-    html += '</tr>';
-  }
+    const editable = pending.status === 'pending' && !pending.expired;
+    const cdcNames = catalog.cdcNames();
+    const headers = pending.results.map(({ category }) =>
+      `<th style="background-color:${categoryColor(category)};">${categoryLabel(category)}</th>`
+    ).join('');
+    // Corrections show the recorded value under every input that would change
+    const input = (name, value, previousValue, flagged = false) => {
+      const was = pending.kind === 'correction' && (Number(previousValue) || 0) !== (Number(value) || 0)
+        ? `<div style="font-size:12px;color:#c62828;">เดิม: ${formatInt(Number(previousValue) || 0)}</div>` : '';
+      const check = flagged ? '<div style="font-size:12px;color:#c62828;">⚠️ ตรวจสอบ</div>' : '';
+      return `<input type="number" min="0" step="1" name="${name}" value="${Number(value) || 0}"${editable ? '' : ' disabled'}>${was}${check}`;
+    };
 
-  html += '</table></div>';
-  return html;
-}
+    const cdcRows = cdcNames.map(cdc => `
+      <tr>
+        <td style="text-align:left;">${escapeHtml(cdc)}</td>
+        ${pending.results.map(({ category, record, previous }) =>
+          `<td>${input(`cdc[${category}][${escapeHtml(cdc)}]`, record.cdcTotals?.[cdc], previous?.cdcTotals?.[cdc], isLowConfidenceCDC(record, cdc))}</td>`).join('')}
+      </tr>`).join('');
+    const exportRows = catalog.EXPORT_DESTINATIONS.map(dest => `
+      <tr>
+        <td style="text-align:left;">${escapeHtml(dest.name)}</td>
+        ${pending.results.map(({ category, record, previous }) =>
+          `<td>${input(`exports[${dest.field}][${category}]`, record[dest.field], previous?.[dest.field])}</td>`).join('')}
+      </tr>`).join('');
+    const totalRow = `
+      <tr style="font-weight:bold;">
+        <td style="text-align:left;">รวม</td>
+        ${pending.results.map(({ category, record, previous }) => `<td>${input(`total[${category}]`, record.totalSum, previous?.totalSum)}</td>`).join('')}
+      </tr>`;
+
+    const statusNote = editable
+      ? `<div class="subtitle">หมดอายุ ${new Date(pending.expiresAt).toLocaleString('th-TH')} — แก้ไขแล้วกลับไปกด Confirm ใน LINE</div>`
+      : `<div class="no-data">รายการนี้${{ confirmed: 'ถูกบันทึก', rejected: 'ถูกยกเลิก' }[pending.status] || 'หมดอายุ'}แล้ว แก้ไขไม่ได้</div>`;
 
-// Test endpoint for uploading images directly (bypass LINE webhook)
-app.post('/test-ocr', express.raw({ type: 'image/*', limit: '10mb' }), async (req, res) => {
-  try {
-    console.log('[TEST-OCR] Received image for testing');
-    const imageBuffer = req.body;
-    console.log('[TEST-OCR] Image size:', imageBuffer.length, 'bytes');
+    res.send(`<!DOCTYPE html>
+<html>
+<head>
+  <title>Pending Extraction #${pending.id}</title>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <style>${reportSharedStyles()}
+    form.target-form input[type=number] { width: 110px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    ${reportNav()}
+    <h1>✏️ ${pending.kind === 'correction' ? 'แก้ไขข้อมูล' : 'ตรวจสอบข้อมูล'}วันที่ ${escapeHtml(pending.date)}</h1>
+    ${statusNote}
+    ${req.query.saved === '1' ? '<div class="notice">✅ บันทึกการแก้ไขแล้ว กลับไปกด Confirm ใน LINE เพื่อบันทึกลงรายงาน</div>' : ''}
+    ${req.query.resolved ? `<div class="notice">${req.query.resolved === 'confirmed' ? '✅ บันทึกลงรายงานแล้ว' : '❌ ยกเลิกรายการแล้ว'}</div>` : ''}
 
-    console.log('[TEST-OCR] Detecting if Excel screenshot...');
-    const isExcelScreenshot = await detectExcelScreenshot(imageBuffer);
-    console.log('[TEST-OCR] Is Excel screenshot:', isExcelScreenshot);
+    <form class="target-form" method="post" action="/pending/${pending.id}">
+      <div style="overflow-x:auto;">
+      <table>
+        <thead><tr><th>CDC</th>${headers}</tr></thead>
+        <tbody>${cdcRows}${exportRows}${totalRow}</tbody>
+      </table>
+      </div>
+      ${editable ? '<button class="save-btn" type="submit">💾 บันทึกการแก้ไข</button>' : ''}
+    </form>
 
-    if (isExcelScreenshot) {
-      console.log('[TEST-OCR] Performing OCR...');
-      const extractedText = await performOCR(imageBuffer);
+    ${editable ? `
+    <div style="display:flex; justify-content:center; gap:12px; margin-top:24px;">
+      <form method="post" action="/pending/${pending.id}/confirm" onsubmit="return confirm('${pending.kind === 'correction' ? 'บันทึกทับข้อมูลเดิม?' : 'บันทึกลงรายงาน?'}');">
+        <button class="save-btn" type="submit" style="margin:0;">✅ Approve</button>
+      </form>
+      <form method="post" action="/pending/${pending.id}/reject" onsubmit="return confirm('ยกเลิกรายการนี้?');">
+        <button class="save-btn" type="submit" style="margin:0; background:#e53935;">❌ Reject</button>
+      </form>
+    </div>` : ''}
+  </div>
+</body>
+</html>`);
+  } catch (err) {
+    console.error('[PENDING] Edit page error:', err);
+    res.status(500).send('Error loading pending extraction: ' + escapeHtml(err.message));
+  }
+});
 
-      res.json({
-        success: true,
-        isExcelScreenshot: true,
-        extractedText: extractedText,
-        tableData: latestOCRResult.tableData,
-        cdcTotals: latestOCRResult.tableData ? transformTableData(latestOCRResult.tableData) : null
-      });
-    } else {
-      res.json({
-        success: true,
-        isExcelScreenshot: false,
-        message: 'Not detected as an Excel screenshot'
-      });
+app.post('/pending/:id', auth.requireRole('editor'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const pending = await db.getPendingRecord(id);
+    if (!pending) return res.status(404).send('Pending extraction not found');
+    if (pending.status !== 'pending' || pending.expired) {
+      return res.status(409).send('Pending extraction is no longer editable');
+    }
+
+    const toInt = v => {
+      const n = parseInt(v, 10);
+      return Number.isFinite(n) && n >= 0 ? n : 0;
+    };
+    const results = pending.results.map(({ category, record, previous }) => {
+      const cdcInput = req.body.cdc?.[category] || {};
+      const cdcTotals = {};
+      for (const cdc of Object.keys(record.cdcTotals || {})) {
+        cdcTotals[cdc] = toInt(cdcInput[cdc]);
+      }
+      const updated = { ...record, cdcTotals, totalSum: toInt(req.body.total?.[category]) };
+      // Values changed by hand were checked against the plan, so they are no longer flagged
+      const edited = cdc => cdcTotals[cdc] !== (record.cdcTotals?.[cdc] || 0);
+      updated.cdcConfidence = Object.fromEntries(Object.entries(record.cdcConfidence || {}).filter(([cdc]) => !edited(cdc)));
+      updated.corrections = (record.corrections || []).filter(c => !edited(c.cdc));
+      updated.confidence = recordConfidence(updated.cdcConfidence);
+      updated.reconciliation = buildReconciliation(cdcTotals, updated.totalSum,
+        record.reconciliation?.cellSum, record.reconciliation?.yodruamTotal || 0);
+      for (const dest of catalog.EXPORT_DESTINATIONS) {
+        updated[dest.field] = toInt(req.body.exports?.[dest.field]?.[category]);
+      }
+      return previous !== undefined ? { category, record: updated, previous } : { category, record: updated };
+    });
+
+    if (!await db.updatePendingResults(id, results)) {
+      return res.status(409).send('Pending extraction is no longer editable');
     }
-  } catch (error) {
-    console.error('[ERROR] Test OCR error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.log(`[PENDING] Edited pending extraction #${id}`);
+    res.redirect(`/pending/${id}?saved=1`);
+  } catch (err) {
+    console.error('[PENDING] Edit save error:', err);
+    res.status(500).send('Error saving pending extraction: ' + escapeHtml(err.message));
   }
 });
 
-// ---------- MTD / YTD Report ----------
+// Admin approve / reject of a pending extraction, bypassing the same-chat rule
+app.post('/pending/:id/confirm', auth.requireRole('editor'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const recordResult = await confirmPendingRecord(id, null, { viaWeb: true, webUser: req.user.username });
+    if (!recordResult.success) return res.status(409).send(escapeHtml(recordResult.reason));
+    await notifyConfirmedRecord(recordResult);
+    res.redirect(`/pending/${id}?resolved=confirmed`);
+  } catch (err) {
+    console.error('[PENDING] Web confirm error:', err);
+    res.status(500).send('Error confirming pending extraction: ' + escapeHtml(err.message));
+  }
+});
 
-const THAI_MONTHS = ['มกราคม', 'กุมภาพันธ์', 'มีนาคม', 'เมษายน', 'พฤษภาคม', 'มิถุนายน', 'กรกฎาคม', 'สิงหาคม', 'กันยายน', 'ตุลาคม', 'พฤศจิกายน', 'ธันวาคม'];
+app.post('/pending/:id/reject', auth.requireRole('editor'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const result = await rejectPendingRecord(id, null, { viaWeb: true, webUser: req.user.username });
+    if (!result.success) return res.status(409).send(escapeHtml(result.reason));
+    res.redirect(`/pending/${id}?resolved=rejected`);
+  } catch (err) {
+    console.error('[PENDING] Web reject error:', err);
+    res.status(500).send('Error rejecting pending extraction: ' + escapeHtml(err.message));
+  }
+});
 
-function pad2(n) { return String(n).padStart(2, '0'); }
-function ymd(y, m, d) { return `${y}-${pad2(m)}-${pad2(d)}`; }
-function formatInt(n) { return (n == null || Number.isNaN(n)) ? '-' : Math.round(n).toLocaleString('en-US'); }
-function formatThaiDate(y, m, d) { return `${d} ${THAI_MONTHS[m - 1]} ${y}`; }
+// ---------- Access management ----------
+// Allowlist of LINE groups/users and their roles, enforced when ACCESS_CONTROL=true.
+// Recently rejected senders are listed so they can be added with one click.
 
-function escapeHtml(s) {
-  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
-}
+app.get('/access', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const [entries, logs] = await Promise.all([db.getAccessEntries(), loadDetectionLogs()]);
 
-const CATEGORY_ICONS = { orange: '🍊', yuzu: '🍋', pop: '🍹', mixed: '🍇', tomato: '🍅', pineapple: '🍍' };
-const CATEGORY_COLORS = { orange: '#ff9800', yuzu: '#f9a825', pop: '#03a9f4', mixed: '#9c27b0', tomato: '#f44336', pineapple: '#cddc39' };
+    const roleOptions = selected => db.ACCESS_ROLES.map(r =>
+      `<option value="${r}"${r === selected ? ' selected' : ''}>${r}</option>`
+    ).join('');
 
-// Pick progress-bar color based on achievement % (Volume vs Target).
-function progressBarColor(pct) {
-  if (pct >= 100) return '#1b7a2f';   // hit/exceeded target — dark green
-  if (pct >= 80)  return '#4CAF50';   // close — green
-  if (pct >= 50)  return '#ff9800';   // on the way — orange
-  return '#e53935';                   // far off — red
-}
+    const rows = entries.map(e => `
+      <tr>
+        <td>${e.idType === 'group' ? '👥 Group' : '👤 User'}</td>
+        <td style="text-align:left;">${escapeHtml(e.name || '-')}</td>
+        <td><code>${escapeHtml(e.lineId)}</code></td>
+        <td>
+          <form method="post" action="/access" style="display:inline;">
+            <input type="hidden" name="lineId" value="${escapeHtml(e.lineId)}">
+            <input type="hidden" name="idType" value="${e.idType}">
+            <input type="hidden" name="name" value="${escapeHtml(e.name || '')}">
+            <select name="role" onchange="this.form.submit()">${roleOptions(e.role)}</select>
+          </form>
+        </td>
+        <td>
+          <form method="post" action="/access/delete" onsubmit="return confirm('ลบสิทธิ์นี้?');">
+            <input type="hidden" name="lineId" value="${escapeHtml(e.lineId)}">
+            <button type="submit">🗑️</button>
+          </form>
+        </td>
+      </tr>`).join('');
+
+    // Distinct senders rejected recently that aren't allowlisted yet
+    const known = new Set(entries.map(e => e.lineId));
+    const rejected = new Map();
+    for (const log of logs) {
+      if (log.status !== 'unauthorized') continue;
+      const lineId = log.groupId || log.userId;
+      if (!lineId || known.has(lineId) || rejected.has(lineId)) continue;
+      rejected.set(lineId, { idType: log.groupId ? 'group' : 'user', timestamp: log.timestamp });
+    }
+    const rejectedRows = [...rejected.entries()].slice(0, 10).map(([lineId, r]) => `
+      <tr>
+        <td>${r.idType === 'group' ? '👥 Group' : '👤 User'}</td>
+        <td><code>${escapeHtml(lineId)}</code></td>
+        <td>${new Date(r.timestamp).toLocaleString('th-TH')}</td>
+        <td>
+          <form method="post" action="/access" style="display:inline;">
+            <input type="hidden" name="lineId" value="${escapeHtml(lineId)}">
+            <input type="hidden" name="idType" value="${r.idType}">
+            <select name="role">${roleOptions('submitter')}</select>
+            <button type="submit">➕ เพิ่ม</button>
+          </form>
+        </td>
+      </tr>`).join('');
 
-function buildProgressCell(volume, target, yoy) {
-  const yoyLine = yoy > 0
-    ? `<div class="progress-yoy">ปีก่อน: ${formatInt(yoy)}</div>`
-    : `<div class="progress-yoy" style="color:#aaa;">ปีก่อน: —</div>`;
+    res.send(`<!DOCTYPE html>
+<html>
+<head>
+  <title>Access</title>
+  <meta charset="utf-8">
+  <style>${reportSharedStyles()}</style>
+</head>
+<body>
+  <div class="container">
+    ${reportNav()}
+    <h1>🔐 สิทธิ์การใช้งาน</h1>
+    <div class="subtitle">
+      viewer: ดูยอดด้วยคำสั่ง · submitter: ส่งแผน แก้ไข และยืนยันข้อมูล · admin: ทุกอย่าง
+      ${ACCESS_CONTROL ? '' : '<br>⚠️ ACCESS_CONTROL ปิดอยู่ ทุก group / user ใช้งานได้'}
+    </div>
+    ${req.query.saved === '1' ? '<div class="notice">✅ บันทึกเรียบร้อย</div>' : ''}
+
+    <table>
+      <thead><tr><th>ประเภท</th><th>ชื่อ</th><th>LINE ID</th><th>Role</th><th></th></tr></thead>
+      <tbody>${rows || '<tr><td colspan="5" class="no-data">ยังไม่มี group / user ที่ได้รับสิทธิ์</td></tr>'}</tbody>
+    </table>
+
+    <h2>➕ เพิ่ม / แก้ไข</h2>
+    <form class="target-form" method="post" action="/access">
+      <select name="idType"><option value="group">Group</option><option value="user">User</option></select>
+      <input type="text" name="lineId" placeholder="C... / U..." required>
+      <input type="text" name="name" placeholder="ชื่อ (ไม่บังคับ)">
+      <select name="role">${roleOptions('submitter')}</select>
+      <button class="save-btn" type="submit">💾 บันทึก</button>
+    </form>
 
-  if (!target || target <= 0) {
-    return `
-      <td>
-        <div class="progress-wrap">
-          <div class="progress-head"><b>${formatInt(volume)}</b> <span style="color:#888;">/ ยังไม่ได้ตั้ง target</span></div>
-          <div class="progress-track"><div class="progress-fill" style="width:0%;"></div></div>
-          ${yoyLine}
-        </div>
-      </td>`;
+    ${rejectedRows ? `
+    <h2>🚫 ถูกปฏิเสธล่าสุด</h2>
+    <table>
+      <thead><tr><th>ประเภท</th><th>LINE ID</th><th>ล่าสุด</th><th></th></tr></thead>
+      <tbody>${rejectedRows}</tbody>
+    </table>` : ''}
+  </div>
+</body>
+</html>`);
+  } catch (err) {
+    console.error('[ACCESS] Error:', err);
+    res.status(500).send('Error loading access list: ' + escapeHtml(err.message));
   }
+});
 
-  const pct = (volume / target) * 100;
-  const fillWidth = Math.min(pct, 100);
-  const color = progressBarColor(pct);
-  return `
-    <td>
-      <div class="progress-wrap">
-        <div class="progress-head">
-          <b>${formatInt(volume)}</b> <span style="color:#888;">/ ${formatInt(target)}</span>
-          <span class="progress-pct" style="color:${color};">(${pct.toFixed(1)}%)</span>
-        </div>
-        <div class="progress-track"><div class="progress-fill" style="width:${fillWidth}%; background:${color};"></div></div>
-        ${yoyLine}
-      </div>
-    </td>`;
-}
-
-function buildReportRow(category, volume, target, yoy) {
-  const hasYoy = yoy > 0;
-  let growthCell;
-  if (!hasYoy) {
-    growthCell = `<td style="color:#1b7a2f;font-weight:600;font-size:16px;">+${formatInt(volume)}</td>`;
-  } else {
-    const pct = ((volume - yoy) / yoy) * 100;
-    const color = pct >= 0 ? '#1b7a2f' : '#c62828';
-    const sign = pct >= 0 ? '+' : '';
-    growthCell = `<td style="color:${color};font-weight:600;font-size:16px;">${sign}${pct.toFixed(1)}%</td>`;
+app.post('/access', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const lineId = (req.body.lineId || '').trim();
+    const { idType, role } = req.body;
+    if (!/^[CU][0-9a-f]{32}$/i.test(lineId) || !['group', 'user'].includes(idType) || !db.ACCESS_ROLES.includes(role)) {
+      return res.status(400).send('Invalid LINE ID, type or role');
+    }
+    await db.saveAccessEntry({ lineId, idType, role, name: (req.body.name || '').trim() });
+    console.log(`[ACCESS] ${idType} ${lineId} set to ${role}`);
+    res.redirect('/access?saved=1');
+  } catch (err) {
+    console.error('[ACCESS] Save error:', err);
+    res.status(500).send('Error saving access entry: ' + escapeHtml(err.message));
   }
-  const name = db.CATEGORY_NAMES[category] || category;
-  const icon = CATEGORY_ICONS[category] || '';
-  const color = CATEGORY_COLORS[category] || '#4CAF50';
-  return `
-    <tr>
-      <td style="text-align:left;font-weight:600;color:${color};white-space:nowrap;">${icon} ${escapeHtml(name)}</td>
-      ${buildProgressCell(volume, target, yoy)}
-      ${growthCell}
-    </tr>`;
-}
+});
 
-function buildReportTotalRow(volume, totalTarget, totalPy, accentColor) {
-  const hasYoy = totalPy > 0;
-  let growthCell;
-  if (!hasYoy) {
-    growthCell = `<td style="color:#1b7a2f;font-weight:700;font-size:16px;">+${formatInt(volume)}</td>`;
-  } else {
-    const pct = ((volume - totalPy) / totalPy) * 100;
-    const color = pct >= 0 ? '#1b7a2f' : '#c62828';
-    const sign = pct >= 0 ? '+' : '';
-    growthCell = `<td style="color:${color};font-weight:700;font-size:16px;">${sign}${pct.toFixed(1)}%</td>`;
+app.post('/access/delete', auth.requireRole('admin'), async (req, res) => {
+  try {
+    await db.deleteAccessEntry(req.body.lineId || '');
+    console.log(`[ACCESS] Removed ${req.body.lineId}`);
+    res.redirect('/access?saved=1');
+  } catch (err) {
+    console.error('[ACCESS] Delete error:', err);
+    res.status(500).send('Error removing access entry: ' + escapeHtml(err.message));
   }
-  const accent = accentColor || '#333';
-  return `
-    <tr style="background:#f5f5f5;border-top:2px solid #ccc;">
-      <td style="text-align:left;font-weight:700;color:${accent};white-space:nowrap;">รวม</td>
-      ${buildProgressCell(volume, totalTarget, totalPy)}
-      ${growthCell}
-    </tr>`;
-}
+});
 
-// Shared CSS/nav used by /mtd-report and /targets — mirrors the /daily-report look.
-function reportSharedStyles() {
-  return `
-    body { font-family: Arial, sans-serif; margin: 20px; background-color: #f5f5f5; }
-    .container { max-width: 100%; margin: 0 auto; background-color: white; padding: 20px; border-radius: 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
-    h1 { text-align: center; color: #333; margin-bottom: 10px; }
-    .subtitle { text-align: center; color: #555; margin-bottom: 24px; }
-    .nav { margin-bottom: 20px; text-align: center; }
-    .nav a { padding: 10px 20px; background-color: #4CAF50; color: white; text-decoration: none; margin: 0 5px; border-radius: 5px; display: inline-block; }
-    .nav a:hover { background-color: #45a049; }
-    .filter-section { margin-bottom: 30px; text-align: center; padding: 20px; background-color: #f0f0f0; border-radius: 8px; }
-    .filter-section label { font-weight: bold; font-size: 16px; margin-right: 10px; }
-    .filter-section select { padding: 8px 15px; font-size: 16px; border: 2px solid #4CAF50; border-radius: 5px; background-color: white; cursor: pointer; transition: border-color 0.3s; }
-    .filter-section select:hover { border-color: #45a049; }
-    .filter-section select:focus { outline: none; border-color: #2196F3; }
-    .summary { display: flex; justify-content: space-around; margin-bottom: 30px; flex-wrap: wrap; }
-    .summary-card { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; border-radius: 10px; min-width: 200px; text-align: center; margin: 10px; }
-    .summary-number { font-size: 32px; font-weight: bold; }
-    .summary-label { font-size: 14px; opacity: 0.9; }
-    .section { margin-bottom: 40px; padding: 20px; border-radius: 8px; background-color: #fafafa; border-left: 5px solid #4CAF50; }
-    .section-title { font-size: 22px; font-weight: bold; margin-bottom: 15px; color: #333; }
-    .chart-container { background: white; padding: 20px; border-radius: 8px; margin-bottom: 20px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
-    table { border-collapse: collapse; width: 100%; background-color: white; box-shadow: 0 1px 3px rgba(0,0,0,0.1); font-size: 14px; }
-    th, td { border: 1px solid #ccc; padding: 10px 8px; text-align: center; }
-    th { background-color: #4CAF50; color: white; font-weight: bold; white-space: nowrap; }
-    tr:nth-child(even) { background-color: #f9f9f9; }
-    tr:hover { background-color: #f1f1f1; }
-    .no-data { padding: 20px; text-align: center; color: #666; font-style: italic; }
-    .notice { background:#e8f5e9; border:1px solid #a5d6a7; color:#2e7d32; padding:10px 12px; border-radius:4px; margin: 0 auto 16px auto; max-width: 600px; text-align: center; }
-    form.target-form table { max-width: 700px; margin: 0 auto; }
-    form.target-form input[type=number] { width: 160px; padding: 8px; font-size: 14px; border: 2px solid #ccc; border-radius: 4px; }
-    form.target-form input[type=number]:focus { outline: none; border-color: #4CAF50; }
-    .save-btn { display: block; margin: 20px auto 0; padding: 12px 28px; font-size: 16px; background:#4CAF50; color:#fff; border:0; border-radius:5px; cursor:pointer; }
-    .save-btn:hover { background:#45a049; }
-    .progress-wrap { min-width: 240px; text-align: left; padding: 4px 0; }
-    .progress-head { font-size: 14px; margin-bottom: 6px; }
-    .progress-head b { font-size: 16px; }
-    .progress-pct { margin-left: 6px; font-weight: 600; }
-    .progress-track { width: 100%; height: 10px; background: #e0e0e0; border-radius: 5px; overflow: hidden; }
-    .progress-fill { height: 100%; transition: width 0.4s ease; border-radius: 5px; }
-    .progress-yoy { margin-top: 6px; font-size: 12px; color: #777; }
-    .no-yoy { display: inline-block; color: #888; font-size: 13px; font-style: italic; }
-  `;
-}
+// ---------- Web users ----------
+// Dashboard accounts (web_users). A LINE user ID lets the user log in by sending "login"
+// to the bot; it's the U... ID the bot replies with when no account is linked yet.
+
+const LINE_USER_ID_PATTERN = /^U[0-9a-f]{32}$/i;
+
+// The /users page. newApiKey is a key just created, shown this once.
+async function renderUsersPage(req, { newApiKey = null } = {}) {
+  const [users, apiKeys] = await Promise.all([db.getWebUsers(), db.getApiKeys()]);
+  const roleOptions = selected => db.WEB_ROLES.map(r =>
+    `<option value="${r}"${r === selected ? ' selected' : ''}>${r}</option>`
+  ).join('');
+
+  const rows = users.map(u => `
+      <tr${u.active ? '' : ' style="color:#999;"'}>
+        <td style="text-align:left;">${escapeHtml(u.username)}${u.id === req.user.id ? ' (คุณ)' : ''}</td>
+        <td>
+          <form method="post" action="/users/${u.id}" style="display:inline;">
+            <select name="role">${roleOptions(u.role)}</select>
+            <input type="text" name="lineUserId" value="${escapeHtml(u.lineUserId || '')}" placeholder="U..." style="width:260px;">
+            <label><input type="checkbox" name="active" value="1"${u.active ? ' checked' : ''}> ใช้งาน</label>
+            <button type="submit">💾</button>
+          </form>
+        </td>
+        <td>${u.lastLoginAt ? new Date(u.lastLoginAt).toLocaleString('th-TH') : '-'}</td>
+        <td>
+          <form method="post" action="/users/${u.id}/password" style="display:inline;">
+            <input type="password" name="password" placeholder="รหัสผ่านใหม่" minlength="${auth.MIN_PASSWORD_LENGTH}" autocomplete="new-password" required>
+            <button type="submit">🔑</button>
+          </form>
+        </td>
+      </tr>`).join('');
+
+  const keyRows = apiKeys.map(k => `
+      <tr${k.revokedAt ? ' style="color:#999;"' : ''}>
+        <td style="text-align:left;">${escapeHtml(k.name)}</td>
+        <td>${k.role}</td>
+        <td>${escapeHtml(k.createdBy || '-')} · ${new Date(k.createdAt).toLocaleString('th-TH')}</td>
+        <td>${k.lastUsedAt ? new Date(k.lastUsedAt).toLocaleString('th-TH') : '-'}</td>
+        <td>${k.revokedAt ? `ยกเลิกแล้ว ${new Date(k.revokedAt).toLocaleString('th-TH')}` : `
+          <form method="post" action="/users/api-keys/${k.id}/revoke" onsubmit="return confirm('ยกเลิก API key นี้?');">
+            <button type="submit">🗑️</button>
+          </form>`}
+        </td>
+      </tr>`).join('');
+
+  const errorText = {
+    username: 'ชื่อผู้ใช้ซ้ำหรือไม่ถูกต้อง',
+    lineid: 'LINE user ID ไม่ถูกต้องหรือผูกกับผู้ใช้อื่นแล้ว',
+    password: `รหัสผ่านต้องยาวอย่างน้อย ${auth.MIN_PASSWORD_LENGTH} ตัวอักษร`,
+    self: 'ลดสิทธิ์หรือปิดบัญชีของตัวเองไม่ได้',
+    apikey: 'กรุณาตั้งชื่อ API key และเลือก role'
+  }[req.query.error];
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>Users</title>
+  <meta charset="utf-8">
+  <style>${reportSharedStyles()}</style>
+</head>
+<body>
+  <div class="container">
+    ${reportNav()}
+    <h1>👤 ผู้ใช้เว็บ</h1>
+    <div class="subtitle">viewer: ดูรายงาน · editor: แก้เป้า แก้ยอด และยืนยันรายการรอตรวจสอบ · admin: ทุกอย่าง รวมถึงแจ้งเตือน การตั้งค่า และผู้ใช้</div>
+    ${req.query.saved === '1' ? '<div class="notice">✅ บันทึกเรียบร้อย</div>' : ''}
+    ${errorText ? `<div class="notice" style="background:#ffebee; color:#c62828;">❌ ${errorText}</div>` : ''}
+    ${newApiKey ? `<div class="notice">🔑 API key ใหม่ (แสดงครั้งเดียว คัดลอกเก็บไว้): <code>${escapeHtml(newApiKey)}</code></div>` : ''}
+
+    <table>
+      <thead><tr><th>ชื่อผู้ใช้</th><th>Role / LINE user ID</th><th>เข้าระบบล่าสุด</th><th>ตั้งรหัสผ่านใหม่</th></tr></thead>
+      <tbody>${rows || '<tr><td colspan="4" class="no-data">ยังไม่มีผู้ใช้</td></tr>'}</tbody>
+    </table>
+
+    <h2>➕ เพิ่มผู้ใช้</h2>
+    <form class="target-form" method="post" action="/users">
+      <input type="text" name="username" placeholder="ชื่อผู้ใช้" required>
+      <input type="password" name="password" placeholder="รหัสผ่าน" minlength="${auth.MIN_PASSWORD_LENGTH}" autocomplete="new-password" required>
+      <select name="role">${roleOptions('viewer')}</select>
+      <input type="text" name="lineUserId" placeholder="LINE user ID (ไม่บังคับ)">
+      <button class="save-btn" type="submit">💾 บันทึก</button>
+    </form>
 
-function reportNav() {
-  return `
-    <div class="nav" style="display:flex; flex-wrap:wrap; justify-content:center; gap:10px; margin:0 0 24px 0;">
-      <a href="/latest-ocr">Original Table</a>
-      <a href="/transformed-data">Transformed Data</a>
-      <a href="/daily-report">Daily Report</a>
-      <a href="/mtd-report">MTD/YTD Report</a>
-      <a href="/targets">Manage Targets</a>
-      <a href="/detection-logs">Detection Logs</a>
-      <a href="/send-notification">Send Notification</a>
-      <a href="/test">Test OCR</a>
-    </div>`;
+    <h2>🔌 API keys (/api/v1)</h2>
+    <div class="subtitle">viewer: อ่านข้อมูล · editor: แก้ target ได้ด้วย</div>
+    <table>
+      <thead><tr><th>ชื่อ</th><th>Role</th><th>สร้างโดย</th><th>ใช้ล่าสุด</th><th></th></tr></thead>
+      <tbody>${keyRows || '<tr><td colspan="5" class="no-data">ยังไม่มี API key</td></tr>'}</tbody>
+    </table>
+    <form class="target-form" method="post" action="/users/api-keys">
+      <input type="text" name="name" placeholder="ชื่อ เช่น Power BI" required>
+      <select name="role">${roleOptions('viewer')}</select>
+      <button class="save-btn" type="submit">➕ สร้าง API key</button>
+    </form>
+  </div>
+</body>
+</html>`;
 }
 
-app.get('/mtd-report', async (req, res) => {
+app.get('/users', auth.requireRole('admin'), async (req, res) => {
   try {
-    const now = new Date();
-    const y = parseInt(req.query.year, 10) || now.getFullYear();
-    const m = parseInt(req.query.month, 10) || (now.getMonth() + 1);
-    if (m < 1 || m > 12) return res.status(400).send('Invalid month');
-
-    const lastDayOfMonth = new Date(y, m, 0).getDate();
-    const isCurrentMonth = (y === now.getFullYear() && m === now.getMonth() + 1);
-    const isFuture = (y > now.getFullYear()) || (y === now.getFullYear() && m > now.getMonth() + 1);
-
-    // Resolve "as of" day: current month uses the latest date that has data
-    // (or today if no data yet), past/future months use the last day of month.
-    let d;
-    if (isCurrentMonth) {
-      const latest = await db.getLatestDayWithData(y, m);
-      d = latest || Math.min(now.getDate(), lastDayOfMonth);
-    } else if (isFuture) {
-      d = lastDayOfMonth;
-    } else {
-      d = lastDayOfMonth;
-    }
-    const prevY = y - 1;
-
-    const mtdStart = ymd(y, m, 1);
-    const mtdEnd = ymd(y, m, d);
-    const ytdStart = ymd(y, 1, 1);
-    const ytdEnd = ymd(y, m, d);
-    const mtdPyStart = ymd(prevY, m, 1);
-    const mtdPyEnd = ymd(prevY, m, d);
-    const ytdPyStart = ymd(prevY, 1, 1);
-    const ytdPyEnd = ymd(prevY, m, d);
+    res.send(await renderUsersPage(req));
+  } catch (err) {
+    console.error('[USERS] Error:', err);
+    res.status(500).send('Error loading users: ' + escapeHtml(err.message));
+  }
+});
 
-    const [
-      mtdAgg, ytdAgg, mtdPyAgg, ytdPyAgg,
-      currentTargets, ytdTargets
-    ] = await Promise.all([
-      db.getAggregateByCategory(mtdStart, mtdEnd),
-      db.getAggregateByCategory(ytdStart, ytdEnd),
-      db.getAggregateByCategory(mtdPyStart, mtdPyEnd),
-      db.getAggregateByCategory(ytdPyStart, ytdPyEnd),
-      db.getTargets(y, m),
-      db.getTargetsYTD(y, m)
-    ]);
+// The new key is shown on the page this once; only its hash is kept.
+app.post('/users/api-keys', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim().slice(0, 100);
+    const { role } = req.body;
+    if (!name || !db.WEB_ROLES.includes(role)) return res.redirect('/users?error=apikey');
 
-    // Show only categories that have sales in each respective period.
-    // Canonical order first, then any new category names.
-    const orderCategories = (keys) => {
-      const setObj = new Set(keys);
-      const arr = [];
-      for (const c of db.CATEGORIES) if (setObj.has(c)) arr.push(c);
-      for (const c of setObj) if (!db.CATEGORIES.includes(c)) arr.push(c);
-      return arr;
-    };
-    const mtdOrdered = orderCategories(Object.keys(mtdAgg).filter(c => (mtdAgg[c] || 0) > 0));
-    const ytdOrdered = orderCategories(Object.keys(ytdAgg).filter(c => (ytdAgg[c] || 0) > 0));
+    const key = await auth.createApiKey(name, role, req.user.username);
+    console.log(`[USERS] ${req.user.username} created API key "${name}" (${role})`);
+    res.send(await renderUsersPage(req, { newApiKey: key }));
+  } catch (err) {
+    console.error('[USERS] API key error:', err);
+    res.status(500).send('Error creating API key: ' + escapeHtml(err.message));
+  }
+});
 
-    const mtdRows = mtdOrdered.map(c => buildReportRow(c, mtdAgg[c] || 0, currentTargets[c] || 0, mtdPyAgg[c] || 0)).join('');
-    const ytdRows = ytdOrdered.map(c => buildReportRow(c, ytdAgg[c] || 0, ytdTargets[c] || 0, ytdPyAgg[c] || 0)).join('');
-    const sumTargetsFor = (obj, cats) => cats.reduce((s, c) => s + (Number(obj[c]) || 0), 0);
-    const mtdTotalTarget = sumTargetsFor(currentTargets, mtdOrdered);
-    const ytdTotalTarget = sumTargetsFor(ytdTargets, ytdOrdered);
+app.post('/users/api-keys/:id/revoke', auth.requireRole('admin'), async (req, res) => {
+  try {
+    await db.revokeApiKey(parseInt(req.params.id, 10));
+    console.log(`[USERS] ${req.user.username} revoked API key #${req.params.id}`);
+    res.redirect('/users?saved=1');
+  } catch (err) {
+    console.error('[USERS] API key revoke error:', err);
+    res.status(500).send('Error revoking API key: ' + escapeHtml(err.message));
+  }
+});
 
-    const asOfLabel = formatThaiDate(y, m, d);
-    const pyLabel = formatThaiDate(prevY, m, d);
+// Empty → null; otherwise it must be a LINE user ID not linked to another account.
+async function webUserLineId(value, userId = null) {
+  const lineUserId = (value || '').trim();
+  if (!lineUserId) return { lineUserId: null };
+  if (!LINE_USER_ID_PATTERN.test(lineUserId)) return { invalid: true };
+  const linked = await db.getWebUserByLineId(lineUserId);
+  return linked && linked.id !== userId ? { invalid: true } : { lineUserId };
+}
 
-    const yearOptions = [];
-    for (let yy = now.getFullYear() - 2; yy <= now.getFullYear() + 1; yy++) {
-      yearOptions.push(`<option value="${yy}"${yy === y ? ' selected' : ''}>${yy}</option>`);
+app.post('/users', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const username = (req.body.username || '').trim();
+    const { role, password = '' } = req.body;
+    if (!/^[\w.@-]{1,100}$/.test(username) || !db.WEB_ROLES.includes(role) || await db.getWebUserByUsername(username)) {
+      return res.redirect('/users?error=username');
     }
-    const monthOptions = THAI_MONTHS.map((name, i) =>
-      `<option value="${i + 1}"${i + 1 === m ? ' selected' : ''}>${name}</option>`
-    ).join('');
+    if (password.length < auth.MIN_PASSWORD_LENGTH) return res.redirect('/users?error=password');
+    const { lineUserId, invalid } = await webUserLineId(req.body.lineUserId);
+    if (invalid) return res.redirect('/users?error=lineid');
 
-    const asOfNote = isCurrentMonth
-      ? `<span style="color:#555;font-size:13px;">(เดือนปัจจุบัน — ข้อมูลถึงวันล่าสุดที่บันทึก)</span>`
-      : '';
+    await db.createWebUser({ username, passwordHash: await auth.hashPassword(password), role, lineUserId });
+    console.log(`[USERS] ${req.user.username} created ${username} (${role})`);
+    res.redirect('/users?saved=1');
+  } catch (err) {
+    console.error('[USERS] Create error:', err);
+    res.status(500).send('Error creating user: ' + escapeHtml(err.message));
+  }
+});
 
-    const sumVals = obj => Object.values(obj).reduce((s, v) => s + (v || 0), 0);
-    const mtdTotalVol = sumVals(mtdAgg);
-    const ytdTotalVol = sumVals(ytdAgg);
-    const mtdTotalPy = sumVals(mtdPyAgg);
-    const ytdTotalPy = sumVals(ytdPyAgg);
+app.post('/users/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const user = await db.getWebUser(parseInt(req.params.id, 10));
+    if (!user) return res.status(404).send('User not found');
+    const { role } = req.body;
+    const active = req.body.active === '1';
+    if (!db.WEB_ROLES.includes(role)) return res.status(400).send('Invalid role');
+    // Keep at least the admin who is making the change able to get back in
+    if (user.id === req.user.id && (role !== 'admin' || !active)) return res.redirect('/users?error=self');
+    const { lineUserId, invalid } = await webUserLineId(req.body.lineUserId, user.id);
+    if (invalid) return res.redirect('/users?error=lineid');
+
+    await db.updateWebUser(user.id, { role, active, lineUserId });
+    if (!active) await db.deleteWebSessionsForUser(user.id);
+    console.log(`[USERS] ${req.user.username} set ${user.username} to ${role}${active ? '' : ' (inactive)'}, LINE ${lineUserId || '-'}`);
+    res.redirect('/users?saved=1');
+  } catch (err) {
+    console.error('[USERS] Save error:', err);
+    res.status(500).send('Error saving user: ' + escapeHtml(err.message));
+  }
+});
+
+// Set a new password; the user's other sessions are signed out.
+app.post('/users/:id/password', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const user = await db.getWebUser(parseInt(req.params.id, 10));
+    if (!user) return res.status(404).send('User not found');
+    const password = req.body.password || '';
+    if (password.length < auth.MIN_PASSWORD_LENGTH) return res.redirect('/users?error=password');
+
+    await db.updateWebUser(user.id, { passwordHash: await auth.hashPassword(password) });
+    if (user.id !== req.user.id) await db.deleteWebSessionsForUser(user.id);
+    console.log(`[USERS] ${req.user.username} reset the password of ${user.username}`);
+    res.redirect('/users?saved=1');
+  } catch (err) {
+    console.error('[USERS] Password error:', err);
+    res.status(500).send('Error setting password: ' + escapeHtml(err.message));
+  }
+});
 
-    const hasAny = mtdOrdered.length > 0 || ytdOrdered.length > 0;
-    const emptyRow = '<tr><td colspan="3" class="no-data">ไม่มีสินค้าที่มียอดขายในช่วงนี้</td></tr>';
+// ---------- LINE groups ----------
+// Groups registered from join events. Switching notify on makes a group a notification
+// target alongside NOTIFICATION_GROUP_IDS in .env.
+
+app.get('/groups', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const groups = await db.getLineGroups();
+    const rows = groups.map(g => `
+      <tr${g.leftAt ? ' style="color:#999;"' : ''}>
+        <td style="text-align:left;">${escapeHtml(g.name || '-')}</td>
+        <td><code>${escapeHtml(g.groupId)}</code></td>
+        <td>${new Date(g.joinedAt).toLocaleString('th-TH')}</td>
+        <td>${g.leftAt ? `ออกแล้ว ${new Date(g.leftAt).toLocaleString('th-TH')}` : '✅ อยู่ในกลุ่ม'}</td>
+        <td>
+          ${NOTIFICATION_GROUP_IDS.includes(g.groupId) ? '🔔 (.env)' : `
+          <form method="post" action="/groups/notify">
+            <input type="hidden" name="groupId" value="${escapeHtml(g.groupId)}">
+            <input type="hidden" name="notify" value="${g.notify ? '0' : '1'}">
+            <button type="submit"${g.leftAt ? ' disabled' : ''}>${g.notify ? '🔔 เปิดอยู่' : '🔕 ปิดอยู่'}</button>
+          </form>`}
+        </td>
+      </tr>`).join('');
 
     res.send(`<!DOCTYPE html>
 <html>
 <head>
-  <title>MTD / YTD Report</title>
+  <title>LINE Groups</title>
   <meta charset="utf-8">
   <style>${reportSharedStyles()}</style>
 </head>
 <body>
   <div class="container">
     ${reportNav()}
-    <h1>📈 MTD / YTD Report</h1>
-    <div class="subtitle">ข้อมูล ณ วันที่ <b>${asOfLabel}</b> เทียบปีก่อน <b>${pyLabel}</b><br>${asOfNote}</div>
+    <h1>👥 LINE Groups</h1>
+    <div class="subtitle">กลุ่มที่เชิญบอทเข้าไป กดปุ่มแจ้งเตือนเพื่อเลือกกลุ่มที่จะได้รับสรุปยอดหลังบันทึก</div>
+    ${req.query.saved === '1' ? '<div class="notice">✅ บันทึกเรียบร้อย</div>' : ''}
+    <table>
+      <thead><tr><th>ชื่อกลุ่ม</th><th>Group ID</th><th>เข้ากลุ่มเมื่อ</th><th>สถานะ</th><th>แจ้งเตือน</th></tr></thead>
+      <tbody>${rows || '<tr><td colspan="5" class="no-data">ยังไม่มีกลุ่ม — เชิญบอทเข้ากลุ่ม LINE แล้วกลุ่มจะปรากฏที่นี่</td></tr>'}</tbody>
+    </table>
+  </div>
+</body>
+</html>`);
+  } catch (err) {
+    console.error('[GROUPS] Error:', err);
+    res.status(500).send('Error loading groups: ' + escapeHtml(err.message));
+  }
+});
 
-    <div class="filter-section">
-      <label for="month-filter">Month:</label>
-      <select id="month-filter" onchange="applyFilter()">${monthOptions}</select>
-      <label for="year-filter" style="margin-left: 20px;">Year:</label>
-      <select id="year-filter" onchange="applyFilter()">${yearOptions}</select>
-    </div>
+app.post('/groups/notify', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const notify = req.body.notify === '1';
+    if (!await db.setLineGroupNotify(req.body.groupId || '', notify)) {
+      return res.status(404).send('Group not found');
+    }
+    console.log(`[GROUPS] Notifications ${notify ? 'enabled' : 'disabled'} for ${req.body.groupId}`);
+    res.redirect('/groups?saved=1');
+  } catch (err) {
+    console.error('[GROUPS] Save error:', err);
+    res.status(500).send('Error saving group: ' + escapeHtml(err.message));
+  }
+});
 
-    ${!hasAny ? '<div class="no-data" style="padding: 40px;">ไม่มีข้อมูลในช่วงที่เลือก</div>' : ''}
+// ---------- Products and CDCs (catalog.js) ----------
 
-    ${hasAny ? `
-    <div class="section">
-      <div class="section-title">🗓️ Month-to-Date (${THAI_MONTHS[m - 1]} ${y})</div>
-      <div style="overflow-x:auto;">
-      <table>
-        <thead>
-          <tr>
-            <th>Category</th>
-            <th>Volume / Target (${THAI_MONTHS[m - 1]})</th>
-            <th>vs ปีก่อน (${prevY})</th>
-          </tr>
-        </thead>
-        <tbody>${mtdRows || emptyRow}${mtdOrdered.length > 0 ? buildReportTotalRow(mtdTotalVol, mtdTotalTarget, mtdTotalPy, '#333') : ''}</tbody>
-      </table>
-      </div>
+// Shared fields of the product / CDC forms. Returns { entry } or { error }.
+function parseCatalogForm(body) {
+  const code = (body.code || '').trim().toLowerCase();
+  if (!/^[a-z0-9_]{1,50}$/.test(code)) return { error: 'Code must be 1-50 characters of a-z, 0-9 or _' };
+  const keywords = (body.keywords || '').split(',').map(k => k.trim()).filter(Boolean);
+  if (keywords.length === 0) return { error: 'At least one keyword is required' };
+  return {
+    entry: {
+      code,
+      nameEn: (body.nameEn || '').trim() || null,
+      keywords,
+      displayOrder: parseInt(body.displayOrder, 10) || 0,
+      active: body.active === '1'
+    }
+  };
+}
+
+const isHexColor = value => /^#[0-9a-f]{6}$/i.test(value || '');
+
+app.get('/catalog', auth.requireRole('admin'), (req, res) => {
+  const checkbox = (form, checked) => `<input type="checkbox" name="active" value="1" form="${form}"${checked ? ' checked' : ''}>`;
+
+  const productRow = (p, isNew = false) => {
+    const form = isNew ? 'product-new' : `product-${p.code}`;
+    return `
+      <tr>
+        <td>${isNew ? `<input type="text" name="code" form="${form}" placeholder="lychee" required style="width:90px;">` : `<code>${escapeHtml(p.code)}</code>`}</td>
+        <td><input type="text" name="nameTh" form="${form}" value="${escapeHtml(p.nameTh || '')}" required></td>
+        <td><input type="text" name="nameEn" form="${form}" value="${escapeHtml(p.nameEn || '')}"></td>
+        <td><input type="text" name="keywords" form="${form}" value="${escapeHtml((p.keywords || []).join(', '))}" style="width:220px;" required></td>
+        <td><input type="text" name="icon" form="${form}" value="${escapeHtml(p.icon || '')}" style="width:40px;"></td>
+        <td><input type="color" name="color" form="${form}" value="${escapeHtml(p.color || '#4CAF50')}"></td>
+        <td><input type="color" name="bgColor" form="${form}" value="${escapeHtml(p.bgColor || '#f5f5f5')}"></td>
+        <td><input type="number" name="displayOrder" form="${form}" value="${p.displayOrder ?? ''}" style="width:60px;"></td>
+        <td>${checkbox(form, isNew || p.active)}</td>
+        <td>
+          <form id="${form}" method="post" action="/catalog/products">
+            ${isNew ? '' : `<input type="hidden" name="code" value="${escapeHtml(p.code)}">`}
+            <button type="submit">${isNew ? '➕ เพิ่ม' : '💾'}</button>
+          </form>
+        </td>
+      </tr>`;
+  };
+
+  const cdcRow = (c, isNew = false) => {
+    const form = isNew ? 'cdc-new' : `cdc-${c.code}`;
+    return `
+      <tr>
+        <td>${isNew ? `<input type="text" name="code" form="${form}" placeholder="udonthani" required style="width:90px;">` : `<code>${escapeHtml(c.code)}</code>`}</td>
+        <td><input type="text" name="name" form="${form}" value="${escapeHtml(c.name || '')}" required></td>
+        <td><input type="text" name="nameEn" form="${form}" value="${escapeHtml(c.nameEn || '')}"></td>
+        <td><input type="text" name="keywords" form="${form}" value="${escapeHtml((c.keywords || []).join(', '))}" style="width:220px;" required></td>
+        <td><input type="text" name="color" form="${form}" value="${escapeHtml(c.color || '')}" placeholder="#2196F3" style="width:80px;"></td>
+        <td><input type="number" name="displayOrder" form="${form}" value="${c.displayOrder ?? ''}" style="width:60px;"></td>
+        <td>${checkbox(form, isNew || c.active)}</td>
+        <td>
+          <form id="${form}" method="post" action="/catalog/cdcs">
+            ${isNew ? '' : `<input type="hidden" name="code" value="${escapeHtml(c.code)}">`}
+            <button type="submit">${isNew ? '➕ เพิ่ม' : '💾'}</button>
+          </form>
+        </td>
+      </tr>`;
+  };
+
+  res.send(`<!DOCTYPE html>
+<html>
+<head>
+  <title>Products &amp; CDCs</title>
+  <meta charset="utf-8">
+  <style>${reportSharedStyles()}
+    td input[type=text] { padding: 4px 6px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    ${reportNav()}
+    <h1>🧃 สินค้าและ CDC</h1>
+    <div class="subtitle">Keywords (คั่นด้วย ,) ใช้จับหัวคอลัมน์สินค้า และชื่อคลังในคอลัมน์ Vendor ของแผน · ปิด Active เพื่อหยุดอ่านจากแผน (ข้อมูลเดิมยังแสดงในรายงาน)</div>
+    ${req.query.saved === '1' ? '<div class="notice">✅ บันทึกเรียบร้อย</div>' : ''}
+
+    <h2>สินค้า</h2>
+    <div style="overflow-x:auto;">
+    <table>
+      <thead><tr><th>Code</th><th>ชื่อ (ไทย)</th><th>English</th><th>Keywords</th><th>Icon</th><th>สี</th><th>สีพื้น</th><th>ลำดับ</th><th>Active</th><th></th></tr></thead>
+      <tbody>${catalog.getProducts().map(p => productRow(p)).join('')}${productRow({}, true)}</tbody>
+    </table>
     </div>
 
-    <div class="section" style="border-left-color: #11998e;">
-      <div class="section-title" style="color:#11998e;">📅 Year-to-Date (${y})</div>
-      <div style="overflow-x:auto;">
-      <table>
-        <thead>
-          <tr>
-            <th>Category</th>
-            <th>Volume / Target YTD (ม.ค.–${THAI_MONTHS[m - 1]})</th>
-            <th>vs ปีก่อน (${prevY})</th>
-          </tr>
-        </thead>
-        <tbody>${ytdRows || emptyRow}${ytdOrdered.length > 0 ? buildReportTotalRow(ytdTotalVol, ytdTotalTarget, ytdTotalPy, '#11998e') : ''}</tbody>
-      </table>
-      </div>
+    <h2>CDC</h2>
+    <div style="overflow-x:auto;">
+    <table>
+      <thead><tr><th>Code</th><th>ชื่อในรายงาน</th><th>English</th><th>Keywords</th><th>สีไฮไลต์</th><th>ลำดับ</th><th>Active</th><th></th></tr></thead>
+      <tbody>${catalog.getCDCs().map(c => cdcRow(c)).join('')}${cdcRow({}, true)}</tbody>
+    </table>
     </div>
-    ` : ''}
   </div>
-
-  <script>
-    function applyFilter() {
-      const month = document.getElementById('month-filter').value;
-      const year = document.getElementById('year-filter').value;
-      window.location.href = '/mtd-report?month=' + month + '&year=' + year;
-    }
-  </script>
 </body>
 </html>`);
+});
+
+app.post('/catalog/products', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { entry, error } = parseCatalogForm(req.body);
+    const nameTh = (req.body.nameTh || '').trim();
+    if (error || !nameTh || !isHexColor(req.body.color) || !isHexColor(req.body.bgColor)) {
+      return res.status(400).send(escapeHtml(error || 'Name and colours (#rrggbb) are required'));
+    }
+    await db.saveProduct({ ...entry, nameTh, icon: (req.body.icon || '').trim(), color: req.body.color, bgColor: req.body.bgColor });
+    await db.loadCatalog();
+    console.log(`[CATALOG] Saved product ${entry.code}`);
+    res.redirect('/catalog?saved=1');
   } catch (err) {
-    console.error('[MTD] Error:', err);
-    res.status(500).send('Error loading MTD report: ' + escapeHtml(err.message));
+    console.error('[CATALOG] Product save error:', err);
+    res.status(500).send('Error saving product: ' + escapeHtml(err.message));
   }
 });
 
-// ---------- Target management ----------
-
-app.get('/targets', async (req, res) => {
+app.post('/catalog/cdcs', auth.requireRole('admin'), async (req, res) => {
   try {
-    const now = new Date();
-    const y = parseInt(req.query.year, 10) || now.getFullYear();
-    const m = parseInt(req.query.month, 10) || (now.getMonth() + 1);
+    const { entry, error } = parseCatalogForm(req.body);
+    const name = (req.body.name || '').trim();
+    const color = (req.body.color || '').trim();
+    if (error || !name || (color && !isHexColor(color))) {
+      return res.status(400).send(escapeHtml(error || 'Name is required and the colour must be #rrggbb'));
+    }
+    // CDC values and export destinations share daily_cdc_values.cdc_code
+    if (catalog.EXPORT_DESTINATIONS.some(d => d.code === entry.code)) {
+      return res.status(400).send(escapeHtml(`Code ${entry.code} is reserved for an export destination`));
+    }
+    await db.saveCDC({ ...entry, name, color: color || null });
+    await db.loadCatalog();
+    console.log(`[CATALOG] Saved CDC ${entry.code}`);
+    res.redirect('/catalog?saved=1');
+  } catch (err) {
+    console.error('[CATALOG] CDC save error:', err);
+    res.status(500).send('Error saving CDC: ' + escapeHtml(err.message));
+  }
+});
 
-    const [currentTargets, knownCats] = await Promise.all([
-      db.getTargets(y, m),
-      db.getKnownCategories()
-    ]);
+// ---------- OCR archive pages ----------
+// /archive/<messageId>[,<messageId>...] shows archived images with the table the OCR saw
+// and re-runs extraction on them (linked from the detection logs).
 
-    const appearing = new Set([...Object.keys(currentTargets), ...knownCats, ...db.CATEGORIES]);
-    const ordered = [];
-    for (const c of db.CATEGORIES) if (appearing.has(c)) ordered.push(c);
-    for (const c of appearing) if (!db.CATEGORIES.includes(c)) ordered.push(c);
+function parseMessageIds(param) {
+  return String(param || '').split(',').map(id => id.trim()).filter(id => /^\w+$/.test(id));
+}
 
-    const rows = ordered.map(c => {
-      const current = currentTargets[c] || 0;
-      const name = db.CATEGORY_NAMES[c] || c;
-      const icon = CATEGORY_ICONS[c] || '';
-      const color = CATEGORY_COLORS[c] || '#4CAF50';
-      return `
-        <tr>
-          <td style="text-align:left;font-weight:600;color:${color};">${icon} ${escapeHtml(name)}</td>
-          <td><input type="number" min="0" step="1" name="target_${escapeHtml(c)}" value="${current}"></td>
-        </tr>`;
-    }).join('');
+app.get('/archive/:messageId/file', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const archive = await db.getOCRArchive(req.params.messageId);
+    if (!archive) return res.status(404).send('Archive not found');
+    res.sendFile(path.join(ARCHIVE_DIR, archive.fileName));
+  } catch (err) {
+    console.error('[ARCHIVE] File error:', err);
+    res.status(500).send('Error loading archived file: ' + escapeHtml(err.message));
+  }
+});
 
-    const yearOptions = [];
-    for (let yy = now.getFullYear() - 2; yy <= now.getFullYear() + 1; yy++) {
-      yearOptions.push(`<option value="${yy}"${yy === y ? ' selected' : ''}>${yy}</option>`);
+app.get('/archive/:messageIds', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const messageIds = parseMessageIds(req.params.messageIds);
+    const archives = await Promise.all(messageIds.map(id => db.getOCRArchive(id)));
+
+    const sections = [];
+    for (let i = 0; i < messageIds.length; i++) {
+      const archive = archives[i];
+      if (!archive) {
+        sections.push(`<h2>${escapeHtml(messageIds[i])}</h2><p class="no-data">ไม่มีข้อมูลที่เก็บไว้</p>`);
+        continue;
+      }
+      const fileUrl = `/archive/${encodeURIComponent(archive.messageId)}/file`;
+      const buffer = PLAN_FILE_TYPES[archive.fileType] === 'excel'
+        ? await fs.readFile(path.join(ARCHIVE_DIR, archive.fileName)).catch(() => null)
+        : null;
+      const layout = archivedLayout(archive, buffer);
+      sections.push(`
+        <h2>${escapeHtml(archive.messageId)}</h2>
+        <div class="subtitle">
+          ${new Date(archive.createdAt).toLocaleString('th-TH')} · ${escapeHtml(archive.fileType)}
+          · OCR: ${escapeHtml(archive.ocrProvider || (layout ? 'Excel' : 'ไม่ได้ทำ'))}
+          · <a href="${fileUrl}" target="_blank">เปิดไฟล์</a>
+        </div>
+        ${archive.fileType === 'jpg' ? `<img src="${fileUrl}" style="max-width:100%; border:1px solid #ddd;">` : ''}
+        ${layout ? generateHTMLTable(preprocessTableData(layout.tableData)) : '<p class="no-data">ไม่มีผล OCR (รูปถูกปฏิเสธก่อนทำ OCR)</p>'}`);
     }
-    const monthOptions = THAI_MONTHS.map((name, i) =>
-      `<option value="${i + 1}"${i + 1 === m ? ' selected' : ''}>${name}</option>`
-    ).join('');
 
-    const saved = req.query.saved === '1';
+    const reprocessable = archives.every(Boolean) && archives.every(a => a.rawResult || PLAN_FILE_TYPES[a.fileType] === 'excel');
+    const result = req.query.result ? String(req.query.result) : null;
 
     res.send(`<!DOCTYPE html>
 <html>
 <head>
-  <title>Manage Targets</title>
+  <title>OCR Archive</title>
   <meta charset="utf-8">
   <style>${reportSharedStyles()}</style>
 </head>
 <body>
   <div class="container">
     ${reportNav()}
-    <h1>🎯 Manage Monthly Targets</h1>
-    <div class="subtitle">ตั้งยอด target รายเดือนของแต่ละ category เพื่อใช้ใน MTD/YTD Report</div>
-
-    ${saved ? '<div class="notice">✅ บันทึก target เรียบร้อย</div>' : ''}
-
-    <div class="filter-section">
-      <label for="month-filter">Month:</label>
-      <select id="month-filter" onchange="applyFilter()">${monthOptions}</select>
-      <label for="year-filter" style="margin-left: 20px;">Year:</label>
-      <select id="year-filter" onchange="applyFilter()">${yearOptions}</select>
-    </div>
-
-    <form class="target-form" method="post" action="/targets">
-      <input type="hidden" name="year" value="${y}">
-      <input type="hidden" name="month" value="${m}">
-      <table>
-        <thead>
-          <tr>
-            <th>Category</th>
-            <th>Target (${THAI_MONTHS[m - 1]} ${y})</th>
-          </tr>
-        </thead>
-        <tbody>${rows}</tbody>
-      </table>
-      <button class="save-btn" type="submit">💾 บันทึก</button>
-    </form>
+    <h1>📦 OCR Archive</h1>
+    ${result ? `<div class="notice">${escapeHtml(result).replace(/\n/g, '<br>')}</div>` : ''}
+    ${reprocessable ? `
+    <form method="post" action="/archive/${messageIds.map(encodeURIComponent).join(',')}/reprocess" style="text-align:center;">
+      <label><input type="checkbox" name="correction" value="1"> แก้ไขทับข้อมูลที่บันทึกแล้ว (รอยืนยัน)</label>
+      <button class="save-btn" type="submit">🔁 ประมวลผลใหม่</button>
+    </form>` : ''}
+    ${sections.join('')}
   </div>
-
-  <script>
-    function applyFilter() {
-      const month = document.getElementById('month-filter').value;
-      const year = document.getElementById('year-filter').value;
-      window.location.href = '/targets?month=' + month + '&year=' + year;
-    }
-  </script>
 </body>
 </html>`);
   } catch (err) {
-    console.error('[TARGETS] Error:', err);
-    res.status(500).send('Error loading targets: ' + escapeHtml(err.message));
+    console.error('[ARCHIVE] Error:', err);
+    res.status(500).send('Error loading archive: ' + escapeHtml(err.message));
   }
 });
 
-app.post('/targets', async (req, res) => {
+app.post('/archive/:messageIds/reprocess', auth.requireRole('editor'), async (req, res) => {
   try {
-    const y = parseInt(req.body.year, 10);
-    const m = parseInt(req.body.month, 10);
-    if (!y || !m || m < 1 || m > 12) {
-      return res.status(400).send('Invalid year or month');
-    }
-    const entries = Object.entries(req.body)
-      .filter(([k]) => k.startsWith('target_'))
-      .map(([k, v]) => [k.slice('target_'.length), parseInt(v, 10)])
-      .filter(([cat, val]) => cat && Number.isFinite(val) && val >= 0);
-
-    for (const [cat, val] of entries) {
-      await db.upsertTarget(y, m, cat, val);
+    const messageIds = parseMessageIds(req.params.messageIds);
+    if (messageIds.length === 0) return res.status(400).send('Invalid message ID');
+
+    const recordResults = await reprocessArchived(messageIds, { correction: req.body.correction === '1', changedBy: req.user.username });
+    const lines = [];
+    for (const recordResult of recordResults) {
+      if (recordResult.success && recordResult.pending) {
+        lines.push(`⏳ รอยืนยัน: ${REPORT_BASE_URL}/pending/${recordResult.pendingId}`);
+      } else if (recordResult.success) {
+        lines.push(`✅ บันทึกวันที่ ${recordResult.date}: ${recordResult.results.map(r => categoryLabel(r.category)).join(', ')}`);
+        await notifyConfirmedRecord(recordResult);
+      } else {
+        lines.push(`❌ ไม่ได้บันทึก: ${recordResult.reason}`);
+      }
     }
-    console.log(`[TARGETS] Saved ${entries.length} targets for ${y}-${pad2(m)}`);
-    res.redirect(`/targets?year=${y}&month=${m}&saved=1`);
+    const result = lines.join('\n');
+    res.redirect(`/archive/${messageIds.map(encodeURIComponent).join(',')}?result=${encodeURIComponent(result)}`);
   } catch (err) {
-    console.error('[TARGETS] Save error:', err);
-    res.status(500).send('Error saving targets: ' + escapeHtml(err.message));
+    console.error('[ARCHIVE] Reprocess error:', err);
+    res.status(500).send('Error reprocessing: ' + escapeHtml(err.message));
   }
 });
 
 // Test page for uploading images
-app.get('/test', (req, res) => {
+app.get('/test', auth.requireRole('admin'), (req, res) => {
   res.send(`
     <!DOCTYPE html>
     <html>
@@ -2887,7 +6325,7 @@ app.get('/health', (req, res) => {
 // Network diagnostics — no SSH needed. Open in a browser and paste the JSON.
 // Isolates whether the OpenAI "Premature close" is IPv6, egress block, proxy,
 // request-size, or SDK-specific. Safe: never prints the API key.
-app.get('/diag', async (req, res) => {
+app.get('/diag', auth.requireRole('admin'), async (req, res) => {
   const dnsp = require('dns').promises;
   const out = { node: process.version, time: new Date().toISOString() };
 
@@ -2982,9 +6420,12 @@ app.get('/diag', async (req, res) => {
 
 const PORT = process.env.PORT || 3000;
 // Detection logs endpoint
-app.get('/detection-logs', async (req, res) => {
+app.get('/detection-logs', auth.requireRole('viewer'), async (req, res) => {
   try {
     const logs = await loadDetectionLogs();
+    const archived = await db.getArchivedMessageIds(
+      logs.flatMap(log => (log.messageId || '').split(','))
+    ).catch(() => new Set());
 
     let logsHTML = '';
     if (logs.length === 0) {
@@ -3001,31 +6442,38 @@ app.get('/detection-logs', async (req, res) => {
           hour12: false
         });
 
-        const statusIcon = log.status === 'success' ? '✅' : log.status === 'failed' ? '❌' : '⚠️';
-        const statusClass = log.status === 'success' ? 'status-success' : log.status === 'failed' ? 'status-failed' : 'status-error';
-        const statusText = log.status === 'success' ? 'Success' : log.status === 'failed' ? 'Failed' : 'Error';
+        const statusIcon = log.status === 'success' ? '✅' : log.status === 'failed' ? '❌' : log.status === 'pending' ? '⏳' : log.status === 'unauthorized' ? '🚫' : log.status === 'allocation' ? '📅' : '⚠️';
+        const statusClass = log.status === 'success' ? 'status-success' : log.status === 'failed' ? 'status-failed' : log.status === 'pending' ? 'status-pending' : log.status === 'unauthorized' ? 'status-unauthorized' : log.status === 'allocation' ? 'status-allocation' : 'status-error';
+        const statusText = log.status === 'success' ? 'Success' : log.status === 'failed' ? 'Failed' : log.status === 'pending' ? 'Pending' : log.status === 'unauthorized' ? 'Unauthorized' : log.status === 'allocation' ? 'Needs allocation' : 'Error';
 
         const groupIdHTML = log.groupId
-          ? `<code style="background-color: #4CAF50; color: white; padding: 4px 8px; border-radius: 3px; font-weight: bold;">${log.groupId}</code>`
+          ? `<code style="background-color: #4CAF50; color: white; padding: 4px 8px; border-radius: 3px; font-weight: bold;">${escapeHtml(log.groupId)}</code>`
           : '<span style="color: #999;">-</span>';
 
         const userIdHTML = log.userId
-          ? `<code>${log.userId}</code>`
+          ? `<code>${escapeHtml(log.userId)}</code>`
           : '<span style="color: #999;">-</span>';
 
         let detailsHTML = '';
         if (log.status === 'success') {
-          detailsHTML = `<strong>Date:</strong> ${log.date || 'N/A'}<br>
-                         <strong>Categories:</strong> ${log.categories ? log.categories.join(', ') : 'N/A'}<br>
-                         <strong>Records Created:</strong> ${log.recordsCreated || 0}`;
+          detailsHTML = `<strong>Date:</strong> ${escapeHtml(log.date || 'N/A')}<br>
+                         <strong>Categories:</strong> ${escapeHtml(log.categories ? log.categories.join(', ') : 'N/A')}<br>
+                         <strong>Records Created:</strong> ${escapeHtml(log.recordsCreated || 0)}`;
+        } else if (log.status === 'pending') {
+          detailsHTML = `<strong>Date:</strong> ${escapeHtml(log.date || 'N/A')}<br>
+                         <strong>Categories:</strong> ${escapeHtml(log.categories ? log.categories.join(', ') : 'N/A')}<br>
+                         <strong>Reason:</strong> ${escapeHtml(log.reason || 'Awaiting confirmation')}`;
+        } else if (log.status === 'failed' || log.status === 'allocation') {
+          detailsHTML = `<strong>Reason:</strong> ${escapeHtml(log.reason || 'Unknown')}<br>
+                         <a href="/records/edit">📝 กรอกยอดเอง</a>`;
         } else {
-          detailsHTML = `<strong>Reason:</strong> ${log.reason || 'Unknown'}`;
+          detailsHTML = `<strong>Reason:</strong> ${escapeHtml(log.reason || 'Unknown')}`;
         }
 
         logsHTML += `
           <tr>
             <td>${timestamp}</td>
-            <td><code>${log.messageId || 'unknown'}</code></td>
+            <td><code>${escapeHtml(log.messageId || 'unknown')}</code>${log.messageId && log.messageId.split(',').every(id => archived.has(id)) ? `<br><a href="/archive/${log.messageId.split(',').map(encodeURIComponent).join(',')}">📦 archive</a>` : ''}</td>
             <td>${groupIdHTML}</td>
             <td>${userIdHTML}</td>
             <td class="${statusClass}">${statusIcon} ${statusText}</td>
@@ -3111,6 +6559,18 @@ app.get('/detection-logs', async (req, res) => {
             color: #ff9800;
             font-weight: bold;
           }
+          .status-pending {
+            color: #2196F3;
+            font-weight: bold;
+          }
+          .status-unauthorized {
+            color: #9e9e9e;
+            font-weight: bold;
+          }
+          .status-allocation {
+            color: #9c27b0;
+            font-weight: bold;
+          }
           .details {
             font-size: 14px;
             line-height: 1.6;
@@ -3200,7 +6660,7 @@ app.get('/detection-logs', async (req, res) => {
 });
 
 // API endpoint to send manual notification to LINE groups
-app.post('/api/send-notification', async (req, res) => {
+app.post('/api/send-notification', auth.requireRole('admin'), async (req, res) => {
   try {
     const { message } = req.body;
 
@@ -3208,16 +6668,17 @@ app.post('/api/send-notification', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Message is required' });
     }
 
-    if (NOTIFICATION_GROUP_IDS.length === 0) {
-      return res.status(400).json({ success: false, error: 'No notification groups configured in .env' });
+    const groupIds = await getNotificationGroupIds();
+    if (groupIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'No notification groups configured in .env or on /groups' });
     }
 
     console.log('[MANUAL-NOTI] Sending manual notification to groups');
     console.log('[MANUAL-NOTI] Message:', message);
-    console.log('[MANUAL-NOTI] Target groups:', NOTIFICATION_GROUP_IDS);
+    console.log('[MANUAL-NOTI] Target groups:', groupIds);
 
     const results = [];
-    for (const groupId of NOTIFICATION_GROUP_IDS) {
+    for (const groupId of groupIds) {
       try {
         await client.pushMessage({
           to: groupId,
@@ -3237,7 +6698,7 @@ app.post('/api/send-notification', async (req, res) => {
     const successCount = results.filter(r => r.success).length;
     res.json({
       success: true,
-      message: `Sent to ${successCount}/${NOTIFICATION_GROUP_IDS.length} groups`,
+      message: `Sent to ${successCount}/${groupIds.length} groups`,
       results
     });
   } catch (error) {
@@ -3247,9 +6708,10 @@ app.post('/api/send-notification', async (req, res) => {
 });
 
 // Page for sending manual notifications
-app.get('/send-notification', (req, res) => {
-  const groupCount = NOTIFICATION_GROUP_IDS.length;
-  const groupIds = NOTIFICATION_GROUP_IDS.map(id => `<code>${id}</code>`).join('<br>');
+app.get('/send-notification', auth.requireRole('admin'), async (req, res) => {
+  const targetIds = await getNotificationGroupIds();
+  const groupCount = targetIds.length;
+  const groupIds = targetIds.map(id => `<code>${id}</code>`).join('<br>');
 
   res.send(`
     <!DOCTYPE html>
@@ -3377,7 +6839,7 @@ app.get('/send-notification', (req, res) => {
 
         <div class="info-box">
           <strong>Target Groups (${groupCount}):</strong><br>
-          ${groupCount > 0 ? groupIds : '<span style="color: #f44336;">No groups configured in .env</span>'}
+          ${groupCount > 0 ? groupIds : '<span style="color: #f44336;">No groups configured in .env or on <a href="/groups">/groups</a></span>'}
         </div>
 
         <form id="notificationForm">
@@ -3445,14 +6907,229 @@ app.get('/send-notification', (req, res) => {
   `);
 });
 
+// ---------- JSON API (v1) ----------
+// Read access to records, MTD/YTD aggregates and detection logs, and target management,
+// for BI tools and internal apps. Authenticated with an API key (see auth.js; keys are
+// created at /users). Dates are YYYY-MM-DD, CDCs and export destinations are keyed by
+// code. Responses are { data } on success and { error: { code, message } } otherwise.
+
+const MAX_API_RANGE_DAYS = 366;
+const MAX_API_LOG_LIMIT = 1000;
+
+function apiError(res, status, code, message) {
+  return res.status(status).json({ error: { code, message } });
+}
+
+// Middleware factory like auth.requireRole, for API keys
+function requireApiKey(role) {
+  return async (req, res, next) => {
+    try {
+      const apiKey = await auth.findApiKey(req);
+      if (!apiKey) return apiError(res, 401, 'unauthorized', 'Missing or invalid API key');
+      if (!auth.hasWebRole(apiKey, role)) {
+        return apiError(res, 403, 'forbidden', `This endpoint needs a key with the ${role} role`);
+      }
+      req.apiKey = apiKey;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// A YYYY-MM-DD query parameter, checked to be a real date; null when invalid
+function parseIsoDate(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const [y, m, d] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCMonth() === m - 1 && date.getUTCDate() === d ? value : null;
+}
+
+function daysBetween(start, end) {
+  return (Date.parse(end) - Date.parse(start)) / (24 * 60 * 60 * 1000);
+}
+
+// Year and month from the query or path; defaults to the current month
+function parseApiMonth(source, { monthRequired = true } = {}) {
+  const now = new Date();
+  const year = source.year === undefined ? now.getFullYear() : Number(source.year);
+  const month = source.month === undefined ? (monthRequired ? now.getMonth() + 1 : null) : Number(source.month);
+  if (!Number.isInteger(year) || year < 2000 || year > 2100) return { error: 'year must be a four-digit year' };
+  if (month !== null && (!Number.isInteger(month) || month < 1 || month > 12)) return { error: 'month must be 1-12' };
+  return { year, month };
+}
+
+function apiRecord({ category, record }) {
+  return {
+    date: db.toMySQLDate(record.date),
+    category,
+    totalSum: record.totalSum,
+    fc33HadyaiSum: record.fc33HadyaiSum,
+    cdcs: Object.fromEntries(catalog.getCDCs().map(cdc => [cdc.code, record.cdcTotals[cdc.name] || 0])),
+    exports: Object.fromEntries(catalog.EXPORT_DESTINATIONS.map(dest => [dest.code, record[dest.field] || 0])),
+    crates: Object.fromEntries(catalog.getCDCs()
+      .filter(cdc => record.cdcCrates[cdc.name])
+      .map(cdc => [cdc.code, record.cdcCrates[cdc.name]])),
+    confidence: record.confidence,
+    reconciliation: record.reconciliation
+  };
+}
+
+// One period of the aggregates: a row per category with volume, target and last year's
+// volume over the same days, plus the totals.
+function apiPeriod(agg, targets, pyAgg, exportAgg, [from, to], [pyFrom, pyTo]) {
+  const known = catalog.categories();
+  const codes = [...new Set([...known, ...Object.keys(agg), ...Object.keys(targets), ...Object.keys(pyAgg)])]
+    .filter(c => agg[c] || targets[c] || pyAgg[c]);
+  const categories = codes.map(category => ({
+    category,
+    volume: agg[category] || 0,
+    target: targets[category] || 0,
+    previousYear: pyAgg[category] || 0,
+    exports: Object.fromEntries(catalog.EXPORT_DESTINATIONS.map(dest => [dest.code, exportAgg[category]?.[dest.field] || 0]))
+  }));
+  const sum = key => categories.reduce((total, row) => total + row[key], 0);
+  return {
+    from,
+    to,
+    previousYearFrom: pyFrom,
+    previousYearTo: pyTo,
+    categories,
+    total: { volume: sum('volume'), target: sum('target'), previousYear: sum('previousYear') }
+  };
+}
+
+// GET /api/v1/records?from=YYYY-MM-DD&to=YYYY-MM-DD[&category=<product>]
+app.get('/api/v1/records', requireApiKey('viewer'), async (req, res, next) => {
+  try {
+    const from = parseIsoDate(req.query.from);
+    const to = parseIsoDate(req.query.to);
+    if (!from || !to) return apiError(res, 400, 'invalid_parameter', 'from and to are required (YYYY-MM-DD)');
+    if (to < from) return apiError(res, 400, 'invalid_parameter', 'to is before from');
+    if (daysBetween(from, to) >= MAX_API_RANGE_DAYS) {
+      return apiError(res, 400, 'invalid_parameter', `The range is limited to ${MAX_API_RANGE_DAYS} days`);
+    }
+    const category = req.query.category || null;
+    if (category && !catalog.getProduct(category)) return apiError(res, 400, 'invalid_parameter', `Unknown category ${category}`);
+
+    const entries = await db.getDailyRecordsInRange(from, to, category);
+    res.json({ data: entries.map(apiRecord) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/v1/aggregates?year=YYYY&month=M — the figures of /mtd-report
+app.get('/api/v1/aggregates', requireApiKey('viewer'), async (req, res, next) => {
+  try {
+    const { year, month, error } = parseApiMonth(req.query);
+    if (error) return apiError(res, 400, 'invalid_parameter', error);
+
+    const figures = await loadMtdYtd(year, month);
+    res.json({
+      data: {
+        year,
+        month,
+        asOf: ymd(year, month, figures.d),
+        mtd: apiPeriod(figures.mtdAgg, figures.currentTargets, figures.mtdPyAgg, figures.mtdExports, figures.periods.mtd, figures.periods.mtdPy),
+        ytd: apiPeriod(figures.ytdAgg, figures.ytdTargets, figures.ytdPyAgg, figures.ytdExports, figures.periods.ytd, figures.periods.ytdPy)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/v1/targets?year=YYYY[&month=M]
+app.get('/api/v1/targets', requireApiKey('viewer'), async (req, res, next) => {
+  try {
+    const { year, month, error } = parseApiMonth(req.query, { monthRequired: false });
+    if (error) return apiError(res, 400, 'invalid_parameter', error);
+    res.json({ data: await db.getTargetList(year, month) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/v1/targets/:year/:month/:category  { "value": 12345 } — create or replace
+app.put('/api/v1/targets/:year/:month/:category', requireApiKey('editor'), async (req, res, next) => {
+  try {
+    const { year, month, error } = parseApiMonth(req.params);
+    if (error) return apiError(res, 400, 'invalid_parameter', error);
+    const { category } = req.params;
+    if (!catalog.getProduct(category)) return apiError(res, 400, 'invalid_parameter', `Unknown category ${category}`);
+    const value = req.body?.value;
+    if (!Number.isInteger(value) || value < 0) return apiError(res, 400, 'invalid_parameter', 'value must be a non-negative integer');
+
+    await db.upsertTarget(year, month, category, value);
+    console.log(`[API] Key "${req.apiKey.name}" set the ${category} target for ${year}-${pad2(month)} to ${value}`);
+    res.json({ data: { year, month, category, value } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/v1/targets/:year/:month/:category
+app.delete('/api/v1/targets/:year/:month/:category', requireApiKey('editor'), async (req, res, next) => {
+  try {
+    const { year, month, error } = parseApiMonth(req.params);
+    if (error) return apiError(res, 400, 'invalid_parameter', error);
+    const { category } = req.params;
+    if (!await db.deleteTarget(year, month, category)) {
+      return apiError(res, 404, 'not_found', `No ${category} target for ${year}-${pad2(month)}`);
+    }
+    console.log(`[API] Key "${req.apiKey.name}" removed the ${category} target for ${year}-${pad2(month)}`);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/v1/detection-logs[?status=&source=<group/user ID>&from=&to=&limit=]
+app.get('/api/v1/detection-logs', requireApiKey('viewer'), async (req, res, next) => {
+  try {
+    const { status, source } = req.query;
+    if (status && !db.DETECTION_STATUSES.includes(status)) {
+      return apiError(res, 400, 'invalid_parameter', `status must be one of ${db.DETECTION_STATUSES.join(', ')}`);
+    }
+    const from = req.query.from === undefined ? null : parseIsoDate(req.query.from);
+    const to = req.query.to === undefined ? null : parseIsoDate(req.query.to);
+    if ((from === null && req.query.from !== undefined) || (to === null && req.query.to !== undefined)) {
+      return apiError(res, 400, 'invalid_parameter', 'from and to must be YYYY-MM-DD');
+    }
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_API_LOG_LIMIT) {
+      return apiError(res, 400, 'invalid_parameter', `limit must be 1-${MAX_API_LOG_LIMIT}`);
+    }
+
+    const logs = await db.getDetectionLogs(limit, { status, sourceId: source, from, to });
+    res.json({ data: logs.map(log => ({ ...log, date: log.date ? db.toMySQLDate(log.date) : null })) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Unknown endpoints and errors (including malformed JSON bodies) in the same format
+app.use('/api/v1', (req, res) => apiError(res, 404, 'not_found', `No endpoint ${req.method} ${req.baseUrl}${req.path}`));
+
+app.use('/api/v1', (err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') return apiError(res, 400, 'invalid_json', 'The request body is not valid JSON');
+  console.error(`[API] Error in ${req.method} ${req.originalUrl}:`, err);
+  apiError(res, 500, 'internal_error', 'Internal server error');
+});
+
 // Start the HTTP server unless explicitly imported for offline testing
-// (set NODE_ENV=test before requiring this file to skip listen).
+// (set NODE_ENV=test before requiring this file to skip listen; see OFFLINE).
 // NOTE: do NOT gate this on `require.main === module` — Phusion Passenger
 // (Plesk production) loads this file via require(), so require.main is the
 // Passenger loader, not this module. That makes the check false, listen()
 // never runs, and Passenger fails with "A timeout occurred while spawning
 // an application process".
-if (process.env.NODE_ENV !== 'test') {
+// Listen straight away rather than after connectDatabase, so Passenger sees the app start
+// and LINE webhooks are still answered while MySQL is down.
+if (!OFFLINE) {
+  connectDatabase();
   app.listen(PORT, () => {
     console.log(`LINE Bot server is running on port ${PORT}`);
     console.log(`Webhook URL: http://localhost:${PORT}/webhook`);
@@ -3468,5 +7145,16 @@ module.exports = {
   extractCDCTotals,
   extractYodruamTotals,
   preprocessTableData,
-  CDC_NAME_MAPPING
+  stitchTables,
+  parseExcelPlan,
+  classifyPlanLayout,
+  layoutToOCRResult,
+  stitchLayouts,
+  groupScreenshotPlans,
+  extractDailyRecords,
+  extractOCRResult,
+  extractPlanDates,
+  splitDateBlocks,
+  reprocessArchived,
+  parseTextCommand
 };